@@ -1,16 +1,87 @@
 /**
  * Build script for optimization
+ *
+ * Usage:
+ *   node build.js            Full build (precache manifest + minified dist/)
+ *   node build.js manifest   Only regenerate the service worker precache manifest
  */
 const { execSync } = require('child_process');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
-// Minify CSS
-execSync('npx css-minify -f css/styles.css -o dist/css');
-execSync('npx css-minify -f css/loader.css -o dist/css');
+const ROOT = __dirname;
+const MANIFEST_FILE = 'precache-manifest.js';
 
-// Optimize images (requires imagemin-cli)
-execSync('npx imagemin images/* --out-dir=dist/images');
+// Files the service worker precaches (relative to the site root)
+const PRECACHE = {
+    files: ['index.html', 'offline.html'],
+    dirs: ['css', 'js', 'images', 'data'],
+    extensions: ['.html', '.css', '.js', '.json', '.jpg', '.jpeg', '.png', '.webp', '.svg'],
+    // Remote scripts are pinned by version, so the URL itself is the revision
+    remote: ['https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js']
+};
 
-// Bundle JS (if you decide to use a bundler)
-execSync('npx esbuild js/*.js --bundle --minify --outdir=dist/js');
+/**
+ * Recursively list files under a directory, relative to ROOT
+ */
+function listFiles(dir) {
+    const absolute = path.join(ROOT, dir);
+    if (!fs.existsSync(absolute)) return [];
+
+    return fs.readdirSync(absolute, { withFileTypes: true }).flatMap(entry => {
+        const relative = path.posix.join(dir, entry.name);
+        if (entry.isDirectory()) return listFiles(relative);
+        return PRECACHE.extensions.includes(path.extname(entry.name).toLowerCase()) ? [relative] : [];
+    });
+}
+
+/**
+ * Short content hash for a file
+ */
+function hashFile(file) {
+    const content = fs.readFileSync(path.join(ROOT, file));
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+/**
+ * Write the precache manifest imported by sw.js.
+ * Any content change alters the manifest bytes, which is what makes
+ * the browser install a new service worker version.
+ */
+function generatePrecacheManifest() {
+    const files = [
+        ...PRECACHE.files.filter(file => fs.existsSync(path.join(ROOT, file))),
+        ...PRECACHE.dirs.flatMap(listFiles)
+    ];
+
+    const entries = [
+        ...files.map(file => ({ url: file, revision: hashFile(file) })),
+        ...PRECACHE.remote.map(url => ({ url, revision: null }))
+    ];
+
+    const version = crypto.createHash('sha256')
+        .update(entries.map(entry => `${entry.url}@${entry.revision}`).join('\n'))
+        .digest('hex')
+        .slice(0, 12);
+
+    const output = `// Generated by build.js - do not edit\n` +
+        `self.__PRECACHE_MANIFEST__ = ${JSON.stringify({ version, entries }, null, 4)};\n`;
+
+    fs.writeFileSync(path.join(ROOT, MANIFEST_FILE), output);
+    console.log(`Precache manifest ${version}: ${entries.length} entries`);
+}
+
+generatePrecacheManifest();
+
+if (process.argv[2] !== 'manifest') {
+    // Minify CSS
+    execSync('npx css-minify -f css/styles.css -o dist/css');
+    execSync('npx css-minify -f css/loader.css -o dist/css');
+
+    // Optimize images (requires imagemin-cli)
+    execSync('npx imagemin images/* --out-dir=dist/images');
+
+    // Bundle JS (if you decide to use a bundler)
+    execSync('npx esbuild js/*.js --bundle --minify --outdir=dist/js');
+}
@@ -0,0 +1,233 @@
+/**
+ * Animated Textures Module
+ * Players for moving background sources: video files (through
+ * THREE.VideoTexture) and image sequences. The texture manager loads them
+ * like images and tells them when they are visible; they only play then.
+ */
+
+import { loadingManager } from './loading-manager.js';
+
+/**
+ * Configuration
+ */
+const CONFIG = {
+    fps: 12,                                  // Image sequence default frame rate
+    retryEvents: ['pointerdown', 'keydown', 'touchend'] // Gestures that allow blocked autoplay
+};
+
+/**
+ * Width and height of an image, canvas or video
+ * @param {HTMLImageElement|HTMLCanvasElement|HTMLVideoElement} media - Media element
+ * @returns {Array<number>} [width, height] (0 while unknown)
+ */
+export function mediaSize(media) {
+    if (!media) return [0, 0];
+    return [
+        media.naturalWidth || media.videoWidth || media.width || 0,
+        media.naturalHeight || media.videoHeight || media.height || 0
+    ];
+}
+
+/**
+ * VideoPlayer class: a muted, looping, inline video on a VideoTexture.
+ * When autoplay is refused (battery saver, data saver) the first frame
+ * stays up until the visitor next interacts with the page.
+ */
+class VideoPlayer {
+    constructor(source) {
+        this.source = source;
+        this.video = document.createElement('video');
+        this.video.muted = true;
+        this.video.loop = true;
+        this.video.playsInline = true;
+        this.video.preload = 'auto';
+        this.video.crossOrigin = 'anonymous';
+        // Attributes as well: some browsers only honour these for autoplay
+        this.video.setAttribute('muted', '');
+        this.video.setAttribute('playsinline', '');
+
+        this.texture = new THREE.VideoTexture(this.video);
+        this.texture.image = undefined; // Nothing to show until load()
+        // Only re-upload frames while playing
+        this.texture.update = () => {
+            const video = this.texture.image;
+            if (video === this.video && !video.paused && video.readyState >= video.HAVE_CURRENT_DATA) {
+                this.texture.needsUpdate = true;
+            }
+        };
+
+        this.wantsPlay = false;
+        this.isBlocked = false;
+        this.removeRetry = null;
+    }
+
+    /**
+     * Load the video up to its first frame
+     * @returns {Promise<HTMLVideoElement|null>} The video, null on failure
+     */
+    load() {
+        const url = this.source.src;
+        const video = this.video;
+
+        const ready = new Promise((resolve, reject) => {
+            const cleanup = () => {
+                video.removeEventListener('loadeddata', onLoaded);
+                video.removeEventListener('error', onError);
+            };
+            const onLoaded = () => {
+                cleanup();
+                resolve(video);
+            };
+            const onError = () => {
+                cleanup();
+                reject(video.error || new Error(`Video failed: ${url}`));
+            };
+            video.addEventListener('loadeddata', onLoaded);
+            video.addEventListener('error', onError);
+            video.src = url;
+            video.load();
+        });
+
+        return loadingManager.track(url, ready).catch(error => {
+            console.warn(`Failed to load video: ${url}`, error);
+            return null;
+        });
+    }
+
+    play() {
+        this.wantsPlay = true;
+        if (this.isBlocked || !this.video.paused || this.texture.image !== this.video) return;
+
+        const attempt = this.video.play();
+        if (!attempt) return;
+        attempt.catch(error => {
+            // Paused again before playback started
+            if (error.name !== 'NotAllowedError') return;
+            this.isBlocked = true;
+            this.waitForGesture();
+        });
+    }
+
+    pause() {
+        this.wantsPlay = false;
+        if (!this.video.paused) this.video.pause();
+    }
+
+    /**
+     * Try again on the next user gesture, which lifts most autoplay blocks
+     */
+    waitForGesture() {
+        if (this.removeRetry) return;
+
+        const retry = () => {
+            this.stopWaiting();
+            this.isBlocked = false;
+            if (this.wantsPlay) this.play();
+        };
+        CONFIG.retryEvents.forEach(type => window.addEventListener(type, retry, { passive: true }));
+        this.removeRetry = () => CONFIG.retryEvents.forEach(type => window.removeEventListener(type, retry));
+    }
+
+    stopWaiting() {
+        if (this.removeRetry) {
+            this.removeRetry();
+            this.removeRetry = null;
+        }
+    }
+
+    update() { }
+
+    /**
+     * Stop downloading and decoding (the texture is being evicted)
+     */
+    unload() {
+        this.pause();
+        this.stopWaiting();
+        this.isBlocked = false;
+        this.video.removeAttribute('src');
+        this.video.load();
+    }
+
+    destroy() {
+        this.unload();
+    }
+}
+
+/**
+ * SequencePlayer class: steps a texture through a list of images
+ */
+class SequencePlayer {
+    constructor(source) {
+        this.source = source;
+        this.texture = new THREE.Texture();
+        // Frames change every few frames: skip the mip chain
+        this.texture.generateMipmaps = false;
+        this.texture.minFilter = THREE.LinearFilter;
+
+        this.frames = [];
+        this.frame = 0;
+        this.elapsed = 0;
+        this.isPlaying = false;
+    }
+
+    /**
+     * Load every frame
+     * @returns {Promise<HTMLImageElement|null>} First frame, null if none loaded
+     */
+    load() {
+        return Promise.all(this.source.frames.map(url => loadingManager.loadImage(url))).then(images => {
+            this.frames = images.filter(Boolean);
+            if (this.frames.length < images.length) {
+                console.warn(`Image sequence is missing ${images.length - this.frames.length} frame(s)`);
+            }
+            this.frame = 0;
+            this.elapsed = 0;
+            return this.frames[0] || null;
+        });
+    }
+
+    play() {
+        this.isPlaying = this.frames.length > 1;
+    }
+
+    pause() {
+        this.isPlaying = false;
+    }
+
+    /**
+     * Advance to the frame for the elapsed time
+     * @param {number} delta - Seconds since the last frame
+     */
+    update(delta) {
+        if (!this.isPlaying || this.texture.image !== this.frames[this.frame]) return;
+
+        this.elapsed += delta;
+        const duration = 1 / (this.source.fps || CONFIG.fps);
+        if (this.elapsed < duration) return;
+
+        this.frame = (this.frame + Math.floor(this.elapsed / duration)) % this.frames.length;
+        this.elapsed %= duration;
+        this.texture.image = this.frames[this.frame];
+        this.texture.needsUpdate = true;
+    }
+
+    unload() {
+        this.pause();
+        this.frames = [];
+    }
+
+    destroy() {
+        this.unload();
+    }
+}
+
+/**
+ * Player for a moving source
+ * @param {Object} source - textureSource() entry
+ * @returns {VideoPlayer|SequencePlayer|null} Player, null for still images
+ */
+export function createPlayer(source) {
+    if (source.type === 'video') return new VideoPlayer(source);
+    if (source.type === 'sequence') return new SequencePlayer(source);
+    return null;
+}
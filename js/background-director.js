@@ -0,0 +1,299 @@
+/**
+ * Background Director Module
+ * Decides which background is showing. Sections and elements declare
+ * their background with data attributes, and the director picks one from
+ * focus, hover and scroll position, in that order of priority.
+ *
+ *   data-bg="card1"                 Texture name from the content manifest
+ *   data-bg-transition="radial"     Transition effect (optional)
+ *   data-bg-tint="#f5c747 0.3"      Tint colour and optional amount (optional)
+ *   data-bg-trigger="hover focus"   Triggers that may select it (default: all)
+ *
+ * Backgrounds of elements nearing the viewport are prefetched, for
+ * renderers that load textures on demand.
+ */
+
+import { Emitter } from './emitter.js';
+
+/**
+ * Configuration
+ */
+const CONFIG = {
+    selector: '[data-bg]',
+    defaultTexture: 'default',
+    triggers: ['focus', 'hover', 'scroll'], // Highest priority first
+    // 'touch': scroll picks backgrounds only on devices without hover, so
+    // desktop keeps the hover reveal; 'always' or 'never'
+    scrollMode: 'touch',
+    // Band around the middle of the viewport an element must reach to count as "in view"
+    scrollBand: '-40% 0px -40% 0px',
+    // Start loading an element's background when it gets this close to the viewport
+    prefetchMargin: '50% 0px 50% 0px',
+    tintAmount: 0.35
+};
+
+/**
+ * Parse a data-bg-tint value ("#f5c747", "#f5c747 0.3", "rgb(245, 199, 71) 0.5")
+ * @param {string|undefined} value - Attribute value
+ * @returns {Object|null} { color, amount } or null for no tint
+ */
+export function parseTint(value) {
+    if (!value || !value.trim()) return null;
+
+    const match = value.trim().match(/^(.*?)(?:\s+(\d*\.?\d+))?$/);
+    const amount = match[2] !== undefined ? parseFloat(match[2]) : CONFIG.tintAmount;
+    return { color: match[1], amount: Math.min(1, Math.max(0, amount)) };
+}
+
+/**
+ * BackgroundDirector class
+ *
+ * Events:
+ *  - 'change' { name, trigger, element } trigger is null when falling back to the default
+ */
+class BackgroundDirector extends Emitter {
+    /**
+     * @param {Object} background - Background or FallbackBackground (anything with setTarget)
+     * @param {Object} options - { root, scrollMode }
+     */
+    constructor(background, options = {}) {
+        super();
+        this.background = background;
+        this.root = options.root || document;
+        this.scrollMode = options.scrollMode || CONFIG.scrollMode;
+        this.canHover = window.matchMedia('(hover: hover)').matches;
+
+        this.sources = { focus: null, hover: null, scroll: null }; // Element chosen by each trigger
+        this.hoverOrigin = null;  // Screen UV where the pointer entered
+        this.inView = new Set();  // Scroll-triggered elements inside the band
+        this.active = null;       // { name, element, tint } last sent to the background
+        this.observer = null;
+        this.prefetcher = null;
+        this.listeners = [];
+
+        this.init();
+    }
+
+    init() {
+        if (this.canHover) {
+            this.listen(this.root, 'mouseover', (e) => this.handleMouseOver(e));
+            this.listen(this.root, 'mouseout', (e) => {
+                // Left the window
+                if (!e.relatedTarget) this.setSource('hover', null);
+            });
+        }
+        this.listen(this.root, 'focusin', (e) => this.setSource('focus', this.findTarget(e.target, 'focus')));
+        this.listen(this.root, 'focusout', (e) => this.setSource('focus', this.findTarget(e.relatedTarget, 'focus')));
+
+        if (this.usesScroll() && 'IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver(
+                (entries) => this.handleIntersection(entries),
+                { rootMargin: CONFIG.scrollBand }
+            );
+        }
+        if ('IntersectionObserver' in window) {
+            this.prefetcher = new IntersectionObserver(
+                (entries) => this.handleApproach(entries),
+                { rootMargin: CONFIG.prefetchMargin }
+            );
+        }
+
+        this.refresh();
+    }
+
+    /**
+     * Add an event listener that destroy() will remove
+     */
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    usesScroll() {
+        if (this.scrollMode === 'always') return true;
+        if (this.scrollMode === 'never') return false;
+        return !this.canHover;
+    }
+
+    /**
+     * Triggers an element accepts
+     */
+    triggersOf(el) {
+        const value = el.dataset.bgTrigger;
+        return value ? value.split(/[\s,]+/) : CONFIG.triggers;
+    }
+
+    /**
+     * Nearest element (self or ancestor) declaring a background for a trigger
+     * @param {Node|null} node - Event target
+     * @param {string} trigger - 'focus', 'hover' or 'scroll'
+     * @returns {Element|null} Declaring element
+     */
+    findTarget(node, trigger) {
+        let el = node && node.closest ? node.closest(CONFIG.selector) : null;
+        while (el && !this.triggersOf(el).includes(trigger)) {
+            el = el.parentElement ? el.parentElement.closest(CONFIG.selector) : null;
+        }
+        return el;
+    }
+
+    /**
+     * Re-scan the page for declared backgrounds (call after adding content)
+     */
+    refresh() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.inView.clear();
+            this.root.querySelectorAll(CONFIG.selector).forEach(el => {
+                if (this.triggersOf(el).includes('scroll')) this.observer.observe(el);
+            });
+        }
+        if (this.prefetcher) {
+            this.prefetcher.disconnect();
+            this.root.querySelectorAll(CONFIG.selector).forEach(el => this.prefetcher.observe(el));
+        }
+
+        // Drop sources whose elements are gone
+        Object.keys(this.sources).forEach(trigger => {
+            const el = this.sources[trigger];
+            if (el && !el.isConnected) this.sources[trigger] = null;
+        });
+        this.update();
+    }
+
+    handleMouseOver(e) {
+        const el = this.findTarget(e.target, 'hover');
+        if (el && el !== this.sources.hover) {
+            // Effects like 'radial' start where the cursor came in
+            this.hoverOrigin = [e.clientX / window.innerWidth, 1 - e.clientY / window.innerHeight];
+        }
+        this.setSource('hover', el);
+    }
+
+    handleIntersection(entries) {
+        entries.forEach(({ target, isIntersecting }) => {
+            if (isIntersecting) {
+                this.inView.add(target);
+            } else {
+                this.inView.delete(target);
+            }
+        });
+
+        // Innermost / furthest down the page wins: it is the one being scrolled into
+        let chosen = null;
+        this.inView.forEach(el => {
+            if (!chosen || chosen.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING) {
+                chosen = el;
+            }
+        });
+        this.setSource('scroll', chosen);
+    }
+
+    /**
+     * Elements nearing the viewport: load their backgrounds ahead of time
+     */
+    handleApproach(entries) {
+        entries.forEach(({ target, isIntersecting }) => {
+            if (!isIntersecting) return;
+            this.prefetcher.unobserve(target);
+            if (this.background && this.background.prefetch) this.background.prefetch(target.dataset.bg);
+        });
+    }
+
+    /**
+     * Record the element a trigger points at and re-evaluate
+     */
+    setSource(trigger, el) {
+        if (this.sources[trigger] === el) return;
+        this.sources[trigger] = el;
+        this.update();
+    }
+
+    /**
+     * Show the background of the highest-priority trigger, or the default
+     */
+    update() {
+        const trigger = CONFIG.triggers.find(name => this.sources[name]) || null;
+        const element = trigger ? this.sources[trigger] : null;
+        const name = element ? element.dataset.bg : CONFIG.defaultTexture;
+        const tintValue = element ? element.dataset.bgTint : undefined;
+
+        if (this.active && this.active.name === name && this.active.tint === tintValue) return;
+        this.active = { name, element, tint: tintValue };
+
+        this.apply(trigger, element);
+        this.emit('change', { name, trigger, element });
+    }
+
+    /**
+     * Send the active background to the renderer
+     */
+    apply(trigger, element) {
+        if (!this.background || !this.active) return;
+
+        const options = { tint: parseTint(this.active.tint) };
+        if (element) {
+            if (element.dataset.bgTransition) options.transition = element.dataset.bgTransition;
+            options.origin = trigger === 'hover' && this.hoverOrigin
+                ? this.hoverOrigin
+                : this.centerOf(element);
+        }
+        this.background.setTarget(this.active.name, options);
+    }
+
+    /**
+     * Element centre in screen UV (y up), clamped to the screen
+     */
+    centerOf(el) {
+        const rect = el.getBoundingClientRect();
+        const clamp = (value) => Math.min(1, Math.max(0, value));
+        return [
+            clamp((rect.left + rect.width / 2) / window.innerWidth),
+            clamp(1 - (rect.top + rect.height / 2) / window.innerHeight)
+        ];
+    }
+
+    /**
+     * Switch renderers (e.g. WebGL gave up and the CSS fallback took over)
+     * and show the current choice on the new one
+     * @param {Object} background - Background or FallbackBackground
+     */
+    setBackground(background) {
+        this.background = background;
+        this.apply(null, this.active && this.active.element);
+    }
+
+    /**
+     * Currently shown background
+     * @returns {Object|null} { name, element }
+     */
+    getActive() {
+        return this.active ? { name: this.active.name, element: this.active.element } : null;
+    }
+
+    // Cleanup
+    destroy() {
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        if (this.prefetcher) {
+            this.prefetcher.disconnect();
+            this.prefetcher = null;
+        }
+        this.removeAll();
+        this.background = null;
+    }
+}
+
+/**
+ * Initialize the background director
+ * @param {Object} background - Background or FallbackBackground
+ * @param {Object} options - { root, scrollMode }
+ * @returns {BackgroundDirector} Director instance
+ */
+export function initBackgroundDirector(background, options = {}) {
+    return new BackgroundDirector(background, options);
+}
@@ -0,0 +1,42 @@
+/**
+ * Background Styles Module
+ * Named looks for the background shader. A style is a GLSL chunk
+ * defining styleDistortion() and styleColor() (see shaders-advanced.js),
+ * compiled into its own program; the background cross-fades between them.
+ */
+
+import { calmStyle } from './shaders.js';
+import { hallucinationStyle, impastoStyle } from './shaders-advanced.js';
+
+/**
+ * Styles, keyed by name. intensity is the resting uIntensity; cursor
+ * speed and hovering raise it from there.
+ */
+export const STYLES = {
+    calm: { label: 'Calm flow', glsl: calmStyle, intensity: 0 },
+    hallucination: { label: 'Hallucination', glsl: hallucinationStyle, intensity: 0.3 },
+    impasto: { label: 'Impasto', glsl: impastoStyle, intensity: 0.2 }
+};
+
+/**
+ * Add a style to the library
+ * @param {string} name - Style name
+ * @param {Object} style - { label, glsl, intensity }
+ */
+export function registerStyle(name, style) {
+    STYLES[name] = { label: name, intensity: 0, ...style };
+}
+
+/**
+ * Style named in the page URL (?style=hallucination), for demos
+ * @returns {string|null} Style name, or null when absent or unknown
+ */
+export function styleFromUrl() {
+    const name = new URLSearchParams(window.location.search).get('style');
+    if (!name) return null;
+    if (!STYLES[name]) {
+        console.warn(`Unknown style "${name}", options: ${Object.keys(STYLES).join(', ')}`);
+        return null;
+    }
+    return name;
+}
@@ -0,0 +1,145 @@
+/**
+ * Background Transitions Module
+ * Library of texture transition effects and easing curves for the
+ * background shader.
+ *
+ * Each effect is a GLSL function `vec4 name(vec2 uv, float progress)`
+ * (the gl-transitions convention). It can call:
+ *  - getFromColor(uv) / getToColor(uv): the two textures, already fitted and flowing
+ *  - noise(st): value noise from the background shader
+ *  - uResolution, uTime, uOrigin (transition origin in screen UV, e.g. the cursor)
+ */
+
+/**
+ * Transition effects, keyed by name
+ */
+export const TRANSITIONS = {
+    fade: `
+        vec4 fade(vec2 uv, float progress) {
+            return mix(getFromColor(uv), getToColor(uv), progress);
+        }
+    `,
+
+    // Paint dissolves away in noisy patches
+    noise: `
+        vec4 noiseDissolve(vec2 uv, float progress) {
+            float aspect = uResolution.x / uResolution.y;
+            float n = noise(uv * vec2(aspect, 1.0) * 6.0) * 0.7 + noise(uv * 40.0) * 0.3;
+            float edge = 0.08;
+            float t = smoothstep(n - edge, n + edge, progress * (1.0 + 2.0 * edge) - edge);
+            return mix(getFromColor(uv), getToColor(uv), t);
+        }
+    `,
+
+    // Both paintings are pulled into a vortex and released
+    swirl: `
+        vec4 swirl(vec2 uv, float progress) {
+            float aspect = uResolution.x / uResolution.y;
+            vec2 c = (uv - 0.5) * vec2(aspect, 1.0);
+            float r = length(c);
+            float angle = sin(progress * 3.14159) * 5.0 * (1.0 - smoothstep(0.0, 0.9, r));
+            float s = sin(angle);
+            float co = cos(angle);
+            c = vec2(c.x * co - c.y * s, c.x * s + c.y * co);
+            vec2 swirled = c / vec2(aspect, 1.0) + 0.5;
+            return mix(getFromColor(swirled), getToColor(swirled), smoothstep(0.25, 0.75, progress));
+        }
+    `,
+
+    // Left-to-right wipe with a ragged edge of horizontal brush strokes
+    brush: `
+        vec4 brushWipe(vec2 uv, float progress) {
+            float strokes = noise(vec2(uv.y * 18.0, 3.0)) * 0.25 + noise(uv * vec2(4.0, 40.0)) * 0.1;
+            float edge = progress * 1.4 - 0.2;
+            float t = 1.0 - smoothstep(edge - 0.02, edge + 0.02, uv.x + strokes - 0.175);
+            return mix(getFromColor(uv), getToColor(uv), t);
+        }
+    `,
+
+    // Each painting is pushed along the other's brightness while they blend
+    displacement: `
+        vec4 displacementMorph(vec2 uv, float progress) {
+            float strength = 0.25;
+            vec3 luma = vec3(0.299, 0.587, 0.114);
+            float fromShift = dot(getFromColor(uv).rgb, luma) - 0.5;
+            float toShift = dot(getToColor(uv).rgb, luma) - 0.5;
+            vec4 from = getFromColor(uv + vec2(toShift, fromShift) * progress * strength);
+            vec4 to = getToColor(uv - vec2(fromShift, toShift) * (1.0 - progress) * strength);
+            return mix(from, to, progress);
+        }
+    `,
+
+    // Circle growing from uOrigin (where the cursor entered)
+    radial: `
+        vec4 radialReveal(vec2 uv, float progress) {
+            float aspect = uResolution.x / uResolution.y;
+            vec2 scale = vec2(aspect, 1.0);
+            float r = length((uv - uOrigin) * scale);
+            float maxR = length(max(uOrigin, 1.0 - uOrigin) * scale);
+            float wobble = noise(uv * 12.0 + uTime * 0.5) * 0.05;
+            float edge = progress * (maxR + 0.2);
+            float t = 1.0 - smoothstep(edge - 0.1, edge, r + wobble);
+            return mix(getFromColor(uv), getToColor(uv), t);
+        }
+    `
+};
+
+/**
+ * Easing curves (t in 0..1)
+ */
+export const EASINGS = {
+    linear: t => t,
+    easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    easeOutQuart: t => 1 - Math.pow(1 - t, 4)
+};
+
+/**
+ * Add an effect to the library. Backgrounds created afterwards can use it.
+ * @param {string} name - Transition name
+ * @param {string} glsl - GLSL function `vec4 <fn>(vec2 uv, float progress)`
+ */
+export function registerTransition(name, glsl) {
+    TRANSITIONS[name] = glsl;
+}
+
+/**
+ * Resolve an easing name or function
+ * @param {string|Function} easing - Easing name or custom function
+ * @returns {Function} Easing function
+ */
+export function getEasing(easing) {
+    if (typeof easing === 'function') return easing;
+    return EASINGS[easing] || EASINGS.linear;
+}
+
+/**
+ * GLSL function name declared by an effect
+ */
+function functionName(glsl) {
+    const match = glsl.match(/vec4\s+(\w+)\s*\(/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Build the GLSL for every registered effect plus a dispatcher
+ * `vec4 transition(vec2 uv, float progress)` selected by uEffect
+ * (the effect's index in names).
+ * @returns {Object} { glsl, names }
+ */
+export function buildTransitionsChunk() {
+    const names = Object.keys(TRANSITIONS).filter(name => functionName(TRANSITIONS[name]));
+    const call = (name) => `return ${functionName(TRANSITIONS[name])}(uv, progress);`;
+    const branches = names.slice(1).map((name, i) => `            if (abs(uEffect - ${i + 1}.0) < 0.5) ${call(name)}`);
+
+    // The first effect is the default
+    const glsl = `
+        ${names.map(name => TRANSITIONS[name]).join('\n')}
+
+        vec4 transition(vec2 uv, float progress) {
+${branches.join('\n')}
+            ${call(names[0])}
+        }
+    `;
+    return { glsl, names };
+}
@@ -3,40 +3,153 @@
  * Handles the WebGL background with texture transitions
  */
 
-import { vertexShader, fragmentShader } from './shaders.js';
+import { vertexShader, createFragmentShader } from './shaders.js';
+import { buildTransitionsChunk, getEasing } from './background-transitions.js';
+import { STYLES } from './background-styles.js';
+import { Emitter } from './emitter.js';
+import { loadingManager } from './loading-manager.js';
+import { tuning } from './tuning.js';
+import { guardContext } from './webgl-context.js';
+import { createFluidSim } from './fluid-sim.js';
+import { createOrientationTexture, createFlatOrientation } from './orientation-field.js';
+import { createParticleField } from './particles.js';
+import { createPostProcessor } from './post-processing.js';
+import { createTextureManager } from './texture-manager.js';
+import { mediaSize } from './animated-textures.js';
+import { ticker, PRIORITY } from './ticker.js';
+import { textureSource } from './content.js';
 
 /**
  * Configuration for the background animation
  */
 const CONFIG = {
-    transitionSpeed: 0.01,
-    timeStep: 0.01,
+    // Default texture transition (textures and setTarget() calls can override it)
+    transition: 'noise',             // Effect name, see background-transitions.js
+    transitionDuration: 1.2,         // Seconds
+    transitionEasing: 'easeInOutCubic',
+    timeScale: 0.6,                  // Shader time units per second
+    // Shader look (pushed into uniforms every frame)
+    flowStrength: 0.015,
+    noiseScaleLarge: 8.0,
+    noiseScaleSmall: 20.0,
+    vignette: 0.4,
+    tintSpeed: 3,                    // How fast tints fade in and out (per second)
+    particleCount: 200,              // Until the quality governor picks a tier
+    // Style presets (see background-styles.js)
+    style: 'calm',
+    styleFadeDuration: 1.5,          // Cross-fade between styles (s)
+    intensitySpeedGain: 0.5,         // uIntensity added per screen/s of cursor speed
+    intensityHover: 0.35,            // uIntensity added while a card's background shows
+    intensityResponse: 2.5,          // How fast uIntensity follows (per second)
+    brushStrength: 0.85,             // Structure-following strokes (0 = noise flow only)
+    brushLength: 0.012,              // Stroke half-length (fraction of image height)
+    fluidStrength: 1.0,              // How far cursor swirls carry the painting
+    // Used when the content manifest does not name a default background
     textures: {
-        default: 'images/backgrounds/starry-night.jpg',
-        orange: 'images/backgrounds/orangeSN.png',
-        graduation: 'images/VG/graduationVG.png'
+        default: {
+            src: 'images/backgrounds/loading.jpg',
+            placeholder: 'images/backgrounds/loading-placeholder.jpg'
+        }
     }
 };
 
+tuning.define('background', CONFIG, {
+    transitionDuration: { min: 0.1, max: 5, step: 0.05, label: 'Transition duration (s)' },
+    timeScale: { min: 0, max: 3, step: 0.05, label: 'Time scale (per s)' },
+    flowStrength: { min: 0, max: 0.06, step: 0.001, label: 'Flow strength' },
+    noiseScaleLarge: { min: 1, max: 30, step: 0.5, label: 'Noise scale (large)' },
+    noiseScaleSmall: { min: 1, max: 60, step: 0.5, label: 'Noise scale (small)' },
+    vignette: { min: 0, max: 1.5, step: 0.05, label: 'Vignette' },
+    brushStrength: { min: 0, max: 1, step: 0.05, label: 'Brush strokes' },
+    brushLength: { min: 0, max: 0.05, step: 0.001, label: 'Stroke length' },
+    fluidStrength: { min: 0, max: 3, step: 0.05, label: 'Cursor swirl strength' },
+    styleFadeDuration: { min: 0.1, max: 5, step: 0.1, label: 'Style cross-fade (s)' },
+    intensitySpeedGain: { min: 0, max: 2, step: 0.05, label: 'Intensity from cursor speed' },
+    intensityHover: { min: 0, max: 1, step: 0.05, label: 'Intensity on hover' }
+});
+
 /**
  * Background class manages the Three.js animated background
+ *
+ * Events:
+ *  - 'contextlost'
+ *  - 'contextrestored'
+ *  - 'failed' { reason } WebGL keeps failing, switch to the CSS fallback
  */
-class Background {
-    constructor(containerId) {
+class Background extends Emitter {
+    /**
+     * @param {string} containerId - ID of the container element
+     * @param {Object} options - { textures: { name: url | { src, placeholder, fit, focus } }, style }
+     */
+    constructor(containerId, options = {}) {
+        super();
         this.container = document.getElementById(containerId);
         this.scene = null;
         this.camera = null;
         this.renderer = null;
         this.material = null;
-        this.textures = {};
+        this.mesh = null;
+        this.textureSources = {};
+        Object.entries({ ...CONFIG.textures, ...(options.textures || {}) }).forEach(([name, entry]) => {
+            this.textureSources[name] = textureSource(entry);
+        });
+        this.quality = { pixelRatio: 1.5, noiseOctaves: 2, brushSteps: 4, post: [], textureBudget: 128 };
+        this.textureManager = createTextureManager({
+            sources: this.textureSources,
+            budget: this.quality.textureBudget,
+            prepare: (texture, image, source) => this.prepareTexture(texture, image, source),
+            keep: (texture) => this.isTextureInUse(texture)
+        });
+        this.defaultTexture = null;
+        this.post = null;
+        this.flatOrientation = null; // Stroke field for textures without one
 
         // Transition state
         this.targetTexture = null;
-        this.currentSourceTexture = null;
-        this.transitionProgress = 0;
+        this.transition = {
+            from: null,           // Texture on uTex1
+            to: null,             // Texture on uTex2
+            effect: 0,            // Index into transitionNames
+            duration: CONFIG.transitionDuration,
+            easing: getEasing(CONFIG.transitionEasing),
+            origin: [0.5, 0.5],   // Screen UV the effect starts from
+            progress: 1,          // Linear 0..1, eased into uMix
+            direction: 1          // -1 while running back to "from"
+        };
+        this.transitionNames = [];
         this.isTransitioning = false;
+        this.snapshots = null;    // Render targets freezing an interrupted transition
+        this.snapshotIndex = 0;
+        this.pendingTarget = null; // setTarget() call made before the textures loaded
+        this.awaitedTarget = null; // Texture name waiting for its image to load
+        this.tint = new THREE.Vector4(1, 1, 1, 0);       // Shown tint: rgb, amount
+        this.tintTarget = new THREE.Vector4(1, 1, 1, 0);
+
+        // Style presets
+        this.style = STYLES[options.style] ? options.style : CONFIG.style;
+        this.styleMaterials = {}; // Compiled program per style, sharing this.uniforms
+        this.styleFade = null;    // { mesh, progress, duration } while a new style fades in
+        this.uniforms = null;
+        this.transitionsGlsl = '';
+        this.intensity = 0;
+        this.lastPointer = null;
         this.time = 0;
 
+        // Cursor fluid (created when the quality tier allows it)
+        this.fluid = null;
+        this.fluidUnsupported = false;
+        this.blankFluid = null;   // Zero offset field while the fluid is off
+        this.pointerSource = null;
+
+        // Lifecycle state
+        this.removeTick = null;
+        this.isReady = false;
+        this.ready = null;        // Settles once the default texture is in and the material is set up
+        this.isPaused = false;
+        this.isDestroyed = false;
+        this.isContextLost = false;
+        this.listeners = [];
+
         this.init();
     }
 
@@ -57,143 +170,584 @@ class Background {
         });
 
         // Optimize resolution: Cap pixel ratio to save GPU
-        const isMobile = document.body.classList.contains('is-mobile');
-        const pixelRatio = isMobile ? 1 : Math.min(window.devicePixelRatio, 1.5);
-        this.renderer.setPixelRatio(pixelRatio);
+        // (the quality governor adjusts the cap at runtime)
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.quality.pixelRatio));
 
         this.renderer.setSize(window.innerWidth, window.innerHeight);
         this.container.appendChild(this.renderer.domElement);
 
+        // Screen-space effects chosen by the quality tier
+        this.post = createPostProcessor(this.renderer, { passes: this.quality.post });
+
+        // Survive GPU resets; give up on WebGL if they keep happening
+        this.listeners.push(guardContext(this.renderer.domElement, {
+            onLost: () => this.handleContextLost(),
+            onRestored: () => this.handleContextRestored(),
+            onFailed: (reason) => this.emit('failed', { reason })
+        }));
+
+        // Sharper images replace placeholders in the same texture
+        this.listeners.push(this.textureManager.on('upgrade', () => {
+            if (this.material) this.updateTransitionUniforms();
+        }));
+
         // Load textures and setup
-        this.loadTextures().then(() => {
+        this.ready = this.loadTextures().then(() => {
+            if (this.isDestroyed) return;
             this.setupMaterial();
-            this.setupInteractions();
-            this.animate();
+            this.isReady = true;
+            if (this.pendingTarget) this.setTarget(...this.pendingTarget);
+            this.pendingTarget = null;
+            if (!this.isPaused) this.resume();
         });
 
         // Handle resize
-        window.addEventListener('resize', () => this.handleResize());
+        this.listen(window, 'resize', () => this.handleResize());
     }
 
     /**
-     * Load all textures with error handling
+     * Add an event listener that destroy() will remove
      */
-    async loadTextures() {
-        const loader = new THREE.TextureLoader();
-
-        const loadTex = (url) => new Promise((resolve) => {
-            loader.load(
-                url,
-                (tex) => resolve(tex),
-                undefined,
-                (err) => {
-                    console.error(`Failed to load texture: ${url}`, err);
-                    resolve(null);
-                }
-            );
-        });
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push(() => target.removeEventListener(type, handler, options));
+    }
 
-        const [texDefault, texOrange, texGrad] = await Promise.all([
-            loadTex(CONFIG.textures.default),
-            loadTex(CONFIG.textures.orange),
-            loadTex(CONFIG.textures.graduation)
-        ]);
+    /**
+     * Load the default texture; the others load on intent (see prefetch())
+     */
+    async loadTextures() {
+        let texture = await this.textureManager.request('default');
+        if (!texture) {
+            console.error('Critical: Default texture failed to load.');
+            texture = this.textureManager.get('default');
+            texture.userData.fit = this.createFit(null, textureSource(''));
+        }
 
-        // Handle fallbacks
-        this.textures.default = texDefault || new THREE.Texture();
-        this.textures.orange = texOrange || this.textures.default;
-        this.textures.graduation = texGrad || this.textures.default;
+        this.defaultTexture = texture;
+        this.targetTexture = texture;
+        this.transition.from = texture;
+        this.transition.to = texture;
+    }
 
-        if (!texDefault) {
-            console.error('Critical: Default texture failed to load.');
+    /**
+     * Per-image shader data, set again when the full image replaces the placeholder
+     * @param {THREE.Texture} texture - Texture getting a new image
+     * @param {HTMLImageElement} image - The image
+     * @param {Object} source - textureSource() entry
+     */
+    prepareTexture(texture, image, source) {
+        const fit = this.createFit(image, source);
+        // Uniforms may hold the old vector
+        if (texture.userData.fit) {
+            texture.userData.fit.copy(fit);
+        } else {
+            texture.userData.fit = fit;
         }
 
-        this.targetTexture = this.textures.default;
-        this.currentSourceTexture = this.textures.default;
+        if (texture.userData.orientation) texture.userData.orientation.dispose();
+        texture.userData.orientation = createOrientationTexture(image);
+    }
+
+    /**
+     * Whether a texture is on screen or about to be (never evicted)
+     */
+    isTextureInUse(texture) {
+        return texture === this.targetTexture || texture === this.transition.from || texture === this.transition.to;
+    }
+
+    /**
+     * Start loading a texture before it is needed (e.g. its section is
+     * scrolling closer), so setTarget() can show it straight away
+     * @param {string} textureName - Texture name
+     * @returns {Promise<THREE.Texture|null>} Resolves once it can be shown
+     */
+    prefetch(textureName) {
+        return this.textureManager.request(textureName);
+    }
+
+    /**
+     * Shader fit parameters for a texture: (aspect, mode, focus.x, focus.y).
+     * Focus is flipped to texture space, where v runs bottom to top.
+     * @param {HTMLImageElement|HTMLVideoElement|null} image - Loaded image or video (null: assume 16:9)
+     * @param {Object} source - { fit, focus } from textureSource()
+     * @returns {THREE.Vector4} Value for uFit1 / uFit2
+     */
+    createFit(image, source) {
+        const [width, height] = mediaSize(image);
+        const aspect = width && height ? width / height : 16 / 9;
+
+        return new THREE.Vector4(
+            aspect,
+            source.fit === 'contain' ? 1 : 0,
+            source.focus[0],
+            1 - source.focus[1]
+        );
     }
 
     /**
      * Setup shader material
      */
     setupMaterial() {
-        this.material = new THREE.ShaderMaterial({
-            uniforms: {
-                uTex1: { value: this.textures.default },
-                uTex2: { value: this.textures.default },
-                uMix: { value: 0.0 },
-                uTime: { value: 0 },
-                uResolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) }
-            },
-            vertexShader: vertexShader,
-            fragmentShader: fragmentShader
-        });
+        const transitions = buildTransitionsChunk();
+        this.transitionNames = transitions.names;
+        this.transitionsGlsl = transitions.glsl;
+
+        this.blankFluid = new THREE.DataTexture(new Uint8Array(4), 1, 1);
+        this.blankFluid.needsUpdate = true;
+        this.flatOrientation = createFlatOrientation();
+
+        this.uniforms = {
+            uTex1: { value: this.defaultTexture },
+            uTex2: { value: this.defaultTexture },
+            uFit1: { value: this.defaultTexture.userData.fit },
+            uFit2: { value: this.defaultTexture.userData.fit },
+            uOrient1: { value: this.orientationOf(this.defaultTexture) },
+            uOrient2: { value: this.orientationOf(this.defaultTexture) },
+            uBrushSteps: { value: this.quality.brushSteps },
+            uBrushLength: { value: CONFIG.brushLength },
+            uBrushStrength: { value: CONFIG.brushStrength },
+            uMix: { value: 1.0 },
+            uEffect: { value: 0 },
+            uOrigin: { value: new THREE.Vector2(0.5, 0.5) },
+            uTime: { value: 0 },
+            uResolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
+            uOctaves: { value: this.quality.noiseOctaves },
+            uFlowStrength: { value: CONFIG.flowStrength },
+            uNoiseScale: { value: new THREE.Vector2(CONFIG.noiseScaleLarge, CONFIG.noiseScaleSmall) },
+            uVignette: { value: CONFIG.vignette },
+            uTint: { value: this.tint },
+            uFluid: { value: this.blankFluid },
+            uFluidStrength: { value: 0 },
+            uIntensity: { value: 0 }
+        };
+        this.material = this.createStyleMaterial(this.style);
 
         const geometry = new THREE.PlaneGeometry(2, 2);
-        const mesh = new THREE.Mesh(geometry, this.material);
+        this.mesh = new THREE.Mesh(geometry, this.material);
+        this.scene.add(this.mesh);
+
+        this.updateFluid();
+    }
+
+    /**
+     * Program for a style (compiled once, then cached)
+     * @param {string} name - Style name
+     * @returns {THREE.ShaderMaterial} Material sharing this.uniforms
+     */
+    createStyleMaterial(name) {
+        if (!this.styleMaterials[name]) {
+            this.styleMaterials[name] = new THREE.ShaderMaterial({
+                // Shared uniform objects, plus an opacity of its own for cross-fades
+                uniforms: { ...this.uniforms, uOpacity: { value: 1 } },
+                vertexShader: vertexShader,
+                fragmentShader: createFragmentShader(this.transitionsGlsl, STYLES[name].glsl)
+            });
+        }
+        return this.styleMaterials[name];
+    }
+
+    /**
+     * Cross-fade to another style preset
+     * @param {string} name - Style name (see background-styles.js)
+     * @param {Object} options - { duration } in seconds
+     */
+    setStyle(name, options = {}) {
+        if (!STYLES[name]) {
+            console.warn(`Unknown style "${name}"`);
+            return;
+        }
+        if (!this.material) {
+            this.style = name;
+            return;
+        }
+
+        // A second change mid-fade starts from the style fading in
+        this.finishStyleFade();
+        if (name === this.style) return;
+        this.style = name;
+
+        const material = this.createStyleMaterial(name);
+        material.transparent = true;
+        material.needsUpdate = true;
+        material.uniforms.uOpacity.value = 0;
+
+        const mesh = new THREE.Mesh(this.mesh.geometry, material);
+        mesh.renderOrder = -1; // Over the current style, under the particles
         this.scene.add(mesh);
+        this.styleFade = { mesh, progress: 0, duration: options.duration ?? CONFIG.styleFadeDuration };
+    }
+
+    /**
+     * Advance a style cross-fade
+     * @param {number} delta - Seconds since the last frame
+     */
+    updateStyleFade(delta) {
+        const fade = this.styleFade;
+        fade.progress = Math.min(1, fade.progress + delta / Math.max(fade.duration, 0.001));
+        fade.mesh.material.uniforms.uOpacity.value = fade.progress;
+        if (fade.progress >= 1) this.finishStyleFade();
+    }
+
+    /**
+     * Make the incoming style the only one drawn
+     */
+    finishStyleFade() {
+        const fade = this.styleFade;
+        if (!fade) return;
+
+        this.scene.remove(this.mesh);
+        fade.mesh.material.transparent = false;
+        fade.mesh.material.needsUpdate = true;
+        fade.mesh.material.uniforms.uOpacity.value = 1;
+        fade.mesh.renderOrder = 0;
+
+        this.mesh = fade.mesh;
+        this.material = fade.mesh.material;
+        this.styleFade = null;
+    }
+
+    /**
+     * Ease uIntensity towards the style's resting level plus interaction:
+     * cursor speed and a card's background being shown
+     * @param {number} delta - Seconds since the last frame
+     */
+    updateIntensity(delta) {
+        const pointer = this.readPointer();
+        let speed = 0;
+        if (pointer && this.lastPointer && delta > 0) {
+            speed = Math.hypot(pointer.x - this.lastPointer.x, pointer.y - this.lastPointer.y) / delta;
+        }
+        this.lastPointer = pointer;
+
+        const featured = this.targetTexture && this.targetTexture !== this.defaultTexture;
+        const target = Math.min(1, STYLES[this.style].intensity
+            + speed * CONFIG.intensitySpeedGain
+            + (featured ? CONFIG.intensityHover : 0));
+
+        this.intensity += (target - this.intensity) * (1 - Math.exp(-CONFIG.intensityResponse * delta));
+        this.uniforms.uIntensity.value = this.intensity;
+    }
+
+    /**
+     * Orientation field for a texture's brush strokes
+     * @param {THREE.Texture} texture - Background texture or snapshot
+     * @returns {THREE.Texture} Its field, or a flat one (no strokes)
+     */
+    orientationOf(texture) {
+        return texture.userData.orientation || this.flatOrientation;
+    }
+
+    /**
+     * Let a pointer stir the fluid
+     * @param {Object|null} source - Anything with getPosition() ({ x, y } in px) and getIsActive(), e.g. BlobCursor
+     */
+    setPointerSource(source) {
+        this.pointerSource = source;
     }
 
     /**
-     * Setup card hover interactions
+     * Pointer position in screen UV (y up), or null when there is none
      */
-    setupInteractions() {
-        const card1 = document.getElementById('card1-base');
-        const card2 = document.getElementById('card2-base');
+    readPointer() {
+        const source = this.pointerSource;
+        if (!source || !source.getIsActive()) return null;
+
+        const { x, y } = source.getPosition();
+        return { x: x / window.innerWidth, y: 1 - y / window.innerHeight };
+    }
 
-        // Only add hover effects if device supports hover (mouse)
-        if (window.matchMedia('(hover: hover)').matches) {
-            if (card1) {
-                card1.addEventListener('mouseenter', () => this.setTarget('orange'));
-                card1.addEventListener('mouseleave', () => this.setTarget('default'));
-            }
+    /**
+     * Create, resize or drop the fluid simulation for the current tier
+     */
+    updateFluid() {
+        const settings = this.quality.fluid;
+
+        if (!settings) {
+            this.disposeFluid();
+        } else if (this.fluid) {
+            this.fluid.setQuality(settings);
+        } else if (!this.fluidUnsupported) {
+            this.fluid = createFluidSim(this.renderer, settings);
+            this.fluidUnsupported = !this.fluid;
+        }
+    }
 
-            if (card2) {
-                card2.addEventListener('mouseenter', () => this.setTarget('graduation'));
-                card2.addEventListener('mouseleave', () => this.setTarget('default'));
-            }
+    disposeFluid() {
+        if (this.fluid) {
+            this.fluid.destroy();
+            this.fluid = null;
+        }
+        if (this.material) {
+            this.material.uniforms.uFluid.value = this.blankFluid;
+            this.material.uniforms.uFluidStrength.value = 0;
         }
     }
 
     /**
-     * Set target texture for transition
+     * Transition to a texture.
+     * Asking for the texture we are coming from mid-transition runs the
+     * same effect backwards; asking for a third one freezes the current
+     * frame and transitions from that, so nothing ever jumps. A texture
+     * that has not loaded yet is shown once it arrives, unless another
+     * one was asked for in the meantime.
      * @param {string} textureName - Name of texture to transition to
+     * @param {Object} options - { transition, duration (s), easing, origin: [u, v], tint: { color, amount } | null }
      */
-    setTarget(textureName) {
-        const newTex = this.textures[textureName];
-        if (!newTex || this.targetTexture === newTex) return;
+    setTarget(textureName, options = {}) {
+        if (!this.material) {
+            this.pendingTarget = [textureName, options];
+            return;
+        }
 
-        this.currentSourceTexture = this.targetTexture;
-        this.targetTexture = newTex;
+        const manager = this.textureManager;
+        if (!manager.has(textureName)) return;
+        if (!manager.isReady(textureName) && !manager.isFailed(textureName)) {
+            this.awaitedTarget = textureName;
+            manager.request(textureName).then(() => {
+                if (this.awaitedTarget !== textureName || this.isDestroyed) return;
+                this.awaitedTarget = null;
+                this.setTarget(textureName, options);
+            });
+            return;
+        }
+        this.awaitedTarget = null;
+
+        if (options.tint !== undefined) this.setTint(options.tint);
+
+        manager.touch(textureName);
+        const newTex = manager.isFailed(textureName) ? this.defaultTexture : manager.get(textureName);
+        if (this.targetTexture === newTex) return;
+
+        const t = this.transition;
+
+        if (this.isTransitioning && newTex === t.from) {
+            t.direction = -1;
+        } else if (this.isTransitioning && newTex === t.to) {
+            t.direction = 1;
+        } else {
+            t.from = this.isTransitioning ? this.captureSnapshot() : this.targetTexture;
+            t.to = newTex;
+            t.progress = 0;
+            t.direction = 1;
+            Object.assign(t, this.resolveTransition(textureName, options));
+        }
 
-        this.material.uniforms.uTex1.value = this.currentSourceTexture;
-        this.material.uniforms.uTex2.value = this.targetTexture;
-        this.material.uniforms.uMix.value = 0.0;
-        this.transitionProgress = 0.0;
+        this.targetTexture = newTex;
         this.isTransitioning = true;
+        this.updateTransitionUniforms();
+    }
+
+    /**
+     * Fade a colour wash over the painting
+     * @param {Object|null} tint - { color (any CSS colour), amount 0..1 }, or null to clear
+     */
+    setTint(tint) {
+        if (!tint) {
+            this.tintTarget.w = 0;
+            return;
+        }
+
+        const color = new THREE.Color(tint.color);
+        // Fading in from nothing: start from the new colour, not the old one
+        if (this.tint.w < 0.01) this.tint.set(color.r, color.g, color.b, this.tint.w);
+        this.tintTarget.set(color.r, color.g, color.b, tint.amount);
     }
 
     /**
-     * Animation loop
+     * Effect settings for a transition: call options win over the
+     * texture's own settings from the manifest, then CONFIG
      */
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    resolveTransition(textureName, options) {
+        const source = this.textureSources[textureName] || {};
+        const perTarget = typeof source.transition === 'string'
+            ? { type: source.transition }
+            : (source.transition || {});
+
+        const type = options.transition || perTarget.type || CONFIG.transition;
+        let effect = this.transitionNames.indexOf(type);
+        if (effect === -1) {
+            console.warn(`Unknown transition "${type}", using "${this.transitionNames[0]}"`);
+            effect = 0;
+        }
 
-        this.time += CONFIG.timeStep;
-        this.material.uniforms.uTime.value = this.time;
+        return {
+            effect,
+            duration: options.duration ?? perTarget.duration ?? CONFIG.transitionDuration,
+            easing: getEasing(options.easing || perTarget.easing || CONFIG.transitionEasing),
+            origin: options.origin || [0.5, 0.5]
+        };
+    }
+
+    /**
+     * Push the transition state into the shader
+     */
+    updateTransitionUniforms() {
+        const t = this.transition;
+        const uniforms = this.material.uniforms;
+
+        uniforms.uTex1.value = t.from;
+        uniforms.uTex2.value = t.to;
+        uniforms.uFit1.value = t.from.userData.fit;
+        uniforms.uFit2.value = t.to.userData.fit;
+        uniforms.uOrient1.value = this.orientationOf(t.from);
+        uniforms.uOrient2.value = this.orientationOf(t.to);
+        uniforms.uEffect.value = t.effect;
+        uniforms.uOrigin.value.set(t.origin[0], t.origin[1]);
+        uniforms.uMix.value = t.easing(t.progress);
+    }
+
+    /**
+     * Render the background as it looks right now (without flow and
+     * vignette, which are applied again on top) into a texture
+     * @returns {THREE.Texture} Snapshot texture, fitted 1:1 to the screen
+     */
+    captureSnapshot() {
+        this.finishStyleFade();
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        if (!this.snapshots) {
+            this.snapshots = [0, 1].map(() => new THREE.WebGLRenderTarget(size.x, size.y, { depthBuffer: false }));
+        }
+
+        // Alternate targets: the current "from" may itself be a snapshot
+        this.snapshotIndex = 1 - this.snapshotIndex;
+        const target = this.snapshots[this.snapshotIndex];
+        target.setSize(size.x, size.y);
+
+        // Effects that are applied again on top of the snapshot
+        const uniforms = this.material.uniforms;
+        const { uFlowStrength, uVignette, uFluidStrength } = uniforms;
+        const flow = uFlowStrength.value;
+        const vignette = uVignette.value;
+        const fluid = uFluidStrength.value;
+        const tint = this.tint.w;
+        uFlowStrength.value = 0;
+        uVignette.value = 0;
+        uFluidStrength.value = 0;
+        this.tint.w = 0;
+
+        // Only the painting, not particles or other extras
+        const hidden = this.scene.children.filter(child => child !== this.mesh && child.visible);
+        hidden.forEach(child => { child.visible = false; });
+
+        this.renderer.setRenderTarget(target);
+        this.renderer.render(this.scene, this.camera);
+        this.renderer.setRenderTarget(null);
+
+        hidden.forEach(child => { child.visible = true; });
+        uFlowStrength.value = flow;
+        uVignette.value = vignette;
+        uFluidStrength.value = fluid;
+        this.tint.w = tint;
+
+        target.texture.userData.fit = new THREE.Vector4(size.x / size.y, 0, 0.5, 0.5);
+        return target.texture;
+    }
+
+    /**
+     * Advance the running transition
+     * @param {number} delta - Seconds since the last frame
+     */
+    updateTransition(delta) {
+        const t = this.transition;
+        t.progress += (delta / Math.max(t.duration, 0.001)) * t.direction;
+
+        if (t.progress >= 1 || t.progress <= 0) {
+            t.progress = t.progress >= 1 ? 1 : 0;
+            this.isTransitioning = false;
+        }
+
+        this.material.uniforms.uMix.value = t.easing(t.progress);
+    }
+
+    /**
+     * Render one frame (subscribed to the shared ticker)
+     * @param {Object} frame - Ticker frame ({ delta } in seconds)
+     */
+    animate(frame) {
+        this.time += CONFIG.timeScale * frame.delta;
+        const uniforms = this.material.uniforms;
+        uniforms.uTime.value = this.time;
+
+        // CONFIG may be edited live from the tuning panel
+        uniforms.uFlowStrength.value = CONFIG.flowStrength;
+        uniforms.uNoiseScale.value.set(CONFIG.noiseScaleLarge, CONFIG.noiseScaleSmall);
+        // The vignette moves into post-processing when that pass is on
+        const vignettePass = this.post.isEnabled('vignette');
+        uniforms.uVignette.value = vignettePass ? 0 : CONFIG.vignette;
+        if (vignettePass) this.post.getPass('vignette').material.uniforms.uAmount.value = CONFIG.vignette;
+        uniforms.uBrushLength.value = CONFIG.brushLength;
+        uniforms.uBrushStrength.value = CONFIG.brushStrength;
+
+        // Ease the tint towards its target
+        this.tint.lerp(this.tintTarget, 1 - Math.exp(-CONFIG.tintSpeed * frame.delta));
 
         // Handle texture transition
         if (this.isTransitioning) {
-            this.transitionProgress += CONFIG.transitionSpeed;
+            this.updateTransition(frame.delta);
+        }
+
+        // Videos and sequences play only while they show in the mix
+        const mix = uniforms.uMix.value;
+        this.textureManager.setVisible([
+            mix < 1 ? this.transition.from : null,
+            mix > 0 ? this.transition.to : null
+        ]);
+        this.textureManager.update(frame.delta);
 
-            if (this.transitionProgress >= 1.0) {
-                this.transitionProgress = 1.0;
-                this.isTransitioning = false;
-            }
+        // Style cross-fade and interaction-driven intensity
+        if (this.styleFade) this.updateStyleFade(frame.delta);
+        this.updateIntensity(frame.delta);
 
-            this.material.uniforms.uMix.value = this.transitionProgress;
+        // Stir and advance the cursor fluid
+        if (this.fluid) {
+            this.fluid.step(frame.delta, this.readPointer());
+            uniforms.uFluid.value = this.fluid.texture;
+            uniforms.uFluidStrength.value = CONFIG.fluidStrength;
         }
 
-        this.renderer.render(this.scene, this.camera);
+        this.post.render(this.scene, this.camera, this.time);
+    }
+
+    /**
+     * Stop drawing while the GPU context is gone
+     */
+    handleContextLost() {
+        this.isContextLost = true;
+        this.stopTick();
+        this.emit('contextlost');
+    }
+
+    /**
+     * The renderer has a fresh context: recompile materials,
+     * re-upload textures and carry on from the same state
+     */
+    handleContextRestored() {
+        this.isContextLost = false;
+
+        // Snapshots lived in GPU memory: finish a transition that started from one
+        if (this.snapshots && this.snapshots.some(target => target.texture === this.transition.from)) {
+            this.transition.progress = 1;
+            this.isTransitioning = false;
+            this.updateTransitionUniforms();
+        }
+
+        if (this.scene) {
+            this.scene.traverse(object => {
+                if (object.material) object.material.needsUpdate = true;
+            });
+        }
+        this.textureManager.restore();
+        [this.blankFluid, this.flatOrientation].forEach(texture => {
+            if (texture) texture.needsUpdate = true;
+        });
+
+        // The fluid lived in GPU memory: start it from rest
+        if (this.fluid) this.fluid.reset();
+
+        this.handleResize();
+        this.emit('contextrestored');
+        if (!this.isPaused) this.resume();
     }
 
     /**
@@ -201,58 +755,189 @@ class Background {
      */
     handleResize() {
         this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.post.setSize();
         if (this.material) {
             this.material.uniforms.uResolution.value.set(window.innerWidth, window.innerHeight);
         }
     }
+
+    /**
+     * Apply quality settings from the quality governor
+     * @param {Object} settings - Tier settings ({ pixelRatio, noiseOctaves, brushSteps, fluid, post, textureBudget })
+     */
+    setQuality(settings) {
+        this.quality = { ...this.quality, ...settings };
+        this.textureManager.setBudget(this.quality.textureBudget);
+
+        if (this.renderer) {
+            this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.quality.pixelRatio));
+            this.renderer.setSize(window.innerWidth, window.innerHeight);
+            this.post.setSize();
+            this.post.setPasses(this.quality.post);
+        }
+        if (this.material) {
+            this.material.uniforms.uOctaves.value = this.quality.noiseOctaves;
+            this.material.uniforms.uBrushSteps.value = this.quality.brushSteps;
+            this.updateFluid();
+        }
+    }
+
+    /**
+     * Stop the render loop
+     */
+    pause() {
+        this.isPaused = true;
+        this.stopTick();
+        this.textureManager.setVisible([]);
+    }
+
+    stopTick() {
+        if (this.removeTick) {
+            this.removeTick();
+            this.removeTick = null;
+        }
+    }
+
+    /**
+     * Restart the render loop
+     */
+    resume() {
+        this.isPaused = false;
+        if (this.isReady && !this.removeTick && !this.isDestroyed && !this.isContextLost) {
+            this.removeTick = ticker.add((frame) => this.animate(frame), PRIORITY.RENDER);
+        }
+    }
+
+    /**
+     * Cleanup: stop rendering, remove listeners and free GPU resources
+     */
+    destroy() {
+        this.pause();
+        this.isDestroyed = true;
+
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+        this.removeAll();
+
+        if (this.scene) {
+            this.scene.traverse(object => {
+                if (object.geometry) object.geometry.dispose();
+                if (object.material) object.material.dispose();
+            });
+        }
+
+        this.textureManager.destroy();
+        this.defaultTexture = null;
+
+        this.disposeFluid();
+        [this.blankFluid, this.flatOrientation].forEach(texture => {
+            if (texture) texture.dispose();
+        });
+        this.blankFluid = null;
+        this.flatOrientation = null;
+
+        if (this.snapshots) {
+            this.snapshots.forEach(target => target.dispose());
+            this.snapshots = null;
+        }
+
+        if (this.post) {
+            this.post.destroy();
+            this.post = null;
+        }
+
+        // Styles that are not in the scene right now
+        Object.values(this.styleMaterials).forEach(material => material.dispose());
+        this.styleMaterials = {};
+        this.styleFade = null;
+
+        if (this.renderer) {
+            this.renderer.dispose();
+            this.renderer.forceContextLoss();
+            this.renderer.domElement.remove();
+        }
+
+        this.scene = null;
+        this.material = null;
+        this.renderer = null;
+    }
 }
 
 /**
- * Add to Background class:
+ * Background with star and firefly particles over the painting
  */
 class AdvancedBackground extends Background {
-    constructor(containerId) {
-        super(containerId);
+    /**
+     * @param {string} containerId - ID of the container element
+     * @param {Object} options - Background options plus { emitters } for the particles (see particles.js)
+     */
+    constructor(containerId, options = {}) {
+        super(containerId, options);
+        this.emitters = options.emitters;
         this.particles = null;
+        this.particleCount = CONFIG.particleCount;
         this.isLowPower = document.body.classList.contains('is-low-power') || document.body.classList.contains('performance-constrained');
         this.initParticles();
     }
 
-    initParticles() {
-        if (this.isLowPower) return;
+    /**
+     * Apply quality settings, resizing or removing particles as the tier allows
+     * @param {Object} settings - Tier settings ({ particles: count, ... })
+     */
+    setQuality(settings) {
+        super.setQuality(settings);
+        if (settings.particles === undefined) return;
+
+        this.isLowPower = !settings.particles;
+        this.particleCount = settings.particles;
+        if (settings.particles) {
+            this.initParticles();
+        } else {
+            this.disposeParticles();
+        }
+    }
 
-        // Create particle system
-        const particleCount = 100;
-        const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(particleCount * 3);
+    initParticles() {
+        if (this.isLowPower || !this.scene) return;
 
-        for (let i = 0; i < particleCount * 3; i += 3) {
-            positions[i] = (Math.random() - 0.5) * 10;
-            positions[i + 1] = (Math.random() - 0.5) * 10;
-            positions[i + 2] = (Math.random() - 0.5) * 10;
+        if (this.particles) {
+            this.particles.setCount(this.particleCount);
+            return;
         }
 
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        this.particles = createParticleField({ count: this.particleCount, emitters: this.emitters });
+        this.scene.add(this.particles.mesh);
+    }
 
-        const material = new THREE.PointsMaterial({
-            color: 0xf5c747,
-            size: 0.05,
-            transparent: true,
-            opacity: 0.5
-        });
+    disposeParticles() {
+        if (!this.particles) return;
 
-        this.particles = new THREE.Points(geometry, material);
-        this.scene.add(this.particles);
+        if (this.scene) this.scene.remove(this.particles.mesh);
+        this.particles.destroy();
+        this.particles = null;
     }
 
-    animate() {
-        super.animate();
-
-        // Animate particles
+    animate(frame) {
+        // Move particles along the flow the painting is about to show
         if (this.particles) {
-            this.particles.rotation.x += 0.001;
-            this.particles.rotation.y += 0.002;
+            this.particles.update(frame.delta, {
+                time: this.time,
+                noiseScale: [CONFIG.noiseScaleLarge, CONFIG.noiseScaleSmall],
+                pointer: this.readPointer()
+            });
         }
+
+        super.animate(frame);
+    }
+
+    handleResize() {
+        super.handleResize();
+        if (this.particles) this.particles.handleResize();
+    }
+
+    destroy() {
+        this.disposeParticles();
+        super.destroy();
     }
 }
 
@@ -260,9 +945,10 @@ class AdvancedBackground extends Background {
 
  * Initialize the background
  * @param {string} containerId - ID of the container element
+ * @param {Object} options - Textures from the content manifest
  * @returns {Background} Background instance
  */
-export function initBackground(containerId = 'canvas-bg') {
-    return new AdvancedBackground(containerId);
+export function initBackground(containerId = 'canvas-bg', options = {}) {
+    return new AdvancedBackground(containerId, options);
 }
 
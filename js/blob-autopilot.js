@@ -0,0 +1,462 @@
+/**
+ * Blob Autopilot Module
+ * Attract mode for the blob cursor: once nobody has touched the page for
+ * a while, the blob is driven along scripted paths (Lissajous curves,
+ * spirals over the Starry Night swirls, a tour of the reveal paintings)
+ * and handed straight back on the first real input.
+ *
+ * It can also record a real pointer session to JSON and replay it, so
+ * choreographies can be authored by performing them:
+ *
+ *   autopilot.startRecording();
+ *   ... move the pointer ...
+ *   autopilot.download(autopilot.stopRecording());
+ *
+ * Recordings are { version, duration, points: [[seconds, x, y]] } with x
+ * and y as 0..1 of the viewport, so they replay on any screen size.
+ */
+
+import { Emitter } from './emitter.js';
+import { ticker, PRIORITY } from './ticker.js';
+import { tuning } from './tuning.js';
+import { pointerInput } from './pointer-input.js';
+
+/**
+ * Configuration
+ */
+const CONFIG = {
+    idleDelay: 15000,        // No input for this long starts the autopilot (ms)
+    segmentDuration: 16,     // Time on each path before moving on (s)
+    blendDuration: 2,        // Cross-fade into each path (s)
+    speed: 1,                // Playback speed of every path
+    paths: ['lissajous', 'spiral', 'tour'], // Rotation (loaded recordings join it)
+    inputEvents: ['mousemove', 'pointerdown', 'touchstart', 'keydown', 'wheel'],
+    recordInterval: 1000 / 30, // Least time between recorded points (ms)
+    fileName: 'choreography.json'
+};
+
+tuning.define('autopilot', CONFIG, {
+    idleDelay: { min: 2000, max: 60000, step: 500, label: 'Idle delay (ms)' },
+    segmentDuration: { min: 4, max: 60, step: 1, label: 'Time per path (s)' },
+    blendDuration: { min: 0.2, max: 6, step: 0.1, label: 'Blend (s)' },
+    speed: { min: 0.1, max: 3, step: 0.05, label: 'Speed' }
+});
+
+/**
+ * Roughly where the swirls sit in The Starry Night, as 0..1 of a
+ * landscape viewport (the background covers it): [x, y, radius]
+ */
+const SWIRLS = [
+    [0.42, 0.36, 0.1],   // The big central swirl
+    [0.6, 0.3, 0.06],    // Its smaller partner
+    [0.25, 0.22, 0.05],  // Left-hand star
+    [0.87, 0.14, 0.07]   // The crescent moon
+];
+
+const smoothstep = t => t * t * (3 - 2 * t);
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+/**
+ * Point between two points, eased
+ */
+function travel(from, to, t) {
+    const k = smoothstep(Math.min(Math.max(t, 0), 1));
+    return { x: lerp(from.x, to.x, k), y: lerp(from.y, to.y, k) };
+}
+
+/**
+ * Paths, keyed by name. Each maps time (s) and the scene
+ * ({ width, height, pairs }) to a point in CSS px.
+ */
+export const PATHS = {
+    lissajous(t, { width, height }) {
+        const phase = t * 0.35;
+        return {
+            x: width * (0.5 + 0.36 * Math.sin(3 * phase + Math.PI / 2)),
+            y: height * (0.5 + 0.32 * Math.sin(2 * phase))
+        };
+    },
+
+    /**
+     * Spiral out of each swirl's centre and back in, then glide to the next
+     */
+    spiral(t, { width, height }) {
+        const hop = 1.2;     // Glide between swirls (s)
+        const turn = 4.5;    // Time on each swirl (s)
+        const period = hop + turn;
+        const index = Math.floor(t / period) % SWIRLS.length;
+        const local = t % period;
+        const [cx, cy, radius] = SWIRLS[index];
+        const centre = { x: cx * width, y: cy * height };
+
+        if (local < hop) {
+            const [px, py] = SWIRLS[(index + SWIRLS.length - 1) % SWIRLS.length];
+            return travel({ x: px * width, y: py * height }, centre, local / hop);
+        }
+
+        const p = (local - hop) / turn;
+        const r = radius * Math.min(width, height) * 2 * Math.sin(Math.PI * p);
+        const angle = p * Math.PI * 2 * 2.5;
+        return { x: centre.x + r * Math.cos(angle), y: centre.y + r * Math.sin(angle) };
+    },
+
+    /**
+     * Circle over each reveal painting on screen in turn
+     */
+    tour(t, scene) {
+        const { width, height, pairs } = scene;
+        const stops = pairs
+            .map(pair => pair.rect)
+            .filter(rect => rect && rect.width && rect.bottom > 0 && rect.top < height && rect.right > 0 && rect.left < width);
+        if (!stops.length) return PATHS.lissajous(t, scene);
+
+        const hop = 1.5;
+        const dwell = 4;
+        const period = hop + dwell;
+        const index = Math.floor(t / period) % stops.length;
+        const local = t % period;
+        const orbit = (rect, angle) => ({
+            x: rect.left + rect.width * (0.5 + 0.28 * Math.cos(angle)),
+            y: rect.top + rect.height * (0.5 + 0.28 * Math.sin(angle))
+        });
+
+        if (local < hop) {
+            const previous = stops[(index + stops.length - 1) % stops.length];
+            return travel(orbit(previous, Math.PI * 2), orbit(stops[index], 0), local / hop);
+        }
+        return orbit(stops[index], ((local - hop) / dwell) * Math.PI * 2);
+    }
+};
+
+/**
+ * Add a path to the library
+ * @param {string} name - Path name
+ * @param {Function} path - (seconds, { width, height, pairs }) => { x, y }
+ */
+export function registerPath(name, path) {
+    PATHS[name] = path;
+}
+
+/**
+ * Path that plays a recording (looping)
+ * @param {Object} recording - { duration, points: [[seconds, x, y]] }
+ * @returns {Function} Path
+ */
+function replayPath(recording) {
+    const { points, duration } = recording;
+    let index = 0; // Last point passed, time only moves forward within a loop
+
+    return (t, { width, height }) => {
+        const time = duration > 0 ? t % duration : 0;
+        if (time < points[index][0]) index = 0;
+        while (index < points.length - 2 && points[index + 1][0] <= time) index++;
+
+        const [t0, x0, y0] = points[index];
+        const [t1, x1, y1] = points[index + 1];
+        const k = t1 > t0 ? Math.min(Math.max((time - t0) / (t1 - t0), 0), 1) : 0;
+        return { x: lerp(x0, x1, k) * width, y: lerp(y0, y1, k) * height };
+    };
+}
+
+/**
+ * Check a recording's shape
+ * @returns {boolean} Whether it can be replayed
+ */
+function isRecording(recording) {
+    return Boolean(recording) && Array.isArray(recording.points) && recording.points.length > 1 &&
+        recording.points.every(point => Array.isArray(point) && point.length >= 3 && point.every(Number.isFinite));
+}
+
+/**
+ * BlobAutopilot class
+ *
+ * Events:
+ *  - 'start' { path } the autopilot took over (path: first path played)
+ *  - 'stop'  {}       real input took control back
+ */
+class BlobAutopilot extends Emitter {
+    /**
+     * @param {BlobCursor} cursor - Blob cursor to drive
+     * @param {Object} options - { getPairs() returning RevealSync pairs, paths: rotation }
+     */
+    constructor(cursor, options = {}) {
+        super();
+        this.cursor = cursor;
+        this.getPairs = options.getPairs || (() => []);
+        this.rotation = (options.paths || CONFIG.paths).filter(name => {
+            if (PATHS[name]) return true;
+            console.warn(`Unknown autopilot path "${name}"`);
+            return false;
+        });
+        this.recordings = {}; // Loaded recordings, name -> path
+
+        this.isRunning = false;
+        this.lastInput = performance.now();
+        this.elapsed = 0;
+        this.from = null;     // Blob position when the autopilot took over
+        this.only = null;     // { name, path } played on its own (play())
+
+        this.recording = null; // { start, last, points } while recording
+        this.isReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+        this.removeTick = null;
+        this.listeners = [];
+
+        this.init();
+    }
+
+    init() {
+        const onInput = () => this.handleInput();
+        CONFIG.inputEvents.forEach(type => this.listen(window, type, onInput, { passive: true, capture: true }));
+        this.resume();
+    }
+
+    /**
+     * Add an event listener that destroy() will remove
+     */
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    /**
+     * Real input: restart the idle clock and hand the blob back
+     */
+    handleInput() {
+        this.lastInput = performance.now();
+        if (this.isRunning) this.stop();
+    }
+
+    /**
+     * Take over the blob
+     * @param {Object} only - { name, path } to play on its own (default: the rotation)
+     */
+    start(only = null) {
+        const name = only ? only.name : this.getRotation()[0];
+        if (!name) return;
+
+        this.only = only;
+        this.elapsed = 0;
+        this.from = this.cursor.getPosition();
+        this.isRunning = true;
+        this.emit('start', { path: name });
+    }
+
+    /**
+     * Give the blob back to the pointer
+     */
+    stop() {
+        if (!this.isRunning) return;
+        this.isRunning = false;
+        this.only = null;
+        this.cursor.release();
+        this.emit('stop', {});
+    }
+
+    /**
+     * Paths in rotation order, recordings last
+     */
+    getRotation() {
+        return this.rotation.concat(Object.keys(this.recordings));
+    }
+
+    getPath(name) {
+        return this.recordings[name] || PATHS[name];
+    }
+
+    /**
+     * Position on a rotation at a time, cross-fading into each segment
+     */
+    pointAt(time, scene) {
+        if (this.only) {
+            const point = this.only.path(time * CONFIG.speed, scene);
+            return travel(this.from, point, time / CONFIG.blendDuration);
+        }
+
+        const names = this.getRotation();
+        const segment = CONFIG.segmentDuration;
+        const index = Math.floor(time / segment);
+        const local = time - index * segment;
+        const point = this.getPath(names[index % names.length])(local * CONFIG.speed, scene);
+
+        // Blend in from the blob's position, or from where the last path left off
+        if (local >= CONFIG.blendDuration) return point;
+        const from = index === 0
+            ? this.from
+            : this.getPath(names[(index - 1) % names.length])((segment + local) * CONFIG.speed, scene);
+        return travel(from, point, local / CONFIG.blendDuration);
+    }
+
+    /**
+     * Frame update: start after the idle delay, then steer the blob
+     * @param {Object} frame - Ticker frame
+     */
+    tick(frame) {
+        if (!this.isRunning) {
+            const idle = frame.now - this.lastInput;
+            if (idle >= CONFIG.idleDelay && !this.recording && !this.isReducedMotion) this.start();
+            return;
+        }
+
+        this.elapsed += frame.delta;
+        const scene = { width: window.innerWidth, height: window.innerHeight, pairs: this.getPairs() };
+        const point = this.pointAt(this.elapsed, scene);
+        this.cursor.showAt(point.x, point.y);
+    }
+
+    /**
+     * Play one path (or a recording) now, until the next real input
+     * @param {string|Object} path - Path name or recording
+     */
+    play(path) {
+        let only = null;
+        if (typeof path === 'object') {
+            if (!isRecording(path)) {
+                console.warn('Autopilot recording is not valid');
+                return;
+            }
+            only = { name: 'recording', path: replayPath(path) };
+        } else if (this.getPath(path)) {
+            only = { name: path, path: this.getPath(path) };
+        } else {
+            console.warn(`Unknown autopilot path "${path}"`);
+            return;
+        }
+        this.stop();
+        this.start(only);
+    }
+
+    /**
+     * Add a recording to the rotation
+     * @param {string} name - Name for it
+     * @param {Object} recording - From stopRecording()
+     * @returns {boolean} Whether it was valid
+     */
+    addRecording(name, recording) {
+        if (!isRecording(recording)) {
+            console.warn(`Autopilot recording "${name}" is not valid`);
+            return false;
+        }
+        this.recordings[name] = replayPath(recording);
+        return true;
+    }
+
+    /**
+     * Fetch a recording and add it to the rotation
+     * @param {string} url - Recording URL
+     * @returns {Promise<boolean>} Whether it was added
+     */
+    load(url) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+                return response.json();
+            })
+            .then(recording => this.addRecording(url, recording))
+            .catch(error => {
+                console.warn(`Failed to load autopilot recording: ${url}`, error);
+                return false;
+            });
+    }
+
+    /**
+     * Start recording the pointer (mouse, pen or first finger)
+     */
+    startRecording() {
+        if (this.recording) return;
+        this.stop();
+
+        const record = (x, y) => {
+            const now = performance.now();
+            const recording = this.recording;
+            if (recording.points.length && now - recording.last < CONFIG.recordInterval) return;
+            recording.last = now;
+            recording.points.push([
+                +((now - recording.start) / 1000).toFixed(3),
+                +(x / window.innerWidth).toFixed(4),
+                +(y / window.innerHeight).toFixed(4)
+            ]);
+        };
+        const remove = pointerInput.on('move', (pointer) => {
+            if (pointer.isPrimary) record(pointer.x, pointer.y);
+        });
+        this.recording = {
+            start: performance.now(),
+            last: 0,
+            points: [],
+            remove
+        };
+    }
+
+    /**
+     * Stop recording
+     * @returns {Object|null} Recording ({ version, duration, points }), null if not recording
+     */
+    stopRecording() {
+        const recording = this.recording;
+        if (!recording) return null;
+
+        recording.remove();
+        this.recording = null;
+        const points = recording.points;
+        return {
+            version: 1,
+            duration: points.length ? points[points.length - 1][0] : 0,
+            points
+        };
+    }
+
+    /**
+     * Save a recording as a file (put it in data/ and load() it)
+     * @param {Object} recording - From stopRecording()
+     */
+    download(recording) {
+        const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = CONFIG.fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    /**
+     * Stop (tab hidden)
+     */
+    pause() {
+        if (this.removeTick) {
+            this.removeTick();
+            this.removeTick = null;
+        }
+    }
+
+    /**
+     * Resume, with a fresh idle clock
+     */
+    resume() {
+        this.lastInput = performance.now();
+        if (!this.removeTick) {
+            this.removeTick = ticker.add((frame) => this.tick(frame), PRIORITY.UPDATE);
+        }
+    }
+
+    // Cleanup
+    destroy() {
+        this.pause();
+        this.stop();
+        if (this.recording) this.stopRecording();
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+        this.removeAll();
+    }
+}
+
+/**
+ * Create the autopilot for a blob cursor
+ * @param {BlobCursor} cursor - Blob cursor to drive
+ * @param {Object} options - { getPairs, paths }
+ * @returns {BlobAutopilot} Autopilot
+ */
+export function createAutopilot(cursor, options = {}) {
+    return new BlobAutopilot(cursor, options);
+}
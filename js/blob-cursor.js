@@ -2,8 +2,32 @@
  * Blob Cursor Module
  * Creates the gooey blob cursor effect with touch support
  * Beautiful interactions for both desktop and mobile
+ *
+ * Blobs hang off the pointer on springs, stretch along their velocity and
+ * squash across it. Drawing is left to a renderer (see blob-renderers.js):
+ * the SVG goo-filter mask, or WebGL metaballs.
+ *
+ * In paint mode the blobs are also a brush: what they pass over stays
+ * revealed (see paint-mask.js). Double-clicking or double-tapping a
+ * painting wipes it, and so does Delete while a painting has focus.
+ *
+ * Keyboard users get a trail too: focusing a reveal target (an element
+ * with data-reveal, see content.js) glides the blob onto it, the arrow
+ * keys move it around inside and Escape recentres it. What is revealed is
+ * announced through the #reveal-status live region.
+ *
+ * Input comes from the shared pointer stream (see pointer-input.js). Each
+ * trail takes the desktop or mobile settings from the kind of pointer
+ * that made it, so touch-screen laptops keep the desktop cursor and get
+ * finger trails too. A pen's pressure sizes its blobs and its tilt leans them.
  */
 
+import { tuning } from './tuning.js';
+import { ticker, PRIORITY } from './ticker.js';
+import { pointerInput } from './pointer-input.js';
+import { createBlobRenderer } from './blob-renderers.js';
+import { createPaintMask } from './paint-mask.js';
+
 /**
  * Configuration for blob cursor
  */
@@ -12,27 +36,123 @@ const CONFIG = {
     desktop: {
         count: 12,
         size: 180,
-        lagPrimary: 0.25,
-        lagSecondary: 0.5
+        stiffness: 900,       // Head spring towards the pointer (1/s²)
+        trailStiffness: 2400, // Each blob's spring towards the one ahead
+        damping: 0.7          // Damping ratio (1 = no overshoot)
     },
     // Mobile/Touch settings (optimized for instant feedback)
     mobile: {
         count: 5, // Slightly increased for better visual quality
         size: 110, // Larger touch area
-        lagPrimary: 0.5, // More responsive (was 0.35)
-        lagSecondary: 0.7  // More responsive (was 0.55)
+        stiffness: 1600, // More responsive
+        trailStiffness: 3600,
+        damping: 0.75
+    },
+    // Squash and stretch
+    shape: {
+        stretchPerSpeed: 0.0003, // Stretch added per px/s of blob speed
+        maxStretch: 0.45         // Most stretch added (0.45: 1.45x long, 0.69x wide)
     },
-    initialPosition: -500,
+    maxStep: 1 / 120, // Longest physics substep (s), keeps stiff springs stable
     // Touch gesture settings
     touch: {
         holdDelay: 0,          // Instant activation (was 150)
         fadeOutDelay: 500,     // Slower fade out for fluidity
-        velocityMultiplier: 1.2 // Smoother following
-    }
+        fadeDuration: 300,     // Trail fade in / out (ms)
+        maxTrails: 4,          // Fingers with their own trail (the quality tier may lower it)
+        doubleTapDelay: 300,   // Paint mode: second tap within this wipes the paint (ms)
+        doubleTapDistance: 40  // ... and within this far of the first (px)
+    },
+    // Pen: pressure scales the blobs, tilt stretches them the way the pen leans
+    pen: {
+        pressureMin: 0.5,      // Blob scale when hovering or barely touching
+        pressureMax: 1.4,      // Blob scale at full pressure
+        tiltStretch: 0.4,      // Stretch added at full tilt
+        response: 12           // How fast the scale follows the pressure (1/s)
+    },
+    // Keyboard and focus
+    keyboard: {
+        selector: '[data-reveal]', // Focusable reveal targets
+        step: 40,                  // Arrow key move (px)
+        fastStep: 120,             // Shift + arrow key move (px)
+        statusId: 'reveal-status'  // Live region for announcements
+    },
+    renderer: 'svg',           // 'svg' or 'webgl' (see blob-renderers.js)
+    mode: 'reveal'             // 'reveal' (only under the blobs) or 'paint' (stays revealed)
 };
 
 /**
- * Detect if device supports touch
+ * Live-editable blob settings (tuning panel / presets)
+ */
+const TUNABLE_BLOB = {
+    count: { min: 1, max: 24, step: 1, label: 'Blob count' },
+    size: { min: 20, max: 400, step: 5, label: 'Blob size' },
+    stiffness: { min: 50, max: 5000, step: 50, label: 'Spring (head)' },
+    trailStiffness: { min: 50, max: 8000, step: 50, label: 'Spring (trail)' },
+    damping: { min: 0.1, max: 2, step: 0.05, label: 'Damping ratio' }
+};
+
+tuning.define('blob.desktop', CONFIG.desktop, TUNABLE_BLOB);
+tuning.define('blob.mobile', CONFIG.mobile, TUNABLE_BLOB);
+tuning.define('blob.shape', CONFIG.shape, {
+    stretchPerSpeed: { min: 0, max: 0.002, step: 0.00005, label: 'Stretch per speed' },
+    maxStretch: { min: 0, max: 1, step: 0.05, label: 'Max stretch' }
+});
+tuning.define('blob.pen', CONFIG.pen, {
+    pressureMin: { min: 0.1, max: 1, step: 0.05, label: 'Scale (light)' },
+    pressureMax: { min: 1, max: 3, step: 0.05, label: 'Scale (full pressure)' },
+    tiltStretch: { min: 0, max: 1, step: 0.05, label: 'Tilt stretch' }
+});
+tuning.define('blob.keyboard', CONFIG.keyboard, {
+    step: { min: 5, max: 200, step: 5, label: 'Arrow step (px)' },
+    fastStep: { min: 20, max: 400, step: 10, label: 'Shift + arrow step (px)' }
+});
+tuning.define('blob.touch', CONFIG.touch, {
+    fadeOutDelay: { min: 0, max: 3000, step: 50, label: 'Fade out delay (ms)' },
+    maxTrails: { min: 1, max: 10, step: 1, label: 'Touch trails' }
+});
+
+/**
+ * Clamp a value to a range
+ */
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Whether an element's focus came from the keyboard (a click on a
+ * focusable painting shouldn't pull a blob onto it)
+ */
+function isFocusVisible(el) {
+    try {
+        return el.matches(':focus-visible');
+    } catch (e) {
+        return true; // Selector not supported: treat all focus as keyboard focus
+    }
+}
+
+/**
+ * Whether a double-click or double-tap there should wipe the paint: only
+ * on a painting, so double-clicking to select text or on a control is safe
+ */
+function isPaintSurface(target) {
+    if (!target || !target.closest) return false;
+    return Boolean(target.closest(CONFIG.keyboard.selector)) &&
+        !target.closest('a, button, input, select, textarea, [contenteditable]');
+}
+
+/**
+ * Text describing a reveal clone (kept beside its focus target, see content.js)
+ * @param {string} revealId - Reveal clone id
+ * @returns {string} Description, empty if there is none
+ */
+function describeReveal(revealId) {
+    const el = document.getElementById(`${revealId}-desc`);
+    return el ? el.textContent : '';
+}
+
+/**
+ * Detect if device supports touch (only a first guess: input decides after that)
  */
 function isTouchDevice() {
     return (
@@ -43,227 +163,639 @@ function isTouchDevice() {
 }
 
 /**
- * BlobCursor class manages the SVG blob mask effect
+ * BlobCursor class moves the blob trails and hands them to a renderer.
+ * The mouse has one trail; every finger and pen gets its own (keyed
+ * 'touch:<id>' / 'pen:<id>'), up to a cap set by the quality tier.
  */
 class BlobCursor {
-    constructor(blobGroupId, cursorDotId) {
+    /**
+     * @param {string} blobGroupId - The SVG mask's blob group
+     * @param {string} cursorDotId - Custom cursor dot element
+     * @param {Object} options - { renderer: 'svg' | 'webgl', getPairs (see setRenderer()),
+     *   mode: 'reveal' | 'paint' }
+     */
+    constructor(blobGroupId, cursorDotId, options = {}) {
         this.blobGroup = document.getElementById(blobGroupId);
         this.cursorDot = document.getElementById(cursorDotId);
-        this.blobs = [];
+        this.trails = new Map();  // id ('mouse', 'manual', 'keyboard', 'touch:<id>', 'pen:<id>') -> trail
+        this.renderer = null;
+        this.rendererOptions = {};
         this.isTouch = isTouchDevice();
-        this.config = this.isTouch ? CONFIG.mobile : CONFIG.desktop;
+        this.inputType = this.isTouch ? 'touch' : 'mouse'; // Last pointer type used
+        this.configs = {};        // 'desktop' / 'mobile' settings scaled by the quality tier
+        this.qualityScale = { count: 1, size: 1 };
+        this.quality = null;      // Last tier settings, passed on to new renderers
+        this.paint = null;        // Paint mask, in paint mode
+        this.lastTap = null;      // { time, x, y } of the last touch, for double-tap
+        this.status = document.getElementById(CONFIG.keyboard.statusId);
+        this.announceTimer = null;
+
+        // Keyboard trail: the focused reveal target, and how far the arrow keys moved off its centre
+        this.focusTarget = null;
+        this.focusOffset = { x: 0, y: 0 };
+        this.focusRect = null;
+        this.removeMeasure = null;
 
-        // Position state
-        this.mouse = {
+        // Last position of the primary trail, kept after its finger lifts
+        this.lastKnown = {
             x: window.innerWidth / 2,
             y: window.innerHeight / 2
         };
-        this.target = { ...this.mouse };
-        this.velocity = { x: 0, y: 0 };
-        this.lastPosition = { ...this.mouse };
-
-        // Touch state
-        this.isTouching = false;
-        this.touchHoldTimer = null;
-        this.fadeOutTimer = null;
-        this.isActive = !this.isTouch; // Start active on desktop, inactive on touch
 
         // Animation state
-        this.rafId = null;
-        this.lastTime = performance.now();
+        this.removeTick = null;
+        this.listeners = [];
 
-        this.init();
+        this.init(options);
     }
 
     /**
      * Initialize the blob cursor
      */
-    init() {
-        this.createBlobs();
+    init(options) {
+        this.refreshConfig();
+        this.setRenderer(options.renderer || CONFIG.renderer, options);
+        this.setMode(options.mode || CONFIG.mode);
+
+        // No trail until there is input: the mouse trail starts on the first
+        // mouse move, so nothing is revealed on page load
         this.bindEvents();
-        this.animate();
+        this.resume();
 
-        // Hide cursor dot on touch devices
-        if (this.isTouch && this.cursorDot) {
-            this.cursorDot.style.display = 'none';
-        }
+        // The cursor dot only follows a mouse
+        if (this.cursorDot) this.cursorDot.classList.toggle('hidden', this.isTouch);
     }
 
     /**
-     * Create SVG circle elements for the blob effect
+     * Switch how the blobs are drawn. WebGL falls back to SVG when it is
+     * unavailable, and when its context keeps getting lost.
+     * @param {string} name - 'svg' or 'webgl'
+     * @param {Object} options - { getPairs } RevealSync pairs for the WebGL reveal
      */
-    createBlobs() {
-        for (let i = 0; i < this.config.count; i++) {
-            const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-            const radius = this.config.size * (1 - i / (this.config.count + 2));
+    setRenderer(name, options = {}) {
+        if (options.getPairs) this.rendererOptions.getPairs = options.getPairs;
+        if (this.renderer) {
+            if (this.renderer.name === name) return;
+            this.renderer.destroy();
+        }
 
-            circle.setAttribute('r', radius);
-            circle.style.transition = 'opacity 0.3s ease';
-            this.blobGroup.appendChild(circle);
+        this.renderer = createBlobRenderer(name, { ...this.rendererOptions, group: this.blobGroup });
+        if (this.quality) this.renderer.setQuality(this.quality);
+        if (this.renderer.once) {
+            this.renderer.once('failed', ({ reason }) => {
+                console.warn(`Metaball reveal lost WebGL (${reason}), using the SVG mask`);
+                this.setRenderer('svg');
+            });
+        }
+    }
+
+    /**
+     * Switch between revealing under the blobs and painting the reveal in.
+     * Leaving paint mode drops the paint.
+     * @param {string} mode - 'reveal' or 'paint'
+     */
+    setMode(mode) {
+        if (mode === this.getMode()) return;
 
-            this.blobs.push({
-                el: circle,
-                x: CONFIG.initialPosition,
-                y: CONFIG.initialPosition,
-                radius: radius
+        if (mode === 'paint') {
+            this.paint = createPaintMask({
+                getPairs: () => (this.rendererOptions.getPairs ? this.rendererOptions.getPairs() : [])
             });
+            this.paint.on('complete', ({ id }) => {
+                const description = describeReveal(id);
+                if (description) this.announce(`${description} is fully painted in.`);
+            });
+            this.paint.on('reset', () => this.announce('Paint wiped.'));
+        } else {
+            if (mode !== 'reveal') console.warn(`Unknown blob cursor mode "${mode}", using reveal`);
+            if (this.paint) this.paint.destroy();
+            this.paint = null;
         }
+    }
+
+    /**
+     * @returns {string} 'reveal' or 'paint'
+     */
+    getMode() {
+        return this.paint ? 'paint' : 'reveal';
+    }
+
+    /**
+     * Paint mask for 'progress' / 'complete' / 'reset' events
+     * @returns {PaintMask|null} Paint mask, null outside paint mode
+     */
+    getPaintMask() {
+        return this.paint;
+    }
+
+    /**
+     * Wipe the painted reveal (paint mode)
+     */
+    resetPaint() {
+        if (this.paint) this.paint.reset();
+    }
+
+    /**
+     * Name of the renderer in use
+     * @returns {string} 'svg' or 'webgl'
+     */
+    getRenderer() {
+        return this.renderer.name;
+    }
+
+    /**
+     * Start a trail of blobs at a point
+     * @param {string} id - Trail key
+     * @param {string} type - 'mouse', 'pen', 'touch', 'manual' or 'keyboard'
+     * @returns {Object} Trail
+     */
+    createTrail(id, x, y, type) {
+        const trail = {
+            id,
+            type,
+            config: this.configFor(type),
+            blobs: [],
+            mouse: { x, y },         // Head blob position
+            target: { x, y },        // Latest pointer position
+            scale: 1,                // Blob size multiplier (pen pressure), eased towards targetScale
+            targetScale: 1,
+            tilt: { amount: 0, angle: 0 }, // Pen tilt, 0-1 and its direction
+            isTouching: false,
+            isActive: false,
+            opacity: 0,              // Eased towards isActive
+            fadeOutTimer: null,
+            removeTimer: null
+        };
+        this.createBlobs(trail);
+        this.trails.set(id, trail);
+        return trail;
+    }
 
-        // Set initial opacity based on device type
-        if (this.isTouch) {
-            this.setBlobOpacity(0);
+    /**
+     * Settings for a kind of trail: fingers get the mobile ones, mice and
+     * pens the desktop ones, anything else follows the last input used
+     */
+    configFor(type) {
+        if (type === 'touch') return this.configs.mobile;
+        if (type === 'mouse' || type === 'pen') return this.configs.desktop;
+        return this.inputType === 'touch' ? this.configs.mobile : this.configs.desktop;
+    }
+
+    /**
+     * Give a trail its blobs, all at the trail's head
+     */
+    createBlobs(trail) {
+        const { count, size } = trail.config;
+        trail.blobs = [];
+        for (let i = 0; i < count; i++) {
+            trail.blobs.push({
+                x: trail.mouse.x,
+                y: trail.mouse.y,
+                vx: 0,
+                vy: 0,
+                radius: size * (1 - i / (count + 2))
+            });
         }
     }
 
     /**
-     * Set opacity for all blobs
+     * Fade a trail in, cancelling any fade out in progress
+     */
+    activateTrail(trail) {
+        this.clearTrailTimers(trail);
+        trail.isActive = true;
+    }
+
+    /**
+     * Fade a trail out after the hold delay, then drop it
+     * (the mouse trail only hides)
+     */
+    fadeOutTrail(trail, delay = CONFIG.touch.fadeOutDelay) {
+        this.clearTrailTimers(trail);
+        trail.fadeOutTimer = setTimeout(() => {
+            trail.fadeOutTimer = null;
+            trail.isActive = false;
+            if (trail.id === 'mouse') return;
+            trail.removeTimer = setTimeout(() => this.removeTrail(trail), CONFIG.touch.fadeDuration);
+        }, delay);
+    }
+
+    clearTrailTimers(trail) {
+        clearTimeout(trail.fadeOutTimer);
+        clearTimeout(trail.removeTimer);
+        trail.fadeOutTimer = null;
+        trail.removeTimer = null;
+    }
+
+    removeTrail(trail) {
+        this.clearTrailTimers(trail);
+        if (this.trails.get(trail.id) === trail) this.trails.delete(trail.id);
+    }
+
+    /**
+     * Most finger and pen trails allowed at once (device cap, lowered by the quality tier)
+     */
+    getMaxTrails() {
+        const tierCap = this.qualityScale.trails || CONFIG.touch.maxTrails;
+        return Math.max(1, Math.min(CONFIG.touch.maxTrails, tierCap));
+    }
+
+    /**
+     * Apply quality settings from the quality governor
+     * @param {Object} settings - Tier settings; blob.count / blob.size scale the desktop and mobile configs, blob.trails caps finger and pen trails
+     */
+    setQuality(settings) {
+        this.quality = settings;
+        this.renderer.setQuality(settings);
+        if (!settings.blob) return;
+
+        this.qualityScale = settings.blob;
+        this.refreshConfig();
+    }
+
+    /**
+     * Recompute the desktop and mobile configs from the tunable settings and
+     * quality scale, rebuilding trails' blobs where their count or size changed
      */
-    setBlobOpacity(opacity) {
-        this.blobs.forEach(blob => {
-            blob.el.style.opacity = opacity;
+    refreshConfig() {
+        const scaled = (base) => ({
+            ...base,
+            count: Math.max(Math.min(3, base.count), Math.round(base.count * this.qualityScale.count)),
+            size: base.size * this.qualityScale.size
+        });
+        this.configs = { desktop: scaled(CONFIG.desktop), mobile: scaled(CONFIG.mobile) };
+        this.enforceTrailCap();
+
+        this.trails.forEach(trail => {
+            const config = this.configFor(trail.type);
+            const needsRebuild = config.count !== trail.config.count || config.size !== trail.config.size;
+            trail.config = config;
+            if (!needsRebuild) return;
+
+            // Rebuild the trail where it is
+            const head = trail.blobs[0] || trail.mouse;
+            trail.mouse = { x: head.x, y: head.y };
+            this.createBlobs(trail);
         });
     }
 
     /**
-     * Bind all events (mouse and touch)
+     * Drop the newest finger and pen trails beyond the cap
      */
-    bindEvents() {
-        // Mouse events (desktop)
-        if (!this.isTouch) {
-            document.addEventListener('mousemove', (e) => this.handleMouseMove(e), { passive: true });
-            document.addEventListener('mousedown', () => this.handleMouseDown());
-            document.addEventListener('mouseup', () => this.handleMouseUp());
-            document.addEventListener('mouseleave', () => this.handleMouseLeave());
-            document.addEventListener('mouseenter', () => this.handleMouseEnter());
-        }
+    enforceTrailCap() {
+        const contactTrails = this.getContactTrails();
+        contactTrails.slice(this.getMaxTrails()).forEach(trail => this.removeTrail(trail));
+    }
 
-        // Touch events (mobile)
-        document.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: true });
-        document.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: true });
-        document.addEventListener('touchend', (e) => this.handleTouchEnd(e), { passive: true });
-        document.addEventListener('touchcancel', (e) => this.handleTouchEnd(e), { passive: true });
+    getContactTrails() {
+        return Array.from(this.trails.values()).filter(trail => trail.type === 'touch' || trail.type === 'pen');
+    }
+
+    /**
+     * Add an event listener that destroy() will remove
+     */
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    /**
+     * Bind all events (pointer stream, keyboard and focus)
+     * Tab visibility is handled by the lifecycle registry via pause()/resume()
+     */
+    bindEvents() {
+        this.listeners.push(
+            pointerInput.on('down', (pointer) => this.handlePointerDown(pointer)),
+            pointerInput.on('move', (pointer) => this.handlePointerMove(pointer)),
+            pointerInput.on('up', (pointer) => this.handlePointerUp(pointer)),
+            pointerInput.on('leave', (pointer) => this.handlePointerLeave(pointer)),
+            pointerInput.on('enter', (pointer) => this.handlePointerEnter(pointer))
+        );
+        this.listen(document, 'dblclick', (e) => {
+            if (isPaintSurface(e.target)) this.resetPaint();
+        });
 
         // Handle orientation change
-        window.addEventListener('orientationchange', () => this.handleOrientationChange());
+        this.listen(window, 'orientationchange', () => this.handleOrientationChange());
 
-        // Handle visibility change (pause when tab is hidden)
-        document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+        // Keyboard and focus
+        this.listen(document, 'focusin', (e) => this.handleFocusIn(e));
+        this.listen(document, 'focusout', (e) => this.handleFocusOut(e));
+        this.listen(document, 'keydown', (e) => this.handleKeyDown(e));
+
+        // Live edits from the tuning panel
+        const offTuning = tuning.on('change', ({ group }) => {
+            if (group.startsWith('blob.')) this.refreshConfig();
+        });
+        this.listeners.push(offTuning);
     }
 
     /**
-     * Handle mouse movement
+     * Key of the trail a pointer drives
      */
-    handleMouseMove(e) {
-        this.updatePosition(e.clientX, e.clientY);
-        this.updateCursorDot(e.clientX, e.clientY);
+    trailKey(pointer) {
+        return pointer.type === 'mouse' ? 'mouse' : `${pointer.type}:${pointer.id}`;
     }
 
     /**
-     * Handle mouse down
+     * Note the kind of pointer in use. The cursor dot is for the mouse
+     * only, and a finger or pen hides the mouse trail until the mouse moves.
      */
-    handleMouseDown() {
-        if (this.cursorDot) {
-            this.cursorDot.classList.add('pressed');
+    setInputType(type) {
+        if (type === this.inputType) return;
+        this.inputType = type;
+
+        const mouseTrail = this.trails.get('mouse');
+        if (type !== 'mouse' && mouseTrail && mouseTrail.isActive) this.fadeOutTrail(mouseTrail, 0);
+        if (this.cursorDot) this.cursorDot.classList.toggle('hidden', type !== 'mouse');
+    }
+
+    /**
+     * Handle a button, finger or pen tip going down
+     */
+    handlePointerDown(pointer) {
+        this.setInputType(pointer.type);
+
+        if (pointer.type === 'mouse') {
+            if (this.cursorDot) this.cursorDot.classList.add('pressed');
+            return;
         }
+
+        this.detectDoubleTap(pointer);
+        this.startContactTrail(pointer);
     }
 
     /**
-     * Handle mouse up
+     * Handle pointer movement - the mouse trail, or that finger's or pen's
      */
-    handleMouseUp() {
-        if (this.cursorDot) {
-            this.cursorDot.classList.remove('pressed');
+    handlePointerMove(pointer) {
+        this.setInputType(pointer.type);
+
+        if (pointer.type === 'mouse') {
+            const trail = this.trails.get('mouse') || this.createTrail('mouse', pointer.x, pointer.y, 'mouse');
+            if (!trail.isActive) this.activateTrail(trail);
+            this.updatePosition(trail, pointer.x, pointer.y);
+            this.updateCursorDot(pointer.x, pointer.y);
+            return;
         }
+
+        let trail = this.trails.get(this.trailKey(pointer));
+        // A hovering pen shows its blob before it touches down
+        if (!trail && pointer.type === 'pen') trail = this.startContactTrail(pointer);
+        if (!trail || (pointer.type === 'touch' && !trail.isTouching)) return;
+
+        // Ensure active
+        if (!trail.isActive) this.activateTrail(trail);
+        this.updatePosition(trail, pointer.x, pointer.y);
+        this.applyStylus(trail, pointer);
     }
 
     /**
-     * Handle mouse leave
+     * Handle release - a lifted finger's trail fades out, a pen keeps
+     * hovering until it leaves
      */
-    handleMouseLeave() {
-        if (this.cursorDot) {
-            this.cursorDot.classList.add('hidden');
+    handlePointerUp(pointer) {
+        if (pointer.type === 'mouse') {
+            if (this.cursorDot) this.cursorDot.classList.remove('pressed');
+            return;
+        }
+
+        const trail = this.trails.get(this.trailKey(pointer));
+        if (!trail || !trail.isTouching) return;
+
+        trail.isTouching = false;
+        this.applyStylus(trail, pointer);
+        if (pointer.type === 'pen' && !pointer.isCancelled) return;
+
+        // Light release haptic
+        if (pointer.type === 'touch' && 'vibrate' in navigator) {
+            navigator.vibrate(5);
         }
+
+        this.fadeOutTrail(trail);
     }
 
     /**
-     * Handle mouse enter
+     * Handle a hovering mouse or pen leaving the window
      */
-    handleMouseEnter() {
-        if (this.cursorDot) {
-            this.cursorDot.classList.remove('hidden');
+    handlePointerLeave(pointer) {
+        if (pointer.type === 'mouse') {
+            if (this.cursorDot) this.cursorDot.classList.add('hidden');
+            return;
+        }
+
+        const trail = this.trails.get(this.trailKey(pointer));
+        if (trail) {
+            trail.isTouching = false;
+            this.fadeOutTrail(trail);
         }
     }
 
     /**
-     * Handle touch start - beautiful reveal effect
+     * Handle a hovering mouse coming back
      */
-    handleTouchStart(e) {
-        if (e.touches.length === 0) return;
+    handlePointerEnter(pointer) {
+        if (pointer.type === 'mouse' && this.cursorDot) {
+            this.cursorDot.classList.remove('hidden');
+        }
+    }
 
-        const touch = e.touches[0];
-        this.isTouching = true;
+    /**
+     * Two quick taps in the same place wipe the paint (paint mode)
+     */
+    detectDoubleTap(pointer) {
+        const tap = { time: performance.now(), x: pointer.x, y: pointer.y };
+        const last = this.lastTap;
+        this.lastTap = tap;
+        if (!this.paint || !last || !isPaintSurface(pointer.target)) return;
 
-        // Haptic feedback for initial touch
-        if ('vibrate' in navigator) {
-            navigator.vibrate(15);
+        if (tap.time - last.time <= CONFIG.touch.doubleTapDelay &&
+            Math.hypot(tap.x - last.x, tap.y - last.y) <= CONFIG.touch.doubleTapDistance) {
+            this.lastTap = null;
+            this.resetPaint();
         }
+    }
+
+    /**
+     * Give a finger or pen its trail. At the cap, a trail that is fading
+     * out is taken over; if every trail is still held, the pointer is ignored.
+     * @returns {Object|null} Trail
+     */
+    startContactTrail(pointer) {
+        const { x, y } = pointer;
+        const id = this.trailKey(pointer);
+        let trail = this.trails.get(id);
 
-        // Clear any pending fade out
-        if (this.fadeOutTimer) {
-            clearTimeout(this.fadeOutTimer);
-            this.fadeOutTimer = null;
+        if (!trail) {
+            const contactTrails = this.getContactTrails();
+            if (contactTrails.length >= this.getMaxTrails()) {
+                const fading = contactTrails.find(candidate => !candidate.isTouching);
+                if (!fading) return null;
+                this.removeTrail(fading);
+            }
+            trail = this.createTrail(id, x, y, pointer.type);
         }
 
-        // Immediately move blobs to touch position
-        this.target.x = touch.clientX;
-        this.target.y = touch.clientY;
-        this.mouse.x = touch.clientX;
-        this.mouse.y = touch.clientY;
+        // Haptic feedback for initial touch
+        if (pointer.type === 'touch' && 'vibrate' in navigator) {
+            navigator.vibrate(15);
+        }
 
-        // Position blobs at touch point
-        this.blobs.forEach(blob => {
-            blob.x = touch.clientX;
-            blob.y = touch.clientY;
+        // Immediately move blobs to the contact point, at rest
+        trail.isTouching = pointer.isDown;
+        trail.target.x = trail.mouse.x = x;
+        trail.target.y = trail.mouse.y = y;
+        trail.blobs.forEach(blob => {
+            blob.x = x;
+            blob.y = y;
+            blob.vx = 0;
+            blob.vy = 0;
         });
+        this.applyStylus(trail, pointer);
+        trail.scale = trail.targetScale;
 
         // Instant activation
-        this.isActive = true;
-        this.setBlobOpacity(1);
+        this.activateTrail(trail);
+        trail.opacity = 1;
+        return trail;
     }
 
     /**
-     * Handle touch move - smooth following
+     * Pen pressure and tilt: bigger blobs the harder it presses, stretched
+     * the way it leans
      */
-    handleTouchMove(e) {
-        if (!this.isTouching || e.touches.length === 0) return;
+    applyStylus(trail, pointer) {
+        if (pointer.type !== 'pen') return;
 
-        const touch = e.touches[0];
+        const { pressureMin, pressureMax } = CONFIG.pen;
+        trail.targetScale = pressureMin + (pressureMax - pressureMin) * pointer.pressure;
 
-        // Ensure active
-        if (!this.isActive) {
-            this.isActive = true;
-            this.setBlobOpacity(1);
+        const tilt = Math.min(1, Math.hypot(pointer.tiltX, pointer.tiltY) / 90);
+        trail.tilt.amount = tilt;
+        if (tilt > 0) trail.tilt.angle = Math.atan2(pointer.tiltY, pointer.tiltX);
+    }
+
+    /**
+     * Handle focus landing on a reveal target - glide a trail onto it
+     */
+    handleFocusIn(e) {
+        const target = e.target;
+        if (!target.matches || !target.matches(CONFIG.keyboard.selector) || !isFocusVisible(target)) return;
+
+        this.focusTarget = target;
+        this.focusOffset = { x: 0, y: 0 };
+        this.focusRect = target.getBoundingClientRect();
+
+        // Start from wherever the cursor is, so the blob visibly travels
+        const from = this.getPosition();
+        const trail = this.trails.get('keyboard') || this.createTrail('keyboard', from.x, from.y, 'keyboard');
+        this.aimFocusTrail(trail);
+        this.activateTrail(trail);
+        this.startMeasuring();
+
+        const description = describeReveal(target.dataset.reveal);
+        if (description) this.announce(`Revealed: ${description}.`);
+    }
+
+    /**
+     * Handle focus leaving a reveal target (unless it moved to another)
+     */
+    handleFocusOut(e) {
+        if (!this.focusTarget || e.target !== this.focusTarget) return;
+        const next = e.relatedTarget;
+        if (next && next.matches && next.matches(CONFIG.keyboard.selector)) return;
+
+        this.focusTarget = null;
+        this.focusRect = null;
+        this.stopMeasuring();
+
+        const trail = this.trails.get('keyboard');
+        if (trail) this.fadeOutTrail(trail, 0);
+    }
+
+    /**
+     * Arrow keys move the keyboard trail around the focused painting,
+     * Escape brings it back to the centre
+     */
+    handleKeyDown(e) {
+        if (!this.focusTarget || e.target !== this.focusTarget || e.altKey || e.ctrlKey || e.metaKey) return;
+
+        const step = e.shiftKey ? CONFIG.keyboard.fastStep : CONFIG.keyboard.step;
+        const moves = {
+            ArrowLeft: [-step, 0],
+            ArrowRight: [step, 0],
+            ArrowUp: [0, -step],
+            ArrowDown: [0, step]
+        };
+
+        if (e.key === 'Escape') {
+            this.focusOffset = { x: 0, y: 0 };
+        } else if ((e.key === 'Delete' || e.key === 'Backspace') && this.paint) {
+            this.resetPaint();
+            return;
+        } else if (moves[e.key]) {
+            const rect = this.focusRect || this.focusTarget.getBoundingClientRect();
+            const [dx, dy] = moves[e.key];
+            // Stay over the painting
+            this.focusOffset.x = clamp(this.focusOffset.x + dx, -rect.width / 2, rect.width / 2);
+            this.focusOffset.y = clamp(this.focusOffset.y + dy, -rect.height / 2, rect.height / 2);
+        } else {
+            return;
         }
 
-        this.updatePosition(touch.clientX, touch.clientY);
+        // The arrows would otherwise scroll the page
+        e.preventDefault();
+        const trail = this.trails.get('keyboard');
+        if (trail) this.aimFocusTrail(trail);
+    }
+
+    /**
+     * Point the keyboard trail at the focused element plus the arrow key offset
+     */
+    aimFocusTrail(trail) {
+        const rect = this.focusRect;
+        if (!rect) return;
+        trail.target.x = rect.left + rect.width / 2 + this.focusOffset.x;
+        trail.target.y = rect.top + rect.height / 2 + this.focusOffset.y;
     }
 
     /**
-     * Handle touch end - beautiful fade out
+     * Measure the focused element every frame (read phase), so the
+     * keyboard trail follows it as the page scrolls
      */
-    handleTouchEnd(e) {
-        this.isTouching = false;
+    measureFocus() {
+        if (!this.focusTarget) return;
+        this.focusRect = this.focusTarget.getBoundingClientRect();
+        const trail = this.trails.get('keyboard');
+        if (trail) this.aimFocusTrail(trail);
+    }
 
-        // Light release haptic
-        if ('vibrate' in navigator) {
-            navigator.vibrate(5);
+    startMeasuring() {
+        if (!this.removeMeasure && this.removeTick) {
+            this.removeMeasure = ticker.add(() => this.measureFocus(), PRIORITY.READ);
         }
+    }
 
-        // Fade out blob after delay
-        this.fadeOutTimer = setTimeout(() => {
-            this.isActive = false;
-            this.setBlobOpacity(0);
-        }, CONFIG.touch.fadeOutDelay);
+    stopMeasuring() {
+        if (this.removeMeasure) {
+            this.removeMeasure();
+            this.removeMeasure = null;
+        }
+    }
+
+    /**
+     * Tell screen reader users what happened (polite live region)
+     * @param {string} message - Text to announce
+     */
+    announce(message) {
+        if (!this.status) return;
+
+        // Clear first so the same message is announced again
+        this.status.textContent = '';
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => {
+            this.status.textContent = message;
+        }, 100);
     }
 
     /**
@@ -272,44 +804,41 @@ class BlobCursor {
     handleOrientationChange() {
         // Reset positions after orientation change
         setTimeout(() => {
-            this.mouse.x = window.innerWidth / 2;
-            this.mouse.y = window.innerHeight / 2;
-            this.target = { ...this.mouse };
+            const x = window.innerWidth / 2;
+            const y = window.innerHeight / 2;
+            this.trails.forEach(trail => {
+                trail.target = { x, y };
+            });
         }, 100);
     }
 
     /**
-     * Handle visibility change
+     * Pause animation (tab hidden)
      */
-    handleVisibilityChange() {
-        if (document.hidden) {
-            // Pause animation when tab is hidden
-            if (this.rafId) {
-                cancelAnimationFrame(this.rafId);
-                this.rafId = null;
-            }
-        } else {
-            // Resume animation
-            if (!this.rafId) {
-                this.lastTime = performance.now();
-                this.animate();
-            }
+    pause() {
+        this.stopMeasuring();
+        if (this.removeTick) {
+            this.removeTick();
+            this.removeTick = null;
         }
     }
 
     /**
-     * Update position with velocity calculation
+     * Resume animation
      */
-    updatePosition(x, y) {
-        // Calculate velocity for trail effect
-        this.velocity.x = (x - this.lastPosition.x) * CONFIG.touch.velocityMultiplier;
-        this.velocity.y = (y - this.lastPosition.y) * CONFIG.touch.velocityMultiplier;
-
-        this.lastPosition.x = this.target.x;
-        this.lastPosition.y = this.target.y;
+    resume() {
+        if (!this.removeTick) {
+            this.removeTick = ticker.add((frame) => this.animate(frame), PRIORITY.WRITE);
+        }
+        if (this.focusTarget) this.startMeasuring();
+    }
 
-        this.target.x = x;
-        this.target.y = y;
+    /**
+     * Point a trail at a new position
+     */
+    updatePosition(trail, x, y) {
+        trail.target.x = x;
+        trail.target.y = y;
     }
 
     /**
@@ -323,116 +852,213 @@ class BlobCursor {
     }
 
     /**
-     * Animation loop with delta time for consistent speed
+     * Animation frame: step the springs, then draw every trail
+     * @param {Object} frame - Ticker frame ({ delta } in seconds)
+     */
+    animate(frame) {
+        const delta = Math.min(frame.delta, 1 / 30); // Don't fling blobs after a stall
+        const fade = delta * 1000 / Math.max(CONFIG.touch.fadeDuration, 1);
+        const blobs = [];
+
+        const grow = Math.min(1, delta * CONFIG.pen.response);
+
+        this.trails.forEach(trail => {
+            trail.opacity = trail.isActive
+                ? Math.min(1, trail.opacity + fade)
+                : Math.max(0, trail.opacity - fade);
+            trail.scale += (trail.targetScale - trail.scale) * grow;
+            this.stepTrail(trail, delta);
+            if (trail.opacity > 0) this.collectBlobs(trail, blobs);
+        });
+
+        if (this.paint) {
+            this.paint.paint(blobs, delta);
+            this.paint.update(delta);
+        }
+        this.renderer.render(blobs, this.paint);
+
+        const primary = this.getPrimaryTrail();
+        if (primary) {
+            this.lastKnown.x = primary.mouse.x;
+            this.lastKnown.y = primary.mouse.y;
+        }
+    }
+
+    /**
+     * Spring-damper chain: the head is pulled towards the pointer and
+     * every other blob towards the one ahead of it
+     * @param {Object} trail - Trail
+     * @param {number} delta - Seconds since the last frame
      */
-    animate() {
-        const currentTime = performance.now();
-        const deltaTime = Math.min((currentTime - this.lastTime) / 16.67, 2); // Normalize to 60fps
-        this.lastTime = currentTime;
+    stepTrail(trail, delta) {
+        const steps = Math.max(1, Math.ceil(delta / CONFIG.maxStep));
+        const h = delta / steps;
+        const { stiffness, trailStiffness, damping } = trail.config;
 
-        // Smooth interpolation to target
-        this.mouse.x += (this.target.x - this.mouse.x) * this.config.lagPrimary * deltaTime;
-        this.mouse.y += (this.target.y - this.mouse.y) * this.config.lagPrimary * deltaTime;
+        for (let step = 0; step < steps; step++) {
+            let targetX = trail.target.x;
+            let targetY = trail.target.y;
 
-        let targetX = this.mouse.x;
-        let targetY = this.mouse.y;
+            trail.blobs.forEach((blob, index) => {
+                const k = index === 0 ? stiffness : trailStiffness;
+                const c = 2 * damping * Math.sqrt(k);
 
-        this.blobs.forEach((blob, index) => {
-            // First blob follows mouse more closely, others trail behind
-            const lag = index === 0 ? this.config.lagPrimary : this.config.lagSecondary;
-            const adjustedLag = lag * deltaTime;
+                // Semi-implicit Euler: velocity first, then position
+                blob.vx += (k * (targetX - blob.x) - c * blob.vx) * h;
+                blob.vy += (k * (targetY - blob.y) - c * blob.vy) * h;
+                blob.x += blob.vx * h;
+                blob.y += blob.vy * h;
 
-            // Smooth interpolation towards target
-            blob.x += (targetX - blob.x) * adjustedLag;
-            blob.y += (targetY - blob.y) * adjustedLag;
+                // Each subsequent blob follows the previous one
+                targetX = blob.x;
+                targetY = blob.y;
+            });
+        }
 
-            // Update SVG circle position
-            blob.el.setAttribute('cx', blob.x);
-            blob.el.setAttribute('cy', blob.y);
+        if (trail.blobs.length) {
+            trail.mouse.x = trail.blobs[0].x;
+            trail.mouse.y = trail.blobs[0].y;
+        }
+    }
 
-            // Dynamic size based on velocity (optional enhancement)
-            if (this.isActive && this.isTouching) {
-                const speed = Math.sqrt(this.velocity.x ** 2 + this.velocity.y ** 2);
-                const sizeMultiplier = 1 + Math.min(speed * 0.002, 0.3);
-                blob.el.setAttribute('r', blob.radius * sizeMultiplier);
-            } else {
-                blob.el.setAttribute('r', blob.radius);
+    /**
+     * Renderer input for a trail, stretched along each blob's velocity
+     */
+    collectBlobs(trail, out) {
+        const lean = 1 + trail.tilt.amount * CONFIG.pen.tiltStretch;
+        trail.blobs.forEach(blob => {
+            const speed = Math.sqrt(blob.vx * blob.vx + blob.vy * blob.vy);
+            let stretch = 1 + Math.min(speed * CONFIG.shape.stretchPerSpeed, CONFIG.shape.maxStretch);
+            let angle = speed > 1 ? Math.atan2(blob.vy, blob.vx) : 0;
+            // A tilted pen leans the blobs more than slow movement stretches them
+            if (lean > stretch) {
+                stretch = lean;
+                angle = trail.tilt.angle;
             }
-
-            // Each subsequent blob follows the previous one
-            targetX = blob.x;
-            targetY = blob.y;
+            out.push({
+                x: blob.x,
+                y: blob.y,
+                radius: blob.radius * trail.scale,
+                stretch,
+                angle,
+                opacity: trail.opacity
+            });
         });
+    }
 
-        // Decay velocity
-        this.velocity.x *= 0.9;
-        this.velocity.y *= 0.9;
+    /**
+     * The trail that stands for "the cursor": the keyboard trail while a
+     * painting has focus, else the mouse, or the longest-held finger or pen
+     * still down (then any trail still showing)
+     * @returns {Object|null} Trail
+     */
+    getPrimaryTrail() {
+        const keyboard = this.trails.get('keyboard');
+        if (this.focusTarget && keyboard) return keyboard;
 
-        this.rafId = requestAnimationFrame(() => this.animate());
+        const trails = Array.from(this.trails.values());
+        return trails.find(trail => trail.isActive && (trail.isTouching || trail.id === 'mouse'))
+            || trails.find(trail => trail.isActive)
+            || trails[0]
+            || null;
     }
 
     /**
-     * Get current mouse/touch position
+     * Get current mouse/touch position (the primary trail's)
      */
     getPosition() {
-        return { ...this.mouse };
+        const primary = this.getPrimaryTrail();
+        return primary ? { ...primary.mouse } : { ...this.lastKnown };
     }
 
     /**
-     * Get all blob positions
+     * Get every active trail's head position
+     * @returns {Array<Object>} [{ id, type, x, y, isTouching }]
+     */
+    getTrails() {
+        return Array.from(this.trails.values())
+            .filter(trail => trail.isActive)
+            .map(trail => ({ id: trail.id, type: trail.type, x: trail.mouse.x, y: trail.mouse.y, isTouching: trail.isTouching }));
+    }
+
+    /**
+     * Get all blob positions (every trail)
      */
     getBlobPositions() {
-        return this.blobs.map(blob => ({ x: blob.x, y: blob.y }));
+        const positions = [];
+        this.trails.forEach(trail => {
+            trail.blobs.forEach(blob => positions.push({ x: blob.x, y: blob.y }));
+        });
+        return positions;
     }
 
     /**
-     * Check if blob is currently active
+     * Check if any trail is currently active
      */
     getIsActive() {
-        return this.isActive;
+        for (const trail of this.trails.values()) {
+            if (trail.isActive) return true;
+        }
+        return false;
     }
 
     /**
-     * Manually show blob at position
+     * Manually show blob at position (the mouse trail once there is a mouse,
+     * else a trail of its own)
      */
     showAt(x, y) {
-        this.target.x = x;
-        this.target.y = y;
-        this.mouse.x = x;
-        this.mouse.y = y;
-        this.isActive = true;
-        this.setBlobOpacity(1);
+        const id = this.trails.has('mouse') ? 'mouse' : 'manual';
+        const trail = this.trails.get(id) || this.createTrail(id, x, y, id);
+        trail.target.x = x;
+        trail.target.y = y;
+        this.activateTrail(trail);
+    }
+
+    /**
+     * Hand a showAt() blob back: without a mouse its trail fades out,
+     * with one the mouse trail simply follows the mouse again
+     */
+    release() {
+        const trail = this.trails.get('manual');
+        if (trail) this.fadeOutTrail(trail, 0);
     }
 
     /**
      * Manually hide blob
      */
     hide() {
-        this.isActive = false;
-        this.setBlobOpacity(0);
+        this.trails.forEach(trail => {
+            trail.isTouching = false;
+            this.fadeOutTrail(trail, 0);
+        });
     }
 
     /**
      * Cleanup
      */
     destroy() {
-        if (this.rafId) {
-            cancelAnimationFrame(this.rafId);
-        }
-        if (this.touchHoldTimer) {
-            clearTimeout(this.touchHoldTimer);
-        }
-        if (this.fadeOutTimer) {
-            clearTimeout(this.fadeOutTimer);
+        this.pause();
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+        this.trails.forEach(trail => this.removeTrail(trail));
+        this.trails.clear();
+        this.focusTarget = null;
+        clearTimeout(this.announceTimer);
+        this.setMode('reveal');
+        if (this.renderer) {
+            this.renderer.destroy();
+            this.renderer = null;
         }
-        this.blobs.forEach(blob => blob.el.remove());
-        this.blobs = [];
     }
 }
 
 /**
  * Initialize the blob cursor effect
+ * @param {string} blobGroupId - The SVG mask's blob group
+ * @param {string} cursorDotId - Custom cursor dot element
+ * @param {Object} options - { renderer: 'svg' | 'webgl', getPairs, mode: 'reveal' | 'paint' }
+ * @returns {BlobCursor} Blob cursor
  */
-export function initBlobCursor(blobGroupId = 'blob-group', cursorDotId = 'cursor-dot') {
-    return new BlobCursor(blobGroupId, cursorDotId);
+export function initBlobCursor(blobGroupId = 'blob-group', cursorDotId = 'cursor-dot', options = {}) {
+    return new BlobCursor(blobGroupId, cursorDotId, options);
 }
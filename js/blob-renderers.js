@@ -0,0 +1,203 @@
+/**
+ * Blob Renderers Module
+ * Ways of drawing the blob cursor's reveal mask. Both take the same list
+ * of blobs every frame: { x, y, radius, stretch, angle, opacity } in CSS px.
+ *  - 'svg':   ellipses in the #blob-mask group, melted by the #goo filter
+ *  - 'webgl': metaballs on a canvas (see metaball-reveal.js)
+ * In paint mode they also get the paint mask (see paint-mask.js) and
+ * reveal whatever has been painted.
+ */
+
+import { isWebGLAvailable } from './webgl-context.js';
+import { createMetaballRenderer } from './metaball-reveal.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Configuration
+ */
+const CONFIG = {
+    paintPixelRatio: 1   // Resolution of the SVG mode's painted reveal canvases (they follow the page, not the mask)
+};
+
+/**
+ * Source rectangle of an image drawn into an area with object-fit
+ * (the paint area is already the image's own box for contain)
+ */
+function fitSource(img, area, fit) {
+    const width = img.naturalWidth;
+    const height = img.naturalHeight;
+    if (fit === 'contain') return [0, 0, width, height];
+
+    const scale = Math.max(area.width / width, area.height / height);
+    const sw = area.width / scale;
+    const sh = area.height / scale;
+    return [(width - sw) / 2, (height - sh) / 2, sw, sh];
+}
+
+/**
+ * SvgBlobRenderer class keeps one ellipse per blob, pooling the
+ * elements of blobs that go away (trails ending, quality changes).
+ * Paint can't go into the SVG mask without re-encoding it as an image
+ * every time it changes, so painted areas are drawn outside the mask:
+ * one canvas per reveal image holding the image cut out by its paint.
+ */
+class SvgBlobRenderer {
+    /**
+     * @param {Element} group - The mask's <g id="blob-group">
+     * @param {Element} container - The reveal container (paint canvases go after it)
+     */
+    constructor(group, container) {
+        this.group = group;
+        this.container = container || document.getElementById('global-reveal-container');
+        this.shapes = []; // Attached: { el, opacity }
+        this.pool = [];   // Detached, ready for reuse
+        this.paintLayer = null;       // Holds the paint canvases, created on first paint
+        this.paintCanvases = new Map(); // Paint layer -> { canvas, ctx, version, width, height }
+    }
+
+    acquire() {
+        const el = this.pool.pop() || document.createElementNS(SVG_NS, 'ellipse');
+        el.style.opacity = 0;
+        this.group.appendChild(el);
+        return { el, opacity: 0 };
+    }
+
+    release(shape) {
+        shape.el.remove();
+        this.pool.push(shape.el);
+    }
+
+    /**
+     * @param {Array<Object>} blobs - [{ x, y, radius, stretch, angle, opacity }]
+     * @param {PaintMask} paint - Paint mask, in paint mode
+     */
+    render(blobs, paint = null) {
+        this.renderPaint(paint);
+
+        while (this.shapes.length < blobs.length) this.shapes.push(this.acquire());
+        while (this.shapes.length > blobs.length) this.release(this.shapes.pop());
+
+        blobs.forEach((blob, i) => {
+            const shape = this.shapes[i];
+            const { el } = shape;
+            const x = blob.x.toFixed(1);
+            const y = blob.y.toFixed(1);
+
+            el.setAttribute('cx', x);
+            el.setAttribute('cy', y);
+            el.setAttribute('rx', (blob.radius * blob.stretch).toFixed(1));
+            el.setAttribute('ry', (blob.radius / blob.stretch).toFixed(1));
+            el.setAttribute('transform', `rotate(${(blob.angle * 180 / Math.PI).toFixed(1)} ${x} ${y})`);
+
+            if (shape.opacity !== blob.opacity) {
+                shape.opacity = blob.opacity;
+                el.style.opacity = blob.opacity;
+            }
+        });
+    }
+
+    /**
+     * Painted reveals: each paint layer's reveal image, cut out by the
+     * paint, on a canvas laid over the image. Redrawn only when the paint
+     * (or the image's size) changed; scrolling just moves the canvas.
+     */
+    renderPaint(paint) {
+        const layers = paint ? paint.getLayers() : [];
+
+        this.paintCanvases.forEach((entry, layer) => {
+            if (layers.includes(layer)) return;
+            entry.canvas.remove();
+            this.paintCanvases.delete(layer);
+        });
+        if (!layers.length) return;
+
+        if (!this.paintLayer) {
+            this.paintLayer = document.createElement('div');
+            this.paintLayer.className = 'paint-reveal';
+            this.paintLayer.setAttribute('aria-hidden', 'true');
+            this.container.after(this.paintLayer);
+        }
+
+        layers.forEach(layer => {
+            let entry = this.paintCanvases.get(layer);
+            if (!entry) {
+                const canvas = document.createElement('canvas');
+                this.paintLayer.appendChild(canvas);
+                entry = { canvas, ctx: canvas.getContext('2d'), version: -1, width: 0, height: 0 };
+                this.paintCanvases.set(layer, entry);
+            }
+
+            const { canvas, ctx } = entry;
+            const { area, pair } = layer;
+            canvas.style.transform = `translate(${area.left.toFixed(1)}px, ${area.top.toFixed(1)}px)`;
+            canvas.style.width = `${area.width.toFixed(1)}px`;
+            canvas.style.height = `${area.height.toFixed(1)}px`;
+
+            const width = Math.max(1, Math.round(area.width * CONFIG.paintPixelRatio));
+            const height = Math.max(1, Math.round(area.height * CONFIG.paintPixelRatio));
+            if (entry.version === layer.version && entry.width === width && entry.height === height) return;
+
+            if (canvas.width !== width || canvas.height !== height) {
+                canvas.width = width;
+                canvas.height = height;
+            }
+            ctx.globalCompositeOperation = 'source-over';
+            ctx.clearRect(0, 0, width, height);
+            ctx.drawImage(pair.reveal, ...fitSource(pair.reveal, area, pair.fit), 0, 0, width, height);
+            ctx.globalCompositeOperation = 'destination-in';
+            ctx.drawImage(layer.canvas, 0, 0, width, height);
+
+            entry.version = layer.version;
+            entry.width = width;
+            entry.height = height;
+        });
+    }
+
+    setQuality() { }
+
+    destroy() {
+        this.shapes.forEach(shape => shape.el.remove());
+        this.shapes = [];
+        this.pool = [];
+        this.paintCanvases.clear();
+        if (this.paintLayer) this.paintLayer.remove();
+        this.paintLayer = null;
+    }
+}
+
+/**
+ * Create a blob renderer, falling back to SVG when WebGL can't be used
+ * @param {string} name - 'webgl' or 'svg'
+ * @param {Object} options - { group (svg), container, getPairs, pixelRatio (webgl) }
+ * @returns {Object} Renderer with render(blobs, paint), setQuality(settings), destroy() and a name
+ */
+export function createBlobRenderer(name, options = {}) {
+    if (name === 'webgl') {
+        if (isWebGLAvailable()) {
+            try {
+                const renderer = createMetaballRenderer(options);
+                renderer.name = 'webgl';
+                return renderer;
+            } catch (error) {
+                console.warn('Metaball reveal failed to start, using the SVG mask:', error);
+            }
+        } else {
+            console.warn('WebGL unavailable, using the SVG blob mask');
+        }
+    } else if (name !== 'svg') {
+        console.warn(`Unknown blob renderer "${name}", using the SVG mask`);
+    }
+
+    const renderer = new SvgBlobRenderer(options.group, options.container);
+    renderer.name = 'svg';
+    return renderer;
+}
+
+/**
+ * Renderer named in the page URL (?mask=svg or ?mask=webgl)
+ * @returns {string|null} Name, or null when absent
+ */
+export function blobRendererFromUrl() {
+    return new URLSearchParams(window.location.search).get('mask');
+}
@@ -0,0 +1,317 @@
+/**
+ * Content Module
+ * Loads the JSON content manifest and renders the hero, the portfolio
+ * grid and the Van Gogh reveal clones from it (or a notice if it fails)
+ */
+
+import { loadingManager } from './loading-manager.js';
+
+/**
+ * Configuration
+ */
+const CONFIG = {
+    url: 'data/content.json',
+    videoPattern: /\.(mp4|webm|ogv|mov)(\?|#|$)/i,
+    firstCardRow: 2, // Row 1 of each grid holds the section title
+    revealHintId: 'reveal-hint', // Describes how to use a focused reveal (see index.html)
+    errorMessage: "The rest of the portfolio didn't load. Check your connection and try again.",
+    // Card layouts map to the existing alternating grid styles
+    layouts: {
+        'image-left': 1,
+        'image-right': 2
+    }
+};
+
+/**
+ * Fetch the content manifest (tracked as a loading asset)
+ * @param {string} url - Manifest URL
+ * @returns {Promise<Object>} Parsed manifest
+ */
+export function loadContent(url = CONFIG.url) {
+    return loadingManager.track(url, fetch(url).then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+        return response.json();
+    }));
+}
+
+/**
+ * Normalise a texture entry from the manifest.
+ * Entries are a URL, or { src, placeholder, fit, focus, transition, tint } where
+ * src is an image or a video (mp4/webm, or type: 'video'), or { frames, fps }
+ * for an image sequence. placeholder (or poster) is a small image shown until
+ * src has loaded, and instead of a video that can't play. fit is
+ * 'cover' (default) or 'contain', focus is the [x, y] point to keep in view,
+ * 0..1 from the top-left like CSS background-position, and transition is the
+ * effect used when switching to this texture (a name, or { type, duration, easing }).
+ * tint is a colour wash shown with it ("#f5c747" or "#f5c747 0.3", see background-director.js).
+ * @param {string|Object} entry - Manifest texture entry
+ * @returns {Object} { type ('image', 'video' or 'sequence'), src, frames, fps, placeholder, fit, focus, transition, tint }
+ */
+export function textureSource(entry) {
+    const source = typeof entry === 'string' ? { src: entry } : { ...entry };
+    const frames = Array.isArray(source.frames) && source.frames.length ? source.frames : null;
+    let type = 'image';
+    if (frames) type = 'sequence';
+    else if (source.type === 'video' || CONFIG.videoPattern.test(source.src || '')) type = 'video';
+
+    return {
+        type,
+        src: source.src || (frames ? frames[0] : undefined),
+        frames,
+        fps: source.fps || null,
+        placeholder: source.placeholder || source.poster || null,
+        fit: source.fit === 'contain' ? 'contain' : 'cover',
+        focus: Array.isArray(source.focus) ? source.focus : [0.5, 0.5],
+        transition: source.transition || null,
+        tint: source.tint || null
+    };
+}
+
+/**
+ * Create an element with classes and optional text
+ */
+function createElement(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+}
+
+/**
+ * ContentRenderer class builds page markup from a manifest
+ */
+class ContentRenderer {
+    constructor(content) {
+        this.content = content;
+
+        // What the rest of the app needs to wire itself up
+        this.pairs = [];        // RevealSync pairs { baseId, revealId, fit }
+        this.textures = {};     // Background textures { name: textureSource() }
+        this.images = [];       // Every image URL the page shows
+        this.criticalImages = []; // Images shown on first paint (worth preloading)
+    }
+
+    /**
+     * Render everything into the page
+     * @returns {ContentRenderer} This instance
+     */
+    render() {
+        const backgrounds = this.content.backgrounds || {};
+        Object.keys(backgrounds).forEach(name => {
+            this.textures[name] = textureSource(backgrounds[name]);
+        });
+
+        const main = document.getElementById('main-content');
+        const revealContainer = document.getElementById('global-reveal-container');
+
+        if (this.content.hero) {
+            this.renderHero(this.content.hero, main, revealContainer);
+        }
+
+        (this.content.sections || []).forEach(section => {
+            main.appendChild(this.renderSection(section, revealContainer));
+        });
+
+        return this;
+    }
+
+    /**
+     * Render the hero image into the existing hero section. index.html
+     * serves the hero already so it paints without waiting for the
+     * manifest; when its image matches, it is kept and only enhanced.
+     */
+    renderHero(hero, main, revealContainer) {
+        let section = main.querySelector('.section-hero');
+        if (!section) {
+            section = createElement('section', 'section-hero');
+            main.prepend(section);
+        }
+        section.setAttribute('aria-label', hero.label || 'Hero section');
+
+        let layer = section.querySelector('.layer-base');
+        let img = layer && layer.querySelector('.main-img');
+        if (!img || img.getAttribute('src') !== hero.image) {
+            section.replaceChildren();
+            layer = createElement('div', 'layer-container layer-base');
+            img = createElement('img', 'main-img');
+            img.src = hero.image;
+            layer.appendChild(img);
+            section.appendChild(layer);
+        }
+        img.alt = hero.alt || '';
+        img.id = `${hero.id}-base`;
+        this.makeRevealTarget(layer, hero);
+        section.dataset.bg = 'default';
+
+        this.addReveal(hero, revealContainer, 'eager');
+    }
+
+    /**
+     * Render one grid section with its title and cards
+     */
+    renderSection(section, revealContainer) {
+        const el = createElement('section', 'section-content');
+        const grid = createElement('div', 'grid-container');
+
+        if (section.title) {
+            const title = createElement('div', 'huge-text');
+            [].concat(section.title).forEach((line, i) => {
+                if (i > 0) title.appendChild(document.createElement('br'));
+                title.appendChild(document.createTextNode(line));
+            });
+            grid.appendChild(title);
+        }
+
+        (section.cards || []).forEach((card, index) => {
+            this.renderCard(card, CONFIG.firstCardRow + index).forEach(node => grid.appendChild(node));
+            this.addReveal(card, revealContainer, 'lazy');
+        });
+
+        el.appendChild(grid);
+        return el;
+    }
+
+    /**
+     * Render a card's image and text blocks
+     * @returns {Array<Element>} Nodes in source order
+     */
+    renderCard(card, row) {
+        const variant = CONFIG.layouts[card.layout] || 1;
+
+        const imageWrap = createElement('div', `card-img-${variant}`);
+        const img = createElement('img', 'painting-img');
+        img.src = card.image;
+        img.alt = card.alt || '';
+        img.id = `${card.id}-base`;
+        img.loading = 'lazy';
+        imageWrap.appendChild(img);
+        this.makeRevealTarget(imageWrap, card);
+
+        const textWrap = createElement('div', `card-text-${variant}`);
+        textWrap.appendChild(this.renderText(card.text || {}));
+
+        // Rows come from the card's position so any number of cards stack
+        [imageWrap, textWrap].forEach(node => node.style.setProperty('--card-row', row));
+
+        // The background director reads these (see background-director.js)
+        if (card.background) {
+            const source = textureSource(card.background);
+            this.textures[card.id] = source;
+            [imageWrap, textWrap].forEach(node => {
+                node.dataset.bg = card.id;
+                if (source.tint) node.dataset.bgTint = source.tint;
+            });
+            // Hovering the painting (not its caption) keeps the desktop reveal
+            textWrap.dataset.bgTrigger = 'scroll focus';
+        }
+
+        // Keep the visual order of the original layouts for screen readers too
+        return variant === 1 ? [imageWrap, textWrap] : [textWrap, imageWrap];
+    }
+
+    /**
+     * Render card text (a styled panel or a quote)
+     */
+    renderText(text) {
+        if (text.type === 'quote') {
+            const quote = createElement('div', 'quote-container font-typewriter');
+            quote.appendChild(createElement('p', 'quote-text', text.quote));
+            if (text.author) quote.appendChild(createElement('p', 'quote-author', text.author));
+            return quote;
+        }
+
+        const fragment = document.createDocumentFragment();
+        (text.lines || []).forEach((line, i) => {
+            if (i > 0) fragment.appendChild(document.createElement('br'));
+
+            if (line.style === 'accent') {
+                fragment.appendChild(createElement('strong', 'text-accent', line.text));
+            } else if (line.style === 'muted') {
+                fragment.appendChild(createElement('span', 'text-small text-muted', line.text));
+            } else {
+                fragment.appendChild(document.createTextNode(line.text));
+            }
+        });
+        return fragment;
+    }
+
+    /**
+     * Let keyboard users reach a painting: focusing it moves the blob
+     * cursor there (see blob-cursor.js) and picks its background. The
+     * reveal clone itself is hidden from screen readers, so its
+     * description lives here, in a visually hidden '<reveal id>-desc'.
+     */
+    makeRevealTarget(el, item) {
+        if (!item.reveal) return;
+
+        const description = createElement('span', 'visually-hidden');
+        description.id = `${item.id}-reveal-desc`;
+        description.textContent = this.revealAlt(item);
+        el.appendChild(description);
+
+        el.tabIndex = 0;
+        el.dataset.reveal = `${item.id}-reveal`;
+        el.setAttribute('role', 'group');
+        el.setAttribute('aria-label', item.alt || item.label || 'Painting');
+        el.setAttribute('aria-describedby', `${description.id} ${CONFIG.revealHintId}`);
+    }
+
+    /**
+     * Description of a reveal clone: the manifest's revealAlt, or one made from the image's alt
+     */
+    revealAlt(item) {
+        if (item.revealAlt) return item.revealAlt;
+        return item.alt ? `${item.alt}, repainted in the style of Van Gogh` : 'Van Gogh style painting';
+    }
+
+    /**
+     * Add the stylised reveal clone and register the pair
+     */
+    addReveal(item, revealContainer, loading) {
+        this.images.push(item.image);
+        if (loading === 'eager') this.criticalImages.push(item.image);
+        if (!item.reveal) return;
+
+        const reveal = createElement('img', 'reveal-img-clone');
+        reveal.src = item.reveal;
+        reveal.alt = '';
+        reveal.id = `${item.id}-reveal`;
+        reveal.loading = loading;
+        revealContainer.appendChild(reveal);
+
+        this.images.push(item.reveal);
+        if (loading === 'eager') this.criticalImages.push(item.reveal);
+        this.pairs.push({
+            baseId: `${item.id}-base`,
+            revealId: reveal.id,
+            fit: item.fit || 'cover'
+        });
+    }
+}
+
+/**
+ * Tell the visitor the rest of the page couldn't load. The served hero
+ * stays up; this goes under it with a way to try again.
+ */
+export function renderContentError() {
+    const main = document.getElementById('main-content');
+    if (!main || main.querySelector('.content-error')) return;
+
+    const notice = createElement('section', 'content-error');
+    notice.setAttribute('role', 'alert');
+    notice.appendChild(createElement('p', null, CONFIG.errorMessage));
+    const retry = createElement('button', 'contact-btn', 'Try again');
+    retry.type = 'button';
+    retry.addEventListener('click', () => location.reload());
+    notice.appendChild(retry);
+    main.appendChild(notice);
+}
+
+/**
+ * Render a content manifest into the page
+ * @param {Object} content - Parsed manifest
+ * @returns {ContentRenderer} Renderer holding pairs and textures
+ */
+export function renderContent(content) {
+    return new ContentRenderer(content).render();
+}
@@ -0,0 +1,77 @@
+/**
+ * Emitter Module
+ * Minimal event emitter shared by modules that publish state changes
+ */
+
+/**
+ * Emitter class keeps a set of handlers per event name
+ */
+export class Emitter {
+    constructor() {
+        this.handlers = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} type - Event name
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} type - Event name
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    once(type, handler) {
+        const off = this.on(type, (payload) => {
+            off();
+            handler(payload);
+        });
+        return off;
+    }
+
+    /**
+     * Remove a handler
+     * @param {string} type - Event name
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(type, handler) {
+        const set = this.handlers.get(type);
+        if (set) set.delete(handler);
+    }
+
+    /**
+     * Notify all handlers of an event
+     * @param {string} type - Event name
+     * @param {*} payload - Event payload
+     */
+    emit(type, payload) {
+        const set = this.handlers.get(type);
+        if (!set) return;
+
+        // Copy so handlers can unsubscribe while we iterate
+        [...set].forEach(handler => {
+            try {
+                handler(payload);
+            } catch (e) {
+                console.error(`Handler for "${type}" failed:`, e);
+            }
+        });
+    }
+
+    /**
+     * Drop every handler
+     */
+    removeAll() {
+        this.handlers.clear();
+    }
+}
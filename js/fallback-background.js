@@ -0,0 +1,162 @@
+/**
+ * Fallback Background Module
+ * CSS/SVG rendering of the background for browsers without WebGL:
+ * the #vangogh-filter turbulence gives the painted look and textures
+ * cross-fade with CSS transitions. The background director decides
+ * which texture shows.
+ */
+
+import { loadingManager } from './loading-manager.js';
+import { textureSource } from './content.js';
+
+/**
+ * Configuration
+ */
+const CONFIG = {
+    filter: 'url(#vangogh-filter)',
+    activeClass: 'is-active',
+    // Used when the content manifest does not name a default background
+    textures: {
+        default: 'images/backgrounds/loading.jpg'
+    }
+};
+
+/**
+ * FallbackBackground class mirrors the Background API (setTarget,
+ * setQuality, pause, resume, destroy) without touching the GPU
+ */
+class FallbackBackground {
+    /**
+     * @param {string} containerId - ID of the container element
+     * @param {Object} options - { textures: { name: url | { src, fit, focus } } }
+     */
+    constructor(containerId, options = {}) {
+        this.container = document.getElementById(containerId);
+        this.el = null;
+        this.layers = {};
+        this.textureSources = {};
+        Object.entries({ ...CONFIG.textures, ...(options.textures || {}) }).forEach(([name, entry]) => {
+            this.textureSources[name] = textureSource(entry);
+        });
+        this.target = 'default';
+
+        this.init();
+    }
+
+    init() {
+        this.el = document.createElement('div');
+        this.el.className = 'fallback-bg';
+        this.el.setAttribute('aria-hidden', 'true');
+        this.container.classList.add('is-fallback');
+        this.container.appendChild(this.el);
+
+        // One layer per distinct image and fit, shared by names that point to it
+        const byKey = {};
+        Object.keys(this.textureSources).forEach(name => {
+            const source = this.textureSources[name];
+            const key = JSON.stringify(source);
+            if (!byKey[key]) byKey[key] = this.createLayer(source);
+            this.layers[name] = byKey[key];
+        });
+
+        this.layers.default.classList.add(CONFIG.activeClass);
+        this.setQuality({ noiseOctaves: 2 });
+    }
+
+    /**
+     * Create an image layer (counted by the loading manager, shares
+     * the download with the preloader). Fit and focus map to
+     * background-size and background-position.
+     */
+    createLayer(source) {
+        const layer = document.createElement('div');
+        layer.className = 'fallback-bg-layer';
+        layer.style.backgroundSize = source.fit;
+        layer.style.backgroundPosition = source.focus.map(value => `${value * 100}%`).join(' ');
+        this.el.appendChild(layer);
+
+        // CSS can't play videos: their poster stands in
+        const url = source.type === 'video' ? source.placeholder : source.src;
+        Promise.resolve(url ? loadingManager.loadImage(url) : null).then(image => {
+            if (image) {
+                layer.style.backgroundImage = `url("${url}")`;
+            } else if (layer !== this.layers.default) {
+                // Show the default painting instead of an empty layer
+                Object.keys(this.layers).forEach(name => {
+                    if (this.layers[name] === layer) this.layers[name] = this.layers.default;
+                });
+                if (layer.classList.contains(CONFIG.activeClass)) {
+                    this.layers.default.classList.add(CONFIG.activeClass);
+                }
+                layer.remove();
+            }
+        });
+        return layer;
+    }
+
+    /**
+     * Cross-fade to a texture (CSS can only fade, so only the
+     * transition duration and tint are honoured)
+     * @param {string} textureName - Name of texture to show
+     * @param {Object} options - { duration } in seconds, { tint: { color, amount } | null }
+     */
+    setTarget(textureName, options = {}) {
+        if (options.tint !== undefined) this.setTint(options.tint);
+
+        const next = this.layers[textureName];
+        const current = this.layers[this.target];
+        if (!next || next === current) return;
+
+        const source = this.textureSources[textureName] || {};
+        const duration = options.duration ?? (source.transition && source.transition.duration);
+        next.style.transitionDuration = duration !== undefined ? `${duration}s` : '';
+        current.style.transitionDuration = next.style.transitionDuration;
+
+        current.classList.remove(CONFIG.activeClass);
+        next.classList.add(CONFIG.activeClass);
+        this.target = textureName;
+    }
+
+    /**
+     * Multiply a colour over the layers (see .fallback-bg::after)
+     * @param {Object|null} tint - { color, amount }, or null to clear
+     */
+    setTint(tint) {
+        if (tint) this.el.style.setProperty('--bg-tint', tint.color);
+        this.el.style.setProperty('--bg-tint-amount', tint ? tint.amount : 0);
+    }
+
+    /**
+     * The SVG filter is the expensive part: drop it on the lowest tier
+     * @param {Object} settings - Tier settings ({ noiseOctaves })
+     */
+    setQuality(settings) {
+        if (settings.noiseOctaves === undefined) return;
+        this.el.style.filter = settings.noiseOctaves > 1 ? CONFIG.filter : 'none';
+    }
+
+    pause() {
+        this.el.classList.add('is-paused');
+    }
+
+    resume() {
+        this.el.classList.remove('is-paused');
+    }
+
+    // Cleanup
+    destroy() {
+        this.container.classList.remove('is-fallback');
+        this.el.remove();
+        this.layers = {};
+    }
+}
+
+/**
+ * Initialize the CSS/SVG background
+ * @param {string} containerId - ID of the container element
+ * @param {Object} options - Textures from the content manifest
+ * @returns {FallbackBackground} Fallback instance
+ */
+export function initFallbackBackground(containerId = 'canvas-bg', options = {}) {
+    return new FallbackBackground(containerId, options);
+}
@@ -0,0 +1,474 @@
+/**
+ * Fluid Simulation Module
+ * Small GPU stable-fluids solver (ping-pong render targets) stirred by the
+ * pointer. Besides velocity it advects a UV offset field, so the painting
+ * behind it is carried around the eddies and slowly relaxes back.
+ */
+
+import { tuning } from './tuning.js';
+
+/**
+ * Configuration (live-editable through the tuning panel)
+ */
+const CONFIG = {
+    splatForce: 4000,          // Pointer movement (UV per frame) to velocity
+    splatRadius: 0.0025,       // Gaussian radius of a pointer splat (UV²)
+    curl: 25,                  // Vorticity confinement: keeps eddies curling
+    velocityDissipation: 0.6,  // Per second
+    pressureDecay: 0.8,        // Pressure kept between frames (warm start)
+    relax: 0.35,               // How fast the painting drifts back (per second)
+    maxOffset: 0.25            // Largest UV displacement of the painting
+};
+
+tuning.define('fluid', CONFIG, {
+    splatForce: { min: 0, max: 20000, step: 100, label: 'Stir force' },
+    splatRadius: { min: 0.0005, max: 0.02, step: 0.0005, label: 'Stir radius' },
+    curl: { min: 0, max: 60, step: 1, label: 'Curl' },
+    velocityDissipation: { min: 0, max: 4, step: 0.05, label: 'Velocity dissipation' },
+    relax: { min: 0, max: 3, step: 0.05, label: 'Relax speed' }
+});
+
+const baseVertexShader = `
+    uniform vec2 texelSize;
+    varying vec2 vUv;
+    varying vec2 vL;
+    varying vec2 vR;
+    varying vec2 vT;
+    varying vec2 vB;
+
+    void main() {
+        vUv = uv;
+        vL = uv - vec2(texelSize.x, 0.0);
+        vR = uv + vec2(texelSize.x, 0.0);
+        vT = uv + vec2(0.0, texelSize.y);
+        vB = uv - vec2(0.0, texelSize.y);
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+// Self-advect velocity and add the pointer splat
+const advectShader = `
+    uniform sampler2D uVelocity;
+    uniform vec2 texelSize;
+    uniform float dt;
+    uniform float dissipation;
+    uniform vec2 uPoint;
+    uniform vec2 uForce;
+    uniform float uRadius;
+    uniform float uAspect;
+    varying vec2 vUv;
+
+    void main() {
+        vec2 coord = vUv - dt * texture2D(uVelocity, vUv).xy * texelSize;
+        vec2 velocity = texture2D(uVelocity, coord).xy / (1.0 + dissipation * dt);
+
+        vec2 p = vUv - uPoint;
+        p.x *= uAspect;
+        velocity += uForce * exp(-dot(p, p) / uRadius);
+
+        gl_FragColor = vec4(velocity, 0.0, 1.0);
+    }
+`;
+
+const curlShader = `
+    uniform sampler2D uVelocity;
+    varying vec2 vL;
+    varying vec2 vR;
+    varying vec2 vT;
+    varying vec2 vB;
+
+    void main() {
+        float L = texture2D(uVelocity, vL).y;
+        float R = texture2D(uVelocity, vR).y;
+        float T = texture2D(uVelocity, vT).x;
+        float B = texture2D(uVelocity, vB).x;
+        gl_FragColor = vec4(0.5 * (R - L - T + B), 0.0, 0.0, 1.0);
+    }
+`;
+
+const vorticityShader = `
+    uniform sampler2D uVelocity;
+    uniform sampler2D uCurl;
+    uniform float curl;
+    uniform float dt;
+    varying vec2 vUv;
+    varying vec2 vL;
+    varying vec2 vR;
+    varying vec2 vT;
+    varying vec2 vB;
+
+    void main() {
+        float L = texture2D(uCurl, vL).x;
+        float R = texture2D(uCurl, vR).x;
+        float T = texture2D(uCurl, vT).x;
+        float B = texture2D(uCurl, vB).x;
+        float C = texture2D(uCurl, vUv).x;
+
+        vec2 force = 0.5 * vec2(abs(T) - abs(B), abs(R) - abs(L));
+        force /= length(force) + 0.0001;
+        force *= curl * C;
+        force.y *= -1.0;
+
+        vec2 velocity = texture2D(uVelocity, vUv).xy + force * dt;
+        gl_FragColor = vec4(clamp(velocity, -1000.0, 1000.0), 0.0, 1.0);
+    }
+`;
+
+const divergenceShader = `
+    uniform sampler2D uVelocity;
+    varying vec2 vUv;
+    varying vec2 vL;
+    varying vec2 vR;
+    varying vec2 vT;
+    varying vec2 vB;
+
+    void main() {
+        float L = texture2D(uVelocity, vL).x;
+        float R = texture2D(uVelocity, vR).x;
+        float T = texture2D(uVelocity, vT).y;
+        float B = texture2D(uVelocity, vB).y;
+
+        // Solid walls at the screen edges
+        vec2 C = texture2D(uVelocity, vUv).xy;
+        if (vL.x < 0.0) L = -C.x;
+        if (vR.x > 1.0) R = -C.x;
+        if (vT.y > 1.0) T = -C.y;
+        if (vB.y < 0.0) B = -C.y;
+
+        gl_FragColor = vec4(0.5 * (R - L + T - B), 0.0, 0.0, 1.0);
+    }
+`;
+
+const scaleShader = `
+    uniform sampler2D uTexture;
+    uniform float value;
+    varying vec2 vUv;
+
+    void main() {
+        gl_FragColor = value * texture2D(uTexture, vUv);
+    }
+`;
+
+const pressureShader = `
+    uniform sampler2D uPressure;
+    uniform sampler2D uDivergence;
+    varying vec2 vUv;
+    varying vec2 vL;
+    varying vec2 vR;
+    varying vec2 vT;
+    varying vec2 vB;
+
+    void main() {
+        float L = texture2D(uPressure, vL).x;
+        float R = texture2D(uPressure, vR).x;
+        float T = texture2D(uPressure, vT).x;
+        float B = texture2D(uPressure, vB).x;
+        float divergence = texture2D(uDivergence, vUv).x;
+        gl_FragColor = vec4((L + R + B + T - divergence) * 0.25, 0.0, 0.0, 1.0);
+    }
+`;
+
+const gradientSubtractShader = `
+    uniform sampler2D uPressure;
+    uniform sampler2D uVelocity;
+    varying vec2 vUv;
+    varying vec2 vL;
+    varying vec2 vR;
+    varying vec2 vT;
+    varying vec2 vB;
+
+    void main() {
+        float L = texture2D(uPressure, vL).x;
+        float R = texture2D(uPressure, vR).x;
+        float T = texture2D(uPressure, vT).x;
+        float B = texture2D(uPressure, vB).x;
+        vec2 velocity = texture2D(uVelocity, vUv).xy - vec2(R - L, T - B);
+        gl_FragColor = vec4(velocity, 0.0, 1.0);
+    }
+`;
+
+// Carry the painting's UV offset along the flow, relaxing towards zero
+const offsetShader = `
+    uniform sampler2D uVelocity;
+    uniform sampler2D uOffset;
+    uniform vec2 texelSize;
+    uniform float dt;
+    uniform float relax;
+    uniform float maxOffset;
+    varying vec2 vUv;
+
+    void main() {
+        vec2 travel = dt * texture2D(uVelocity, vUv).xy * texelSize;
+        vec2 offset = texture2D(uOffset, vUv - travel).xy - travel;
+        offset /= 1.0 + relax * dt;
+        gl_FragColor = vec4(clamp(offset, -maxOffset, maxOffset), 0.0, 1.0);
+    }
+`;
+
+/**
+ * Whether the renderer can draw into half-float targets
+ * @param {THREE.WebGLRenderer} renderer - Renderer
+ * @returns {boolean} True if the simulation can run
+ */
+export function isFluidSupported(renderer) {
+    const { extensions, capabilities } = renderer;
+    if (capabilities.isWebGL2) return extensions.has('EXT_color_buffer_float');
+    return extensions.has('OES_texture_half_float') && extensions.has('EXT_color_buffer_half_float');
+}
+
+/**
+ * FluidSim class
+ */
+class FluidSim {
+    /**
+     * @param {THREE.WebGLRenderer} renderer - Renderer shared with the background
+     * @param {Object} options - { resolution, iterations } (grid cells per side, pressure iterations)
+     */
+    constructor(renderer, options = {}) {
+        this.renderer = renderer;
+        this.resolution = options.resolution || 128;
+        this.iterations = options.iterations || 16;
+
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+        this.scene.add(this.quad);
+
+        this.texelSize = new THREE.Vector2();
+        this.materials = {};
+        this.targets = null;
+        this.pointer = null; // Last pointer position in UV
+
+        this.createMaterials();
+        this.createTargets();
+    }
+
+    createMaterials() {
+        const material = (fragmentShader, uniforms) => new THREE.ShaderMaterial({
+            uniforms: { texelSize: { value: this.texelSize }, ...uniforms },
+            vertexShader: baseVertexShader,
+            fragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        this.materials = {
+            advect: material(advectShader, {
+                uVelocity: { value: null },
+                dt: { value: 0 },
+                dissipation: { value: 0 },
+                uPoint: { value: new THREE.Vector2() },
+                uForce: { value: new THREE.Vector2() },
+                uRadius: { value: CONFIG.splatRadius },
+                uAspect: { value: 1 }
+            }),
+            curl: material(curlShader, { uVelocity: { value: null } }),
+            vorticity: material(vorticityShader, {
+                uVelocity: { value: null },
+                uCurl: { value: null },
+                curl: { value: 0 },
+                dt: { value: 0 }
+            }),
+            divergence: material(divergenceShader, { uVelocity: { value: null } }),
+            scale: material(scaleShader, { uTexture: { value: null }, value: { value: 1 } }),
+            pressure: material(pressureShader, { uPressure: { value: null }, uDivergence: { value: null } }),
+            gradient: material(gradientSubtractShader, { uPressure: { value: null }, uVelocity: { value: null } }),
+            offset: material(offsetShader, {
+                uVelocity: { value: null },
+                uOffset: { value: null },
+                dt: { value: 0 },
+                relax: { value: 0 },
+                maxOffset: { value: CONFIG.maxOffset }
+            })
+        };
+    }
+
+    createTargets() {
+        const size = this.resolution;
+        const webgl2 = this.renderer.capabilities.isWebGL2;
+        const linear = webgl2 || this.renderer.extensions.has('OES_texture_half_float_linear');
+        const filter = linear ? THREE.LinearFilter : THREE.NearestFilter;
+
+        const target = () => new THREE.WebGLRenderTarget(size, size, {
+            type: THREE.HalfFloatType,
+            format: THREE.RGBAFormat,
+            minFilter: filter,
+            magFilter: filter,
+            wrapS: THREE.ClampToEdgeWrapping,
+            wrapT: THREE.ClampToEdgeWrapping,
+            depthBuffer: false,
+            stencilBuffer: false
+        });
+        const pingPong = () => {
+            const pair = { read: target(), write: target() };
+            pair.swap = () => {
+                [pair.read, pair.write] = [pair.write, pair.read];
+            };
+            return pair;
+        };
+
+        this.targets = {
+            velocity: pingPong(),
+            pressure: pingPong(),
+            offset: pingPong(),
+            curl: target(),
+            divergence: target()
+        };
+        this.texelSize.set(1 / size, 1 / size);
+        this.reset();
+    }
+
+    disposeTargets() {
+        if (!this.targets) return;
+        const { velocity, pressure, offset, curl, divergence } = this.targets;
+        [velocity, pressure, offset].forEach(pair => {
+            pair.read.dispose();
+            pair.write.dispose();
+        });
+        curl.dispose();
+        divergence.dispose();
+        this.targets = null;
+    }
+
+    /**
+     * Change grid resolution and solver iterations (quality tiers)
+     * @param {Object} options - { resolution, iterations }
+     */
+    setQuality(options) {
+        this.iterations = options.iterations || this.iterations;
+        if (options.resolution && options.resolution !== this.resolution) {
+            this.resolution = options.resolution;
+            this.disposeTargets();
+            this.createTargets();
+        }
+    }
+
+    /**
+     * Clear every field (also after a lost WebGL context)
+     */
+    reset() {
+        const previous = this.renderer.getRenderTarget();
+        const { velocity, pressure, offset, curl, divergence } = this.targets;
+
+        [velocity.read, velocity.write, pressure.read, pressure.write,
+            offset.read, offset.write, curl, divergence].forEach(target => {
+            this.renderer.setRenderTarget(target);
+            this.renderer.clear();
+        });
+        this.renderer.setRenderTarget(previous);
+        this.pointer = null;
+    }
+
+    /**
+     * Render one pass into a target
+     */
+    pass(material, target) {
+        this.quad.material = material;
+        this.renderer.setRenderTarget(target);
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    /**
+     * Advance the simulation
+     * @param {number} dt - Seconds since the last step
+     * @param {Object|null} pointer - { x, y } in screen UV (y up), or null when idle
+     */
+    step(dt, pointer) {
+        if (dt <= 0) return;
+
+        const { materials: m, targets: t } = this;
+        const previous = this.renderer.getRenderTarget();
+        const aspect = window.innerWidth / window.innerHeight;
+
+        // Pointer movement since the last step becomes a force splat
+        const force = m.advect.uniforms.uForce.value;
+        force.set(0, 0);
+        if (pointer && this.pointer) {
+            force.set((pointer.x - this.pointer.x) * CONFIG.splatForce, (pointer.y - this.pointer.y) * CONFIG.splatForce);
+            m.advect.uniforms.uPoint.value.set(pointer.x, pointer.y);
+        }
+        this.pointer = pointer ? { x: pointer.x, y: pointer.y } : null;
+
+        // 1. Advect velocity and add the splat
+        m.advect.uniforms.uVelocity.value = t.velocity.read.texture;
+        m.advect.uniforms.dt.value = dt;
+        m.advect.uniforms.dissipation.value = CONFIG.velocityDissipation;
+        m.advect.uniforms.uRadius.value = CONFIG.splatRadius;
+        m.advect.uniforms.uAspect.value = aspect;
+        this.pass(m.advect, t.velocity.write);
+        t.velocity.swap();
+
+        // 2. Vorticity confinement keeps the swirls alive
+        m.curl.uniforms.uVelocity.value = t.velocity.read.texture;
+        this.pass(m.curl, t.curl);
+
+        m.vorticity.uniforms.uVelocity.value = t.velocity.read.texture;
+        m.vorticity.uniforms.uCurl.value = t.curl.texture;
+        m.vorticity.uniforms.curl.value = CONFIG.curl;
+        m.vorticity.uniforms.dt.value = dt;
+        this.pass(m.vorticity, t.velocity.write);
+        t.velocity.swap();
+
+        // 3. Make the field divergence-free (Jacobi pressure solve)
+        m.divergence.uniforms.uVelocity.value = t.velocity.read.texture;
+        this.pass(m.divergence, t.divergence);
+
+        m.scale.uniforms.uTexture.value = t.pressure.read.texture;
+        m.scale.uniforms.value.value = CONFIG.pressureDecay;
+        this.pass(m.scale, t.pressure.write);
+        t.pressure.swap();
+
+        m.pressure.uniforms.uDivergence.value = t.divergence.texture;
+        for (let i = 0; i < this.iterations; i++) {
+            m.pressure.uniforms.uPressure.value = t.pressure.read.texture;
+            this.pass(m.pressure, t.pressure.write);
+            t.pressure.swap();
+        }
+
+        m.gradient.uniforms.uPressure.value = t.pressure.read.texture;
+        m.gradient.uniforms.uVelocity.value = t.velocity.read.texture;
+        this.pass(m.gradient, t.velocity.write);
+        t.velocity.swap();
+
+        // 4. Carry the painting along the flow
+        m.offset.uniforms.uVelocity.value = t.velocity.read.texture;
+        m.offset.uniforms.uOffset.value = t.offset.read.texture;
+        m.offset.uniforms.dt.value = dt;
+        m.offset.uniforms.relax.value = CONFIG.relax;
+        this.pass(m.offset, t.offset.write);
+        t.offset.swap();
+
+        this.renderer.setRenderTarget(previous);
+    }
+
+    /**
+     * UV offset field (xy) for the background shader
+     * @returns {THREE.Texture} Offset texture
+     */
+    get texture() {
+        return this.targets.offset.read.texture;
+    }
+
+    // Cleanup
+    destroy() {
+        this.disposeTargets();
+        Object.values(this.materials).forEach(material => material.dispose());
+        this.materials = {};
+        this.quad.geometry.dispose();
+        this.scene = null;
+    }
+}
+
+/**
+ * Create a fluid simulation, or null when the GPU can't run it
+ * @param {THREE.WebGLRenderer} renderer - Renderer shared with the background
+ * @param {Object} options - { resolution, iterations }
+ * @returns {FluidSim|null} Simulation instance
+ */
+export function createFluidSim(renderer, options) {
+    if (!isFluidSupported(renderer)) {
+        console.warn('Fluid simulation unavailable: no half-float render targets');
+        return null;
+    }
+    return new FluidSim(renderer, options);
+}
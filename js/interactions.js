@@ -4,6 +4,9 @@
  * Beautiful interactions that work on all devices
  */
 
+import { ticker, PRIORITY } from './ticker.js';
+import { pointerInput } from './pointer-input.js';
+
 /**
  * Configuration
  */
@@ -19,6 +22,23 @@ const CONFIG = {
     }
 };
 
+/**
+ * Add an event listener and remember how to remove it
+ * @param {Array<Function>} listeners - Removal callbacks owned by the caller
+ */
+function listen(listeners, target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    listeners.push(() => target.removeEventListener(type, handler, options));
+}
+
+/**
+ * Run and clear a list of removal callbacks
+ */
+function unlistenAll(listeners) {
+    listeners.forEach(remove => remove());
+    listeners.length = 0;
+}
+
 /**
  * Intersection Observer for scroll-triggered animations
  */
@@ -96,6 +116,7 @@ class ScrollAnimations {
 class TouchRipple {
     constructor() {
         this.rippleElements = [];
+        this.listeners = [];
         this.init();
     }
 
@@ -114,8 +135,8 @@ class TouchRipple {
 
     addRippleListeners(element) {
         // Touch start creates ripple
-        element.addEventListener('touchstart', (e) => this.createRipple(e, element), { passive: true });
-        element.addEventListener('mousedown', (e) => this.createRipple(e, element));
+        listen(this.listeners, element, 'touchstart', (e) => this.createRipple(e, element), { passive: true });
+        listen(this.listeners, element, 'mousedown', (e) => this.createRipple(e, element));
     }
 
     createRipple(e, element) {
@@ -151,12 +172,21 @@ class TouchRipple {
         `;
 
         element.appendChild(ripple);
+        this.rippleElements.push(ripple);
 
         // Remove ripple after animation
         setTimeout(() => {
             ripple.remove();
+            this.rippleElements = this.rippleElements.filter(el => el !== ripple);
         }, CONFIG.ripple.duration);
     }
+
+    // Cleanup
+    destroy() {
+        unlistenAll(this.listeners);
+        this.rippleElements.forEach(ripple => ripple.remove());
+        this.rippleElements = [];
+    }
 }
 
 /**
@@ -165,13 +195,14 @@ class TouchRipple {
  */
 class SmoothScroll {
     constructor() {
+        this.listeners = [];
         this.init();
     }
 
     init() {
         // Handle anchor links
         document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-            anchor.addEventListener('click', (e) => this.handleAnchorClick(e));
+            listen(this.listeners, anchor, 'click', (e) => this.handleAnchorClick(e));
         });
     }
 
@@ -194,6 +225,11 @@ class SmoothScroll {
             behavior: 'smooth'
         });
     }
+
+    // Cleanup
+    destroy() {
+        unlistenAll(this.listeners);
+    }
 }
 
 /**
@@ -202,7 +238,11 @@ class SmoothScroll {
 class ScrollParallax {
     constructor() {
         this.elements = [];
+        this.offsets = [];
         this.ticking = false;
+        this.cancelFrame = null;
+        this.isPaused = false;
+        this.listeners = [];
         this.init();
     }
 
@@ -214,7 +254,7 @@ class ScrollParallax {
         this.elements = Array.from(document.querySelectorAll('[data-parallax]'));
 
         if (this.elements.length > 0) {
-            window.addEventListener('scroll', () => this.handleScroll(), { passive: true });
+            listen(this.listeners, window, 'scroll', () => this.handleScroll(), { passive: true });
         }
     }
 
@@ -223,26 +263,57 @@ class ScrollParallax {
     }
 
     handleScroll() {
-        if (!this.ticking) {
-            requestAnimationFrame(() => {
-                this.updateParallax();
-                this.ticking = false;
-            });
-            this.ticking = true;
+        if (this.ticking || this.isPaused) return;
+        this.ticking = true;
+
+        // Measure with everyone else's reads, then write, on the next frame
+        const cancelRead = ticker.once(() => this.measure(), PRIORITY.READ);
+        const cancelWrite = ticker.once(() => {
+            this.cancelFrame = null;
+            this.updateParallax();
+            this.ticking = false;
+        }, PRIORITY.WRITE);
+        this.cancelFrame = () => {
+            cancelRead();
+            cancelWrite();
+        };
+    }
+
+    pause() {
+        this.isPaused = true;
+        if (this.cancelFrame) {
+            this.cancelFrame();
+            this.cancelFrame = null;
+            this.ticking = false;
         }
     }
 
-    updateParallax() {
-        const scrollY = window.pageYOffset;
+    resume() {
+        this.isPaused = false;
+        this.handleScroll();
+    }
 
-        this.elements.forEach(el => {
+    // Cleanup
+    destroy() {
+        this.pause();
+        unlistenAll(this.listeners);
+        this.elements = [];
+    }
+
+    measure() {
+        const viewportCenter = window.innerHeight / 2;
+
+        this.offsets = this.elements.map(el => {
             const speed = parseFloat(el.dataset.parallax) || 0.1;
             const rect = el.getBoundingClientRect();
             const centerY = rect.top + rect.height / 2;
-            const viewportCenter = window.innerHeight / 2;
-            const offset = (centerY - viewportCenter) * speed;
+            return (centerY - viewportCenter) * speed;
+        });
+    }
 
-            el.style.transform = `translateY(${offset}px)`;
+    updateParallax() {
+        this.elements.forEach((el, i) => {
+            el.style.transform = `translateY(${this.offsets[i]}px)`;
         });
     }
 }
@@ -304,6 +375,8 @@ class MagneticEffect {
         this.strength = strength;
         this.boundingBox = null;
         this.center = { x: 0, y: 0 };
+        this.isOver = false;
+        this.listeners = [];
 
         this.init();
     }
@@ -312,10 +385,16 @@ class MagneticEffect {
         if (!window.matchMedia('(hover: hover)').matches) return;
 
         this.updateBoundingBox();
-        window.addEventListener('resize', () => this.updateBoundingBox());
-
-        this.el.addEventListener('mousemove', (e) => this.onMouseMove(e));
-        this.el.addEventListener('mouseleave', () => this.onMouseLeave());
+        listen(this.listeners, window, 'resize', () => this.updateBoundingBox());
+
+        this.listeners.push(
+            pointerInput.on('move', (pointer) => this.onPointerMove(pointer)),
+            // Leaving the window straight from the element sends no further move
+            pointerInput.on('leave', () => {
+                if (this.isOver) this.onMouseLeave();
+                this.isOver = false;
+            })
+        );
     }
 
     updateBoundingBox() {
@@ -326,9 +405,20 @@ class MagneticEffect {
         };
     }
 
-    onMouseMove(e) {
-        const x = e.clientX - this.center.x;
-        const y = e.clientY - this.center.y;
+    /**
+     * Follow a hovering mouse or pen over the element (fingers don't hover)
+     */
+    onPointerMove(pointer) {
+        const isOver = pointer.type !== 'touch' && this.el.contains(pointer.target);
+        if (!isOver) {
+            if (this.isOver) this.onMouseLeave();
+            this.isOver = false;
+            return;
+        }
+        this.isOver = true;
+
+        const x = pointer.x - this.center.x;
+        const y = pointer.y - this.center.y;
 
         const distance = Math.sqrt(x * x + y * y);
         const maxDistance = this.boundingBox.width / 2;
@@ -345,6 +435,12 @@ class MagneticEffect {
     onMouseLeave() {
         this.el.style.transform = 'translate(0, 0)';
     }
+
+    // Cleanup
+    destroy() {
+        unlistenAll(this.listeners);
+        this.el.style.transform = '';
+    }
 }
 
 /**
@@ -353,6 +449,8 @@ class MagneticEffect {
 class ProximityLighting {
     constructor() {
         this.lights = [];
+        this.isPaused = false;
+        this.listeners = [];
         this.init();
     }
 
@@ -363,12 +461,14 @@ class ProximityLighting {
             { x: 0.8, y: 0.7, intensity: 0.6, color: '#3498db' }
         ];
 
-        document.addEventListener('mousemove', (e) => this.updateLightPosition(e));
+        this.listeners.push(pointerInput.on('move', (pointer) => this.updateLightPosition(pointer)));
     }
 
-    updateLightPosition(e) {
-        const x = e.clientX / window.innerWidth;
-        const y = e.clientY / window.innerHeight;
+    updateLightPosition(pointer) {
+        if (this.isPaused) return;
+
+        const x = pointer.x / window.innerWidth;
+        const y = pointer.y / window.innerHeight;
 
         // Update lights dynamically
         this.lights[0].x = x;
@@ -392,6 +492,22 @@ class ProximityLighting {
                 rgba(245, 199, 71, ${Math.max(totalBrightness * 0.5, 0.1)})`;
         });
     }
+
+    pause() {
+        this.isPaused = true;
+    }
+
+    resume() {
+        this.isPaused = false;
+    }
+
+    // Cleanup
+    destroy() {
+        unlistenAll(this.listeners);
+        document.querySelectorAll('.card-text-1, .painting-img').forEach(el => {
+            el.style.boxShadow = '';
+        });
+    }
 }
 
 /**
@@ -406,6 +522,9 @@ class InteractionsController {
         this.scrollParallax = null;
         this.overscrollPrevention = null;
         this.haptic = null;
+        this.magneticEffects = [];
+        this.proximityLighting = null;
+        this.listeners = [];
     }
 
     init() {
@@ -421,24 +540,40 @@ class InteractionsController {
         this.addHapticToButtons();
 
         // Initialize heavy effects only if not performance constrained
-        if (!document.body.classList.contains('performance-constrained')) {
-            // Initialize magnetic effects on cards
-            document.querySelectorAll('.card-text-1, .card-text-2, .painting-img').forEach(el => {
-                new MagneticEffect(el, 0.2);
-            });
-
-            // Initialize proximity lighting
-            new ProximityLighting();
-        }
+        // (the quality governor toggles them later through setQuality)
+        const isConstrained = document.body.classList.contains('performance-constrained');
+        this.setQuality({ magnetic: !isConstrained, proximityLighting: !isConstrained });
 
 
         console.log('Interactions initialized');
         return this;
     }
 
+    /**
+     * Enable or disable the heavy pointer effects
+     * @param {Object} settings - Tier settings ({ magnetic, proximityLighting })
+     */
+    setQuality(settings) {
+        if (settings.magnetic && this.magneticEffects.length === 0) {
+            document.querySelectorAll('.card-text-1, .card-text-2, .painting-img').forEach(el => {
+                this.magneticEffects.push(new MagneticEffect(el, 0.2));
+            });
+        } else if (settings.magnetic === false) {
+            this.magneticEffects.forEach(effect => effect.destroy());
+            this.magneticEffects = [];
+        }
+
+        if (settings.proximityLighting && !this.proximityLighting) {
+            this.proximityLighting = new ProximityLighting();
+        } else if (settings.proximityLighting === false && this.proximityLighting) {
+            this.proximityLighting.destroy();
+            this.proximityLighting = null;
+        }
+    }
+
     addHapticToButtons() {
         document.querySelectorAll('.contact-btn').forEach(btn => {
-            btn.addEventListener('touchstart', () => this.haptic.light(), { passive: true });
+            listen(this.listeners, btn, 'touchstart', () => this.haptic.light(), { passive: true });
         });
     }
 
@@ -447,11 +582,33 @@ class InteractionsController {
         return this.haptic;
     }
 
+    // Pause scroll/pointer driven work (tab hidden)
+    pause() {
+        if (this.scrollParallax) this.scrollParallax.pause();
+        if (this.proximityLighting) this.proximityLighting.pause();
+    }
+
+    resume() {
+        if (this.scrollParallax) this.scrollParallax.resume();
+        if (this.proximityLighting) this.proximityLighting.resume();
+    }
+
     // Cleanup
     destroy() {
-        if (this.scrollAnimations) {
-            this.scrollAnimations.destroy();
-        }
+        [
+            this.scrollAnimations,
+            this.touchRipple,
+            this.smoothScroll,
+            this.scrollParallax,
+            this.proximityLighting,
+            ...this.magneticEffects
+        ].forEach(module => {
+            if (module) module.destroy();
+        });
+
+        this.magneticEffects = [];
+        this.proximityLighting = null;
+        unlistenAll(this.listeners);
     }
 }
 
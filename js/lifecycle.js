@@ -0,0 +1,232 @@
+/**
+ * Lifecycle Registry Module
+ * Central place every module registers with so render loops can be
+ * paused when nobody can see them and everything can be torn down
+ */
+
+import { Emitter } from './emitter.js';
+
+/**
+ * Pause reasons
+ */
+export const PAUSE_REASON = {
+    HIDDEN: 'hidden',       // Tab is in the background
+    OFFSCREEN: 'offscreen', // Module's element is scrolled out of view
+    MANUAL: 'manual'        // Paused explicitly through the registry
+};
+
+/**
+ * LifecycleRegistry class
+ *
+ * A module is any object exposing some of init(), pause(), resume(), destroy().
+ * Missing methods are simply skipped.
+ *
+ * Events:
+ *  - 'pause'   { name, reason }
+ *  - 'resume'  { name, reason }
+ *  - 'destroy' { name }
+ */
+class LifecycleRegistry extends Emitter {
+    constructor() {
+        super();
+        this.entries = new Map();
+        this.observer = null;
+        this.onVisibilityChange = () => this.handleVisibilityChange();
+        this.isListening = false;
+
+        this.listenVisibility();
+    }
+
+    /**
+     * Follow the tab's visibility (again, after a full destroy())
+     */
+    listenVisibility() {
+        if (this.isListening) return;
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+        this.isListening = true;
+    }
+
+    /**
+     * Register a module
+     * @param {string} name - Unique module name
+     * @param {Object} module - Module instance
+     * @param {Object} options - { element } pauses the module while the element is offscreen
+     * @returns {Object} The module, for chaining
+     */
+    register(name, module, options = {}) {
+        if (!module) return module;
+        if (this.entries.has(name)) this.unregister(name);
+        this.listenVisibility();
+
+        const entry = {
+            name,
+            module,
+            element: options.element || null,
+            reasons: new Set()
+        };
+        this.entries.set(name, entry);
+
+        if (entry.element) this.observe(entry.element);
+
+        // Modules registered while the tab is hidden start paused
+        if (document.hidden) this.pause(name, PAUSE_REASON.HIDDEN);
+
+        return module;
+    }
+
+    /**
+     * Forget a module without destroying it
+     * @param {string} name - Module name
+     */
+    unregister(name) {
+        const entry = this.entries.get(name);
+        if (!entry) return;
+
+        if (entry.element && this.observer) this.observer.unobserve(entry.element);
+        this.entries.delete(name);
+    }
+
+    /**
+     * Get a registered module
+     * @param {string} name - Module name
+     * @returns {Object|null} Module instance
+     */
+    get(name) {
+        const entry = this.entries.get(name);
+        return entry ? entry.module : null;
+    }
+
+    /**
+     * Call init() on a registered module
+     * @param {string} name - Module name
+     */
+    init(name) {
+        this.call(this.entries.get(name), 'init');
+    }
+
+    /**
+     * Pause a module (or all modules) for a reason.
+     * A module stays paused until every reason has been cleared.
+     * @param {string} name - Module name, omit for all
+     * @param {string} reason - One of PAUSE_REASON
+     */
+    pause(name, reason = PAUSE_REASON.MANUAL) {
+        this.select(name).forEach(entry => {
+            const wasRunning = entry.reasons.size === 0;
+            entry.reasons.add(reason);
+
+            if (wasRunning) {
+                this.call(entry, 'pause');
+                this.emit('pause', { name: entry.name, reason });
+            }
+        });
+    }
+
+    /**
+     * Clear a pause reason and resume modules with none left
+     * @param {string} name - Module name, omit for all
+     * @param {string} reason - One of PAUSE_REASON
+     */
+    resume(name, reason = PAUSE_REASON.MANUAL) {
+        this.select(name).forEach(entry => {
+            if (!entry.reasons.delete(reason) || entry.reasons.size > 0) return;
+
+            this.call(entry, 'resume');
+            this.emit('resume', { name: entry.name, reason });
+        });
+    }
+
+    /**
+     * Check whether a module is currently paused
+     * @param {string} name - Module name
+     * @returns {boolean} True if paused for any reason
+     */
+    isPaused(name) {
+        const entry = this.entries.get(name);
+        return !!entry && entry.reasons.size > 0;
+    }
+
+    /**
+     * Destroy a module (or all modules, in reverse registration order,
+     * then stop watching visibility and viewport)
+     * @param {string} name - Module name, omit for all
+     */
+    destroy(name) {
+        this.select(name).reverse().forEach(entry => {
+            this.call(entry, 'destroy');
+            this.unregister(entry.name);
+            this.emit('destroy', { name: entry.name });
+        });
+
+        if (name) return;
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        this.isListening = false;
+    }
+
+    /**
+     * Pause or resume everything with the tab's visibility
+     */
+    handleVisibilityChange() {
+        if (document.hidden) {
+            this.pause(undefined, PAUSE_REASON.HIDDEN);
+        } else {
+            this.resume(undefined, PAUSE_REASON.HIDDEN);
+        }
+    }
+
+    /**
+     * Watch an element for leaving / entering the viewport
+     * @param {Element} element - Element to observe
+     */
+    observe(element) {
+        if (!('IntersectionObserver' in window)) return;
+
+        if (!this.observer) {
+            this.observer = new IntersectionObserver(entries => {
+                entries.forEach(({ target, isIntersecting }) => {
+                    this.entries.forEach(entry => {
+                        if (entry.element !== target) return;
+                        if (isIntersecting) {
+                            this.resume(entry.name, PAUSE_REASON.OFFSCREEN);
+                        } else {
+                            this.pause(entry.name, PAUSE_REASON.OFFSCREEN);
+                        }
+                    });
+                });
+            });
+        }
+
+        this.observer.observe(element);
+    }
+
+    /**
+     * Entries matching a name, or all entries
+     */
+    select(name) {
+        if (name === undefined) return [...this.entries.values()];
+        const entry = this.entries.get(name);
+        return entry ? [entry] : [];
+    }
+
+    /**
+     * Invoke a lifecycle method, isolating failures to the module
+     */
+    call(entry, method) {
+        if (!entry || typeof entry.module[method] !== 'function') return;
+
+        try {
+            entry.module[method]();
+        } catch (e) {
+            console.warn(`Lifecycle ${method}() failed for ${entry.name}:`, e);
+        }
+    }
+}
+
+/**
+ * Shared registry instance
+ */
+export const lifecycle = new LifecycleRegistry();
@@ -3,9 +3,37 @@
  * Designed to be lightweight and disposed of quickly.
  */
 
-let scene, camera, renderer, material, mesh, animationId;
+import { loadingManager } from './loading-manager.js';
+import { tuning } from './tuning.js';
+import { guardContext, isWebGLAvailable } from './webgl-context.js';
+import { fitUvChunk } from './shaders.js';
+import { textureSource } from './content.js';
+import { ticker, PRIORITY } from './ticker.js';
+
+let scene, camera, renderer, material, mesh, removeTick, unsubscribeProgress, unguardContext;
+let fallbackEl = null; // CSS rendering when WebGL is unavailable
 const container = document.getElementById('loader-canvas-container');
 
+/**
+ * Configuration (live-editable through the tuning panel)
+ */
+const CONFIG = {
+    waveStrength: 0.015, // Subtle
+    timeScale: 0.3,      // Shader time units per second: slow "breathing" effect
+    progressEase: 0.06   // Share of the gap to real progress closed per 60fps frame
+};
+
+tuning.define('loader', CONFIG, {
+    waveStrength: { min: 0, max: 0.08, step: 0.001, label: 'Wave strength' },
+    timeScale: { min: 0, max: 3, step: 0.05, label: 'Time scale (per s)' },
+    progressEase: { min: 0.01, max: 1, step: 0.01, label: 'Progress ease' }
+});
+
+let targetProgress = 0;
+let displayProgress = 0;
+let isPaused = false;
+let isContextLost = false;
+
 // Shaders for the "Hallucination" effect (Wavy, dreamy distortion)
 const vertexShader = `
     varying vec2 vUv;
@@ -18,13 +46,19 @@ const vertexShader = `
 const fragmentShader = `
     uniform sampler2D tDiffuse;
     uniform float time;
+    uniform float progress; // 0..1 asset loading progress
+    uniform float waveStrength;
+    uniform vec2 resolution;
+    uniform vec4 fit; // aspect, mode, focus (see fitUvChunk)
     varying vec2 vUv;
 
+    ${fitUvChunk}
+
     void main() {
-        vec2 p = vUv;
+        vec2 p = fitUv(vUv, fit, resolution.x / resolution.y);
+        float mask = fitMask(p, fit);
         
         // Slower, more organic wave distortion (Fluid breathing)
-        float waveStrength = 0.015; // Subtle
         // Multiple sine waves for organic feel
         float wave = sin(p.y * 5.0 + time * 0.5) * 0.5 + sin(p.y * 12.0 + time * 0.8) * 0.5;
         float wave2 = cos(p.x * 6.0 + time * 0.4) * 0.5 + cos(p.x * 15.0 + time * 0.9) * 0.5;
@@ -37,23 +71,66 @@ const fragmentShader = `
         float r = texture2D(tDiffuse, p + vec2(0.002 * sin(time * 0.5), 0.0)).r;
         float g = texture2D(tDiffuse, p).g; // Green channel is stable-ish anchor
         float b = texture2D(tDiffuse, p - vec2(0.003 * cos(time * 0.6), 0.0)).b;
+        vec3 color = vec3(r, g, b);
+
+        // "Develop" the painting as assets arrive: blurry, grey and dim at 0,
+        // sharp, saturated and fully exposed at 1
+        float develop = smoothstep(0.0, 1.0, progress);
+        float blur = (1.0 - develop) * 0.012;
+        vec3 soft = (
+            texture2D(tDiffuse, p + vec2(blur, 0.0)).rgb +
+            texture2D(tDiffuse, p - vec2(blur, 0.0)).rgb +
+            texture2D(tDiffuse, p + vec2(0.0, blur)).rgb +
+            texture2D(tDiffuse, p - vec2(0.0, blur)).rgb
+        ) * 0.25;
+        color = mix(soft, color, develop);
+
+        float luma = dot(color, vec3(0.299, 0.587, 0.114));
+        color = mix(vec3(luma), color, 0.15 + 0.85 * develop);
+        color *= 0.4 + 0.6 * develop;
         
         // Vignette for cinematic look
         float vignette = 1.0 - dot(vUv - 0.5, vUv - 0.5) * 0.5;
         
-        gl_FragColor = vec4(r, g, b, 1.0) * vignette;
+        gl_FragColor = vec4(color * mask, 1.0) * vignette;
     }
 `;
 
-export function initLoaderScene(imageUrl) {
+/**
+ * Start the loader scene
+ * @param {string|Object} image - Image URL or { src, fit, focus } (see textureSource)
+ */
+export function initLoaderScene(image) {
     if (!container) return;
+    const source = textureSource(image);
+
+    // Follow overall loading progress
+    targetProgress = 0;
+    displayProgress = 0;
+    unsubscribeProgress = loadingManager.on('progress', ({ progress }) => {
+        targetProgress = progress;
+        if (fallbackEl) fallbackEl.style.setProperty('--develop', progress);
+    });
+
+    if (!isWebGLAvailable()) {
+        initFallback(source);
+        return;
+    }
+
+    try {
+        initRenderer(source);
+    } catch (error) {
+        console.warn('Loader WebGL unavailable, using CSS fallback:', error);
+        disposeRenderer();
+        initFallback(source);
+    }
+}
 
+function initRenderer(source) {
     // 1. Setup Basic Three.js Scene
     scene = new THREE.Scene();
 
     // Orthographic camera for 2D full-screen effect
-    const aspect = window.innerWidth / window.innerHeight;
-    const frustumSize = 1;
     camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
 
     renderer = new THREE.WebGLRenderer({
@@ -69,22 +146,43 @@ export function initLoaderScene(imageUrl) {
 
     container.appendChild(renderer.domElement);
 
-    // 2. Load Texture & Create Shader
-    const loader = new THREE.TextureLoader();
-    loader.load(imageUrl, (texture) => {
+    // 2. Survive GPU resets, fall back to CSS if they keep happening
+    unguardContext = guardContext(renderer.domElement, {
+        onLost: onContextLost,
+        onRestored: onContextRestored,
+        onFailed: () => {
+            disposeRenderer();
+            initFallback(source);
+        }
+    });
+
+    // 3. Load Texture & Create Shader (counts as an asset itself)
+    loadingManager.loadImage(source.src).then((image) => {
+        if (!image || !renderer) return;
+
+        const texture = new THREE.Texture(image);
+        texture.needsUpdate = true;
         texture.minFilter = THREE.LinearFilter;
         texture.magFilter = THREE.LinearFilter;
 
-        // Cover logic for texture equivalent to CSS background-size: cover
-        const imageAspect = texture.image.width / texture.image.height;
-        // We handle aspect ratio in UVs or just stretch if we want the "trippy" look to be flexible.
-        // For a loading screen "hallucination", stretching is often acceptable or we can fix UVs.
-        // For now, mapping to the quad plane.
+        // Fit like CSS background-size (cover by default), around the focal point
+        const imageAspect = (image.naturalWidth || image.width) / (image.naturalHeight || image.height);
 
         material = new THREE.ShaderMaterial({
             uniforms: {
                 tDiffuse: { value: texture },
-                time: { value: 0 }
+                time: { value: 0 },
+                progress: { value: displayProgress },
+                waveStrength: { value: CONFIG.waveStrength },
+                resolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
+                fit: {
+                    value: new THREE.Vector4(
+                        imageAspect,
+                        source.fit === 'contain' ? 1 : 0,
+                        source.focus[0],
+                        1 - source.focus[1] // Texture v runs bottom to top
+                    )
+                }
             },
             vertexShader,
             fragmentShader
@@ -94,35 +192,119 @@ export function initLoaderScene(imageUrl) {
         mesh = new THREE.Mesh(geometry, material);
         scene.add(mesh);
 
-        animate();
+        if (!isPaused) resumeLoaderScene();
     });
 
     // Handle Resize
     window.addEventListener('resize', onWindowResize, false);
 }
 
+/**
+ * Show the loading image with CSS filters instead of the shader
+ */
+function initFallback(source) {
+    if (fallbackEl) return;
+
+    fallbackEl = document.createElement('div');
+    fallbackEl.className = 'loader-fallback';
+    fallbackEl.style.setProperty('--develop', targetProgress);
+    fallbackEl.style.backgroundSize = source.fit;
+    fallbackEl.style.backgroundPosition = source.focus.map(value => `${value * 100}%`).join(' ');
+    container.appendChild(fallbackEl);
+
+    loadingManager.loadImage(source.src).then((image) => {
+        if (image && fallbackEl) fallbackEl.style.backgroundImage = `url("${source.src}")`;
+    });
+}
+
+function onContextLost() {
+    isContextLost = true;
+    stopTick();
+}
+
+function onContextRestored() {
+    isContextLost = false;
+
+    // Recompile the shader and re-upload the texture on the new context
+    if (material) {
+        material.needsUpdate = true;
+        material.uniforms.tDiffuse.value.needsUpdate = true;
+    }
+    if (!isPaused) resumeLoaderScene();
+}
+
 function onWindowResize() {
     if (!renderer) return;
     renderer.setSize(window.innerWidth, window.innerHeight);
-    // Determine image aspect ratio logic here if strictly needed
+    if (material) material.uniforms.resolution.value.set(window.innerWidth, window.innerHeight);
 }
 
-function animate() {
-    animationId = requestAnimationFrame(animate);
+/**
+ * Render one frame (subscribed to the shared ticker)
+ * @param {Object} frame - Ticker frame ({ delta } in seconds)
+ */
+function animate(frame) {
+    // Ease towards the real progress so the image develops smoothly
+    // (same curve at any refresh rate)
+    const ease = 1 - Math.pow(1 - CONFIG.progressEase, frame.delta * 60);
+    displayProgress += (targetProgress - displayProgress) * ease;
+
     if (material) {
-        // Much slower time increment for "breathing" effect
-        material.uniforms.time.value += 0.005;
+        material.uniforms.time.value += CONFIG.timeScale * frame.delta;
+        material.uniforms.progress.value = displayProgress;
+        material.uniforms.waveStrength.value = CONFIG.waveStrength;
     }
     renderer.render(scene, camera);
 }
 
+function stopTick() {
+    if (removeTick) removeTick();
+    removeTick = null;
+}
+
+/**
+ * Stop rendering (tab hidden)
+ */
+export function pauseLoaderScene() {
+    isPaused = true;
+    stopTick();
+}
+
+/**
+ * Restart rendering once the texture is ready
+ */
+export function resumeLoaderScene() {
+    isPaused = false;
+    if (!removeTick && material && renderer && !isContextLost) {
+        removeTick = ticker.add(animate, PRIORITY.RENDER);
+    }
+}
+
 export function disposeLoaderScene() {
-    if (animationId) cancelAnimationFrame(animationId);
+    if (unsubscribeProgress) unsubscribeProgress();
+    unsubscribeProgress = null;
+
+    disposeRenderer();
+
+    if (fallbackEl) fallbackEl.remove();
+    fallbackEl = null;
+}
+
+/**
+ * Release the WebGL renderer and everything drawn with it
+ */
+function disposeRenderer() {
+    stopTick();
+    isContextLost = false;
+
+    // Stop watching before forceContextLoss() fires its own lost event
+    if (unguardContext) unguardContext();
+    unguardContext = null;
 
     window.removeEventListener('resize', onWindowResize);
 
-    if (container && renderer && renderer.domElement) {
-        container.removeChild(renderer.domElement);
+    if (renderer && renderer.domElement) {
+        renderer.domElement.remove();
     }
 
     if (material) {
@@ -0,0 +1,284 @@
+/**
+ * Loading Manager Module
+ * Tracks every asset the page waits on (by count and by bytes)
+ * and publishes a single 0..1 progress value for the loader,
+ * weighted by each asset's size where it is known
+ */
+
+import { Emitter } from './emitter.js';
+
+/**
+ * Asset states
+ */
+const STATE = {
+    PENDING: 'pending',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+/**
+ * LoadingManager class aggregates asset progress and emits events
+ *
+ * Events:
+ *  - 'progress' { progress, loaded, failed, total, bytesLoaded, bytesTotal }
+ *  - 'asset'    { id, state, bytes }
+ *  - 'complete' { progress, loaded, failed, total, bytesLoaded, bytesTotal }
+ */
+class LoadingManager extends Emitter {
+    constructor() {
+        super();
+        this.assets = new Map();
+        this.images = new Map();
+        this.isClosed = false;
+        this.isComplete = false;
+        this.lastProgress = 0;
+
+        this.completePromise = new Promise(resolve => {
+            this.resolveComplete = resolve;
+        });
+    }
+
+    /**
+     * Register an asset so it counts towards overall progress
+     * @param {string} id - Unique asset id (usually the URL)
+     * @param {number} bytesTotal - Expected size in bytes, 0 if unknown
+     * @returns {Object} Asset record
+     */
+    add(id, bytesTotal = 0) {
+        if (this.assets.has(id)) return this.assets.get(id);
+
+        const asset = {
+            id,
+            state: STATE.PENDING,
+            bytesLoaded: 0,
+            bytesTotal
+        };
+        this.assets.set(id, asset);
+        this.update();
+        return asset;
+    }
+
+    /**
+     * Report byte progress for an asset
+     * @param {string} id - Asset id
+     * @param {number} bytesLoaded - Bytes received so far
+     * @param {number} bytesTotal - Total bytes if known
+     */
+    setBytes(id, bytesLoaded, bytesTotal) {
+        const asset = this.assets.get(id) || this.add(id);
+        asset.bytesLoaded = bytesLoaded;
+        if (bytesTotal) asset.bytesTotal = bytesTotal;
+        this.update();
+    }
+
+    /**
+     * Mark an asset as finished (successfully or not)
+     * @param {string} id - Asset id
+     * @param {boolean} ok - Whether the asset loaded
+     */
+    finish(id, ok = true) {
+        const asset = this.assets.get(id) || this.add(id);
+        if (asset.state !== STATE.PENDING) return;
+
+        asset.state = ok ? STATE.DONE : STATE.FAILED;
+        if (ok && asset.bytesTotal) {
+            asset.bytesLoaded = asset.bytesTotal;
+        }
+
+        this.emit('asset', { id, state: asset.state, bytes: asset.bytesLoaded });
+        this.update();
+    }
+
+    /**
+     * Track an arbitrary promise as an asset
+     * @param {string} id - Asset id
+     * @param {Promise} promise - Settles when the asset is ready
+     * @returns {Promise} The same promise
+     */
+    track(id, promise) {
+        this.add(id);
+        promise.then(
+            () => this.finish(id, true),
+            () => this.finish(id, false)
+        );
+        return promise;
+    }
+
+    /**
+     * Fetch a resource while reporting downloaded bytes
+     * @param {string} url - Resource URL
+     * @returns {Promise<Blob>} Response body
+     */
+    async fetchWithProgress(url) {
+        this.add(url);
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} for ${url}`);
+        }
+
+        const bytesTotal = parseInt(response.headers.get('content-length'), 10) || 0;
+        this.setBytes(url, 0, bytesTotal);
+
+        // No streaming support: fall back to a single chunk
+        if (!response.body || !response.body.getReader) {
+            const blob = await response.blob();
+            this.setBytes(url, blob.size, blob.size);
+            return blob;
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let bytesLoaded = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            bytesLoaded += value.length;
+            this.setBytes(url, bytesLoaded, Math.max(bytesTotal, bytesLoaded));
+        }
+
+        return new Blob(chunks, { type: response.headers.get('content-type') || '' });
+    }
+
+    /**
+     * Load and decode an image, reporting bytes as they arrive.
+     * Repeated calls for the same URL share one download.
+     * @param {string} url - Image URL
+     * @returns {Promise<HTMLImageElement|null>} Decoded image, null on failure
+     */
+    loadImage(url) {
+        if (this.images.has(url)) return this.images.get(url);
+
+        const decode = (src) => new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = reject;
+            img.src = src;
+        });
+
+        // The decoded image keeps its pixels, so the blob can go once it has loaded (or failed)
+        const decodeBlob = (blob) => {
+            const objectUrl = URL.createObjectURL(blob);
+            const revoke = () => URL.revokeObjectURL(objectUrl);
+            return decode(objectUrl).then(
+                img => { revoke(); return img; },
+                error => { revoke(); throw error; }
+            );
+        };
+
+        const promise = this.fetchWithProgress(url)
+            .then(decodeBlob)
+            .catch(error => {
+                // fetch can fail where a plain <img> would not (file://, CORS)
+                if (error instanceof TypeError) return decode(url);
+                throw error;
+            })
+            .then(img => {
+                this.finish(url, true);
+                return img;
+            })
+            .catch(error => {
+                console.warn(`Failed to load image: ${url}`, error);
+                this.finish(url, false);
+                return null;
+            });
+
+        this.images.set(url, promise);
+        return promise;
+    }
+
+    /**
+     * Signal that no more assets will be registered.
+     * Progress cannot reach 1 before this is called.
+     */
+    close() {
+        this.isClosed = true;
+        this.update();
+    }
+
+    /**
+     * Resolve once every registered asset has settled and the manager is closed
+     * @returns {Promise<Object>} Final progress snapshot
+     */
+    whenComplete() {
+        return this.completePromise;
+    }
+
+    /**
+     * Compute the current progress snapshot.
+     * Each asset is weighted by its size (Content-Length or the size it was
+     * added with), so a large background moves the bar more than an icon.
+     * Assets of unknown size weigh as much as an average known one, or
+     * all equally while no sizes are known; bytes give partial credit.
+     * @returns {Object} Progress snapshot
+     */
+    getProgress() {
+        let loaded = 0;
+        let failed = 0;
+        let bytesLoaded = 0;
+        let bytesTotal = 0;
+        let sized = 0;
+
+        this.assets.forEach(asset => {
+            bytesLoaded += asset.bytesLoaded;
+            bytesTotal += asset.bytesTotal;
+            if (asset.bytesTotal > 0) sized++;
+            if (asset.state === STATE.DONE) loaded++;
+            if (asset.state === STATE.FAILED) failed++;
+        });
+
+        const averageSize = sized > 0 ? bytesTotal / sized : 1;
+        let weightDone = 0;
+        let weightTotal = 0;
+
+        this.assets.forEach(asset => {
+            const weight = asset.bytesTotal || averageSize;
+            weightTotal += weight;
+
+            if (asset.state !== STATE.PENDING) {
+                weightDone += weight;
+            } else if (asset.bytesTotal > 0) {
+                weightDone += weight * Math.min(asset.bytesLoaded / asset.bytesTotal, 0.99);
+            }
+        });
+
+        const total = this.assets.size;
+        let progress = weightTotal > 0 ? weightDone / weightTotal : 0;
+
+        // Never report completion while assets may still be registered
+        if (!this.isClosed) progress = Math.min(progress, 0.99);
+
+        return { progress, loaded, failed, total, bytesLoaded, bytesTotal };
+    }
+
+    /**
+     * Recompute progress and emit events
+     */
+    update() {
+        if (this.isComplete) return;
+
+        const snapshot = this.getProgress();
+
+        // Keep the reported value monotonic when new assets register late
+        snapshot.progress = Math.max(snapshot.progress, this.lastProgress);
+        this.lastProgress = snapshot.progress;
+
+        this.emit('progress', snapshot);
+
+        const settled = snapshot.loaded + snapshot.failed === snapshot.total;
+        if (this.isClosed && settled) {
+            this.isComplete = true;
+            snapshot.progress = 1;
+            this.emit('progress', snapshot);
+            this.emit('complete', snapshot);
+            this.resolveComplete(snapshot);
+        }
+    }
+}
+
+/**
+ * Shared instance used by the loader and every module that loads assets
+ */
+export const loadingManager = new LoadingManager();
@@ -4,19 +4,52 @@
  */
 
 import { initBackground } from './background.js';
+import { initFallbackBackground } from './fallback-background.js';
+import { initBackgroundDirector } from './background-director.js';
+import { styleFromUrl } from './background-styles.js';
+import { isWebGLAvailable } from './webgl-context.js';
 import { initBlobCursor } from './blob-cursor.js';
+import { blobRendererFromUrl } from './blob-renderers.js';
+import { createAutopilot } from './blob-autopilot.js';
 import { initRevealSync } from './reveal-sync.js';
 import { initInteractions } from './interactions.js';
-import { initLoaderScene, disposeLoaderScene } from './loader-scene.js';
+import { initLoaderScene, disposeLoaderScene, pauseLoaderScene, resumeLoaderScene } from './loader-scene.js';
+import { loadingManager } from './loading-manager.js';
+import { initServiceWorker } from './sw-register.js';
+import { lifecycle } from './lifecycle.js';
+import { initQualityGovernor } from './quality-governor.js';
+import { loadContent, renderContent, renderContentError } from './content.js';
+import { tuning } from './tuning.js';
+import { ticker } from './ticker.js';
+import { initTelemetry, setOptOut } from './telemetry.js';
+
+/**
+ * Loader timing
+ */
+const LOADER = {
+    imageUrl: 'images/backgrounds/loading.jpg',
+    maxWait: 10000,   // Stop waiting on stragglers after this (ms)
+    settleTime: 800   // Let the painting finish "developing" before fading out (ms)
+};
 
 /**
  * Application state and module references
  */
 const app = {
+    content: null,
     background: null,
+    director: null,
     blobCursor: null,
+    autopilot: null,
+    loading: loadingManager,
     revealSync: null,
     interactions: null,
+    serviceWorker: null,
+    quality: null,
+    telemetry: null,
+    lifecycle: lifecycle,
+    tuning: tuning,
+    ticker: ticker,
     isInitialized: false,
     isMobile: false
 };
@@ -34,59 +67,172 @@ function detectMobile() {
 }
 
 
-function detectPerformanceTier() {
-    // Check for iOS
-    const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream;
-
-    // Check for GPU tier (simplified)
-    const isLowEnd = (
-        navigator.hardwareConcurrency <= 4 ||
-        /(android|ios)/i.test(navigator.userAgent) ||
-        isIOS ||
-        window.matchMedia('(max-width: 1024px)').matches
-    );
+/**
+ * Apply a quality tier to the page and every module that supports it
+ * @param {Object} settings - Tier settings from the quality governor
+ */
+function applyQuality(settings) {
+    const isLow = settings.name === 'low';
+    document.body.dataset.qualityTier = settings.name;
+    document.body.classList.toggle('performance-constrained', isLow);
+    document.body.classList.toggle('optimized-mobile', isLow);
+    document.body.classList.toggle('is-low-power', isLow);
+
+    [app.background, app.blobCursor, app.interactions].forEach(module => {
+        if (module && module.setQuality) module.setQuality(settings);
+    });
+}
 
-    if (isLowEnd) {
-        document.body.classList.add('performance-constrained', 'optimized-mobile');
-        console.log('Low-end/Mobile device detected - simplifying effects');
 
-        // Force low power mode for all iOS devices to ensure stability
-        if (isIOS) {
-            document.body.classList.add('is-low-power');
+/**
+ * Developer tuning panel: ?tune opens it, the ` key toggles it.
+ * The panel module is only downloaded when first needed.
+ * @returns {Object} Lifecycle module
+ */
+function initTuningShortcut() {
+    let panel = null;
+    let loading = null;
+
+    const getPanel = () => {
+        if (!loading) {
+            loading = import('./tuning-panel.js').then(({ initTuningPanel }) => {
+                panel = initTuningPanel();
+                return panel;
+            });
         }
+        return loading;
+    };
+
+    const onKeyDown = (e) => {
+        if (e.key !== '`' || e.target.closest('input, textarea, select, [contenteditable]')) return;
+        getPanel().then(p => p.toggle());
+    };
+
+    document.addEventListener('keydown', onKeyDown);
+    if (new URLSearchParams(location.search).has('tune')) {
+        getPanel().then(p => p.open());
     }
+
+    return {
+        pause: () => panel && panel.pause(),
+        resume: () => panel && panel.resume(),
+        destroy: () => {
+            document.removeEventListener('keydown', onKeyDown);
+            if (panel) panel.destroy();
+        }
+    };
 }
 
+/**
+ * Paint mode: a little flourish on each painting once it is painted in
+ * @param {PaintMask|null} paint - The blob cursor's paint mask
+ */
+function celebratePainting(paint) {
+    if (!paint) return;
+    paint.on('complete', ({ base }) => {
+        if (!base) return;
+        base.classList.remove('is-painted');
+        void base.offsetWidth; // Restart the animation
+        base.classList.add('is-painted');
+    });
+    paint.on('reset', () => {
+        document.querySelectorAll('.is-painted').forEach(el => el.classList.remove('is-painted'));
+    });
+}
 
 /**
- * Preload critical images for smoother experience
+ * Create the WebGL background, or the CSS/SVG fallback when WebGL is
+ * unavailable, throws on creation, or later keeps losing its context
  */
-async function preloadImages() {
-    const criticalImages = [
-        'images/main/graduate.png',
-        'images/VG/graduateVG.jpg',
-        'images/backgrounds/orangeSN.png',
-        'images/backgrounds/starry-night.jpg',
-        'images/VG/orangeVG.png',
-        'images/VG/graduationVG.png',
-        'images/main/clemson-headshot.jpg',
-        'images/main/clemson-stage.jpg'
-    ];
-
-    const promises = criticalImages.map(src => {
-        return new Promise((resolve) => {
-            const img = new Image();
-            img.onload = resolve;
-            img.onerror = resolve; // Don't block on errors
-            img.src = src;
+function initBackgroundRenderer() {
+    const options = {
+        textures: app.content.textures,
+        style: styleFromUrl()
+    };
+    const register = (background) => {
+        app.background = lifecycle.register('background', background, {
+            element: document.getElementById('canvas-bg')
         });
+        if (app.quality) background.setQuality(app.quality.getSettings());
+        if (app.director) app.director.setBackground(background);
+    };
+    const useFallback = (reason) => {
+        console.warn(`WebGL background unavailable (${reason}), using CSS fallback`);
+        app.telemetry.recordFallback(reason);
+        register(initFallbackBackground('canvas-bg', options));
+    };
+
+    if (!isWebGLAvailable()) {
+        useFallback('unavailable');
+        return;
+    }
+
+    let background;
+    try {
+        background = initBackground('canvas-bg', options);
+    } catch (error) {
+        console.warn('WebGL background failed to start:', error);
+        useFallback('unavailable');
+        return;
+    }
+
+    app.telemetry.watchCanvas(background.renderer.domElement);
+    background.once('failed', ({ reason }) => {
+        lifecycle.unregister('background');
+        background.destroy();
+        useFallback(reason);
     });
+    register(background);
+}
 
-    // Wait for critical images with timeout
-    await Promise.race([
-        Promise.all(promises),
-        new Promise(resolve => setTimeout(resolve, 3000)) // 3s max wait
-    ]);
+/**
+ * Start measuring frame times once the loader is gone
+ */
+function startQualityGovernor() {
+    if (app.quality) app.quality.init();
+}
+
+/**
+ * Preload critical images for smoother experience.
+ * Each image is tracked by the loading manager (count and bytes).
+ * Card images load lazily, and background textures stream in through
+ * the background's texture manager.
+ * @param {Array<string>} criticalImages - First-paint image URLs from the content manifest
+ */
+function preloadImages(criticalImages) {
+    // loadImage never rejects, failed images simply count as settled
+    return Promise.all([...new Set(criticalImages)].map(src => loadingManager.loadImage(src)));
+}
+
+/**
+ * Track web fonts and the window load event as loading assets
+ */
+function trackDocumentAssets() {
+    if (document.fonts && document.fonts.ready) {
+        loadingManager.track('fonts', document.fonts.ready);
+    }
+
+    if (document.readyState !== 'complete') {
+        loadingManager.track('window:load', new Promise(resolve => {
+            window.addEventListener('load', resolve, { once: true });
+        }));
+    }
+}
+
+/**
+ * Mirror loading progress into the loader text
+ * @returns {Function} Unsubscribe function
+ */
+function bindLoaderProgress() {
+    const container = document.getElementById('loader-text-container');
+    const label = document.getElementById('loader-label');
+    if (!label) return () => { };
+
+    return loadingManager.on('progress', ({ progress }) => {
+        const percent = Math.round(progress * 100);
+        label.textContent = `Loading ${percent}%`;
+        if (container) container.setAttribute('aria-valuenow', percent);
+    });
 }
 
 /**
@@ -108,6 +254,7 @@ function setLoadingState(isLoading) {
 
 /**
  * Initialize viewport height fix for mobile browsers
+ * @returns {Object} Lifecycle module with destroy()
  */
 function initViewportFix() {
     // Fix for mobile viewport height (100vh issue)
@@ -115,12 +262,20 @@ function initViewportFix() {
         const vh = window.innerHeight * 0.01;
         document.documentElement.style.setProperty('--vh', `${vh}px`);
     };
+    const onOrientationChange = () => {
+        setTimeout(setViewportHeight, 100);
+    };
 
     setViewportHeight();
     window.addEventListener('resize', setViewportHeight);
-    window.addEventListener('orientationchange', () => {
-        setTimeout(setViewportHeight, 100);
-    });
+    window.addEventListener('orientationchange', onOrientationChange);
+
+    return {
+        destroy() {
+            window.removeEventListener('resize', setViewportHeight);
+            window.removeEventListener('orientationchange', onOrientationChange);
+        }
+    };
 }
 
 /**
@@ -141,42 +296,28 @@ function initPerformanceOptimizations() {
     document.addEventListener('touchstart', () => { }, { passive: true });
 }
 
-// Performance monitoring
+/**
+ * Performance monitoring
+ * Release and collector endpoint come from <meta> tags; ?telemetry=console
+ * forces a console report for this visit, ?telemetry=off opts out for good.
+ */
 function initPerformanceMonitoring() {
-    if ('PerformanceObserver' in window) {
-        const observer = new PerformanceObserver((list) => {
-            list.getEntries().forEach(entry => {
-                console.log(`[Performance] ${entry.name}: ${entry.duration.toFixed(2)}ms`);
-            });
-        });
+    const meta = (name) => {
+        const el = document.querySelector(`meta[name="${name}"]`);
+        return el ? el.content : '';
+    };
+    const mode = new URLSearchParams(location.search).get('telemetry');
 
-        observer.observe({ entryTypes: ['paint', 'largest-contentful-paint', 'layout-shift'] });
-    }
+    if (mode === 'off') setOptOut(true);
 
-    // Log WebGL capabilities
-    const canvas = document.createElement('canvas');
-    const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
-    if (gl) {
-        console.log('WebGL Supported:', gl.getParameter(gl.VERSION));
-        console.log('Max Texture Size:', gl.getParameter(gl.MAX_TEXTURE_SIZE));
-    }
+    return initTelemetry({
+        release: meta('release'),
+        endpoint: meta('telemetry-endpoint'),
+        console: mode === 'console'
+    });
 }
 
 
-/**
- * Initialize service worker for offline support (optional)
- */
-async function initServiceWorker() {
-    if ('serviceWorker' in navigator && location.protocol === 'https:') {
-        try {
-            await navigator.serviceWorker.register('/sw.js');
-            console.log('Service worker registered');
-        } catch (error) {
-            // Service worker registration failed, continue without it
-        }
-    }
-}
-
 /**
  * Main initialization function
  */
@@ -192,40 +333,67 @@ async function init() {
     setLoadingState(true);
 
     // Start Loader Scene Immediately
-    initLoaderScene('images/backgrounds/loading.jpg');
-    const loaderStartTime = Date.now();
+    const loaderStart = performance.now();
+    const unbindLoaderProgress = bindLoaderProgress();
+    initLoaderScene(LOADER.imageUrl);
+    lifecycle.register('loader', {
+        pause: pauseLoaderScene,
+        resume: resumeLoaderScene,
+        destroy: disposeLoaderScene
+    });
+    trackDocumentAssets();
 
     // Detect device type
     app.isMobile = detectMobile();
     document.body.classList.toggle('is-mobile', app.isMobile);
     document.body.classList.toggle('is-desktop', !app.isMobile);
 
-    // Detect likely low-power device (mobile or low concurrency)
-    const isLowPower = app.isMobile || (navigator.hardwareConcurrency && navigator.hardwareConcurrency <= 4);
-    document.body.classList.toggle('is-low-power', isLowPower);
+    // Quality is measured, not guessed: start mobile one tier down and let
+    // the governor step up or down from real frame times once loading is over
+    app.quality = lifecycle.register('quality', initQualityGovernor(app.isMobile ? 'medium' : 'high', false));
+    applyQuality(app.quality.getSettings());
+    app.quality.on('tierchange', ({ settings }) => applyQuality(settings));
 
     // Initialize viewport fix
-    initViewportFix();
+    lifecycle.register('viewport', initViewportFix());
+
+    // Designer presets (data/preset.json) and the live tuning panel
+    loadingManager.track('preset', tuning.loadPreset());
+    lifecycle.register('tuningPanel', initTuningShortcut());
 
     // Initialize performance optimizations
     // Initialize performance optimizations
     initPerformanceOptimizations();
-    detectPerformanceTier();
-    initPerformanceMonitoring();
+    app.telemetry = lifecycle.register('telemetry', initPerformanceMonitoring());
+    app.quality.on('sample', ({ tier, fps }) => app.telemetry.recordFps(tier, fps));
+    app.telemetry.watchCanvas(document.querySelector('#loader-canvas-container canvas'));
 
 
     try {
-        // Preload critical images
-        await preloadImages();
+        // Render the hero, grid and reveal clones from the content manifest
+        const content = await loadContent().catch(error => {
+            console.error('Failed to load content manifest:', error);
+            renderContentError();
+            return {};
+        });
+        app.content = app.telemetry.time('content', () => renderContent(content));
+
+        // Preload critical images (not awaited: modules register their own
+        // assets with the loading manager while these download)
+        preloadImages(app.content.criticalImages);
 
         // Initialize modules in parallel where possible
         const initPromises = [];
 
-        // Initialize Three.js background
+        // Initialize Three.js background (CSS/SVG fallback without WebGL)
         initPromises.push(
             new Promise(resolve => {
                 try {
-                    app.background = initBackground('canvas-bg');
+                    const start = performance.now();
+                    app.telemetry.time('background', initBackgroundRenderer);
+                    if (app.background && app.background.ready) {
+                        app.telemetry.timeReady('background', app.background.ready, start);
+                    }
                     console.log('Background initialized');
                 } catch (e) {
                     console.warn('Background initialization failed:', e);
@@ -238,7 +406,15 @@ async function init() {
         initPromises.push(
             new Promise(resolve => {
                 try {
-                    app.blobCursor = initBlobCursor('blob-group', 'cursor-dot');
+                    app.blobCursor = app.telemetry.time('blobCursor', () => initBlobCursor('blob-group', 'cursor-dot', {
+                        renderer: blobRendererFromUrl() || 'webgl',
+                        // Reveal sync starts after the cursor; the WebGL mask draws its pairs
+                        getPairs: () => (app.revealSync ? app.revealSync.getPairs() : []),
+                        // ?paint: the cursor paints the reveal in for good
+                        mode: new URLSearchParams(location.search).has('paint') ? 'paint' : 'reveal'
+                    }));
+                    celebratePainting(app.blobCursor.getPaintMask());
+                    lifecycle.register('blobCursor', app.blobCursor);
                     console.log('Blob cursor initialized');
                 } catch (e) {
                     console.warn('Blob cursor initialization failed:', e);
@@ -251,7 +427,8 @@ async function init() {
         initPromises.push(
             new Promise(resolve => {
                 try {
-                    app.revealSync = initRevealSync();
+                    app.revealSync = app.telemetry.time('revealSync', () => initRevealSync(app.content.pairs));
+                    lifecycle.register('revealSync', app.revealSync);
                     console.log('Reveal sync initialized');
                 } catch (e) {
                     console.warn('Reveal sync initialization failed:', e);
@@ -263,40 +440,71 @@ async function init() {
         // Wait for all modules
         await Promise.all(initPromises);
 
+        // Sections and cards pick the background by scroll, hover and focus
+        if (app.background) {
+            app.director = lifecycle.register('director', initBackgroundDirector(app.background));
+        }
+
+        // Idle attract mode; recordings named in the manifest join its rotation
+        if (app.blobCursor) {
+            app.autopilot = lifecycle.register('autopilot', createAutopilot(app.blobCursor, {
+                getPairs: () => (app.revealSync ? app.revealSync.getPairs() : [])
+            }));
+            (content.choreographies || []).forEach(url => app.autopilot.load(url));
+        }
+
+        // The cursor stirs the background fluid (WebGL background only)
+        if (app.background && app.background.setPointerSource && app.blobCursor) {
+            app.background.setPointerSource(app.blobCursor);
+        }
+
         // Wait for window load to ensure fonts/CSS are ready
         if (document.readyState !== 'complete') {
             await new Promise(resolve => window.addEventListener('load', resolve));
         }
 
         // Initialize interactions (after DOM elements are ready)
-        app.interactions = initInteractions();
+        app.interactions = lifecycle.register('interactions', app.telemetry.time('interactions', initInteractions));
+        applyQuality(app.quality.getSettings());
         console.log('Interactions initialized');
 
         // Mark as initialized
         app.isInitialized = true;
 
-        // Calculate elapsed time and ensure minimum 3s duration
-        const elapsedTime = Date.now() - loaderStartTime;
-        const minDuration = 3000;
-        if (elapsedTime < minDuration) {
-            await new Promise(resolve => setTimeout(resolve, minDuration - elapsedTime));
-        }
+        // Every module has registered its assets: wait for them to settle
+        loadingManager.close();
+        await Promise.race([
+            loadingManager.whenComplete(),
+            new Promise(resolve => setTimeout(resolve, LOADER.maxWait))
+        ]);
+        unbindLoaderProgress();
+        app.telemetry.recordLoader(performance.now() - loaderStart, loadingManager.getProgress());
+
+        // Give the loader a moment to show the fully developed painting
+        await new Promise(resolve => setTimeout(resolve, LOADER.settleTime));
 
         // Transition out loader
         const loaderContainer = document.getElementById('loader-container');
         if (loaderContainer) {
             loaderContainer.classList.add('fade-out');
             setTimeout(() => {
-                disposeLoaderScene();
+                lifecycle.destroy('loader');
                 if (loaderContainer.parentNode) loaderContainer.parentNode.removeChild(loaderContainer);
                 setLoadingState(false);
+                startQualityGovernor();
             }, 1500); // 1.5s matches CSS transition
         } else {
             setLoadingState(false);
+            startQualityGovernor();
         }
 
         console.log('Portfolio initialization complete');
 
+        // Offline support, registered last so it never competes with first load
+        initServiceWorker().then(manager => {
+            app.serviceWorker = lifecycle.register('serviceWorker', manager);
+        });
+
     } catch (error) {
         console.error('Failed to initialize portfolio:', error);
         setLoadingState(false);
@@ -304,34 +512,24 @@ async function init() {
 }
 
 /**
- * Handle page visibility changes
- */
-function handleVisibilityChange() {
-    if (document.hidden) {
-        // Pause heavy operations when page is hidden
-        console.log('Page hidden - reducing activity');
-    } else {
-        // Resume when page becomes visible
-        console.log('Page visible - resuming');
-    }
-}
-
-/**
- * Cleanup function for SPA navigation
+ * Cleanup function for SPA navigation.
+ * Tears down every registered module: listeners, rAF loops and WebGL resources.
  */
 function cleanup() {
-    if (app.blobCursor && app.blobCursor.destroy) {
-        app.blobCursor.destroy();
-    }
-    if (app.interactions && app.interactions.destroy) {
-        app.interactions.destroy();
-    }
+    lifecycle.destroy();
+
+    app.background = null;
+    app.director = null;
+    app.blobCursor = null;
+    app.autopilot = null;
+    app.revealSync = null;
+    app.interactions = null;
+    app.serviceWorker = null;
+    app.quality = null;
+    app.telemetry = null;
     app.isInitialized = false;
 }
 
-// Add visibility change listener
-document.addEventListener('visibilitychange', handleVisibilityChange);
-
 // Expose app state for debugging
 window.__ISTIQLAL_APP__ = app;
 
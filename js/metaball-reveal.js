@@ -0,0 +1,403 @@
+/**
+ * Metaball Reveal Module
+ * WebGL alternative to the SVG goo-filter mask: draws the reveal clones
+ * (the Van Gogh twins in #global-reveal-container) on a canvas, cut out
+ * by a metaball field built from the blob cursor's blobs. Blobs melt
+ * together with a smooth union of their distance fields, which is what
+ * the blur + alpha threshold of the #goo filter approximates, without
+ * re-rasterising an SVG filter every frame. In paint mode each image's
+ * paint canvas (see paint-mask.js) is added to the mask.
+ */
+
+import { Emitter } from './emitter.js';
+import { guardContext } from './webgl-context.js';
+import { fitUvChunk } from './shaders.js';
+import { tuning } from './tuning.js';
+
+/**
+ * Configuration
+ */
+const CONFIG = {
+    maxBlobs: 64,       // Uniform array size cap (blobs past it are not drawn)
+    minBlobs: 8,        // Fewer than this fit in the GPU's uniforms: use the SVG mask
+    reservedUniforms: 16, // Fragment uniform vectors kept for everything but the blob arrays
+    gooRadius: 24,      // How far apart blobs still melt together (CSS px)
+    edgeSoftness: 1.5,  // Anti-aliased edge width (CSS px)
+    pixelRatio: 1.5     // Until the quality governor picks a tier
+};
+
+tuning.define('metaballs', CONFIG, {
+    gooRadius: { min: 0, max: 80, step: 1, label: 'Goo radius (px)' },
+    edgeSoftness: { min: 0.5, max: 10, step: 0.5, label: 'Edge softness (px)' }
+});
+
+const vertexShader = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+/**
+ * Fragment shader for a blob array size
+ * @param {number} maxBlobs - Blobs the uniform arrays hold
+ */
+const fragmentShader = (maxBlobs) => `
+    #define MAX_BLOBS ${maxBlobs}
+
+    uniform sampler2D uImage;
+    uniform vec4 uFit;          // Image aspect, mode (see fitUvChunk)
+    uniform vec2 uSize;         // Quad size (CSS px)
+    uniform vec2 uViewport;     // Viewport (CSS px)
+    uniform float uPixelRatio;
+    uniform vec4 uBlobs[MAX_BLOBS];  // x, y (CSS px, y down), radius, opacity
+    uniform vec2 uShapes[MAX_BLOBS]; // stretch, angle (radians)
+    uniform int uBlobCount;
+    uniform float uGoo;
+    uniform float uSoftness;
+    uniform sampler2D uPaint;
+    uniform vec4 uPaintArea;    // Paint canvas offset, size in the quad's uv (size 0: no paint)
+    varying vec2 vUv;
+
+    ${fitUvChunk}
+
+    // Polynomial smooth minimum: blobs closer than k melt together
+    float smin(float a, float b, float k) {
+        float h = clamp(0.5 + 0.5 * (b - a) / k, 0.0, 1.0);
+        return mix(b, a, h) - k * h * (1.0 - h);
+    }
+
+    // Signed distance to the blob field (negative inside)
+    float blobField(vec2 p) {
+        float d = 1e5;
+        for (int i = 0; i < MAX_BLOBS; i++) {
+            if (i >= uBlobCount) break;
+            vec4 blob = uBlobs[i];
+            vec2 shape = uShapes[i];
+
+            // Into the blob's frame: stretched along its velocity, squashed across
+            vec2 q = p - blob.xy;
+            float c = cos(shape.y);
+            float s = sin(shape.y);
+            q = vec2(c * q.x + s * q.y, -s * q.x + c * q.y);
+            q /= vec2(shape.x, 1.0 / shape.x);
+
+            // Fading blobs shrink away
+            float radius = blob.z * blob.w;
+            float di = (length(q) - radius) * min(shape.x, 1.0 / shape.x);
+            d = smin(d, di, uGoo);
+        }
+        return d;
+    }
+
+    float paintMask(vec2 quadUv) {
+        if (uPaintArea.z <= 0.0) return 0.0;
+        vec2 uv = (quadUv - uPaintArea.xy) / uPaintArea.zw;
+        if (uv.x < 0.0 || uv.y < 0.0 || uv.x > 1.0 || uv.y > 1.0) return 0.0;
+        return texture2D(uPaint, vec2(uv.x, 1.0 - uv.y)).a;
+    }
+
+    void main() {
+        // The camera is y-down: flip v so the image is upright
+        vec2 quadUv = vec2(vUv.x, 1.0 - vUv.y);
+
+        vec2 p = vec2(gl_FragCoord.x, uViewport.y * uPixelRatio - gl_FragCoord.y) / uPixelRatio;
+        float mask = 1.0 - smoothstep(-uSoftness, uSoftness, blobField(p));
+        mask = max(mask, paintMask(quadUv));
+        if (mask <= 0.0) discard;
+
+        vec2 uv = fitUv(quadUv, uFit, uSize.x / uSize.y);
+        vec4 color = texture2D(uImage, uv);
+        float alpha = color.a * mask * fitMask(uv, uFit);
+        gl_FragColor = vec4(color.rgb * alpha, alpha);
+    }
+`;
+
+/**
+ * MetaballRenderer class
+ *
+ * Events:
+ *  - 'failed' { reason } WebGL keeps failing, switch back to the SVG mask
+ */
+class MetaballRenderer extends Emitter {
+    /**
+     * @param {Object} options - { container: reveal container element, getPairs() returning
+     *   RevealSync pairs ({ reveal, rect, fit }), pixelRatio }
+     */
+    constructor(options = {}) {
+        super();
+        this.container = options.container || document.getElementById('global-reveal-container');
+        this.getPairs = options.getPairs || (() => []);
+        this.pixelRatio = options.pixelRatio || CONFIG.pixelRatio;
+
+        this.maxBlobs = CONFIG.maxBlobs; // Lowered to what the GPU's uniforms hold
+        this.blobs = [];
+        this.shapes = [];
+        this.quads = new Map(); // Reveal <img> -> { mesh, texture, paint }
+        this.probe = null;      // Material compiled up front, keeps the shader program cached
+        this.listeners = [];
+        this.isContextLost = false;
+
+        this.init();
+    }
+
+    init() {
+        this.renderer = new THREE.WebGLRenderer({ alpha: true, premultipliedAlpha: true, antialias: false });
+        this.renderer.setClearColor(0x000000, 0);
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.pixelRatio));
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+
+        const canvas = this.renderer.domElement;
+        canvas.className = 'metaball-reveal';
+        canvas.setAttribute('aria-hidden', 'true');
+        this.container.after(canvas);
+        // The DOM clones stay for layout and lazy loading, drawn here instead
+        this.container.classList.add('is-webgl-masked');
+
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.OrthographicCamera(0, window.innerWidth, 0, window.innerHeight, -1, 1);
+        this.geometry = new THREE.PlaneGeometry(1, 1);
+
+        this.listeners.push(guardContext(canvas, {
+            onLost: () => { this.isContextLost = true; },
+            onRestored: () => {
+                this.isContextLost = false;
+                this.quads.forEach(({ texture, paint }) => {
+                    texture.needsUpdate = true;
+                    if (paint) paint.needsUpdate = true;
+                });
+            },
+            onFailed: (reason) => this.emit('failed', { reason })
+        }));
+        this.listen(window, 'resize', () => this.handleResize());
+
+        try {
+            this.compileShader();
+        } catch (error) {
+            this.destroy();
+            throw error;
+        }
+    }
+
+    /**
+     * Size the blob arrays to the GPU and compile the shader now rather
+     * than on the first render (three.js compiles lazily), so a GPU that
+     * can't run it throws here and createBlobRenderer() falls back to SVG
+     */
+    compileShader() {
+        const gl = this.renderer.getContext();
+        const vectors = gl.getParameter(gl.MAX_FRAGMENT_UNIFORM_VECTORS);
+        // Each blob takes two vectors (uBlobs and uShapes)
+        this.maxBlobs = Math.min(CONFIG.maxBlobs, Math.floor((vectors - CONFIG.reservedUniforms) / 2));
+        if (!(this.maxBlobs >= CONFIG.minBlobs)) {
+            throw new Error(`only ${vectors} fragment uniform vectors`);
+        }
+
+        this.blobs = Array.from({ length: this.maxBlobs }, () => new THREE.Vector4());
+        this.shapes = Array.from({ length: this.maxBlobs }, () => new THREE.Vector2(1, 0));
+
+        this.probe = this.createMaterial(null, 1);
+        const mesh = new THREE.Mesh(this.geometry, this.probe);
+        this.scene.add(mesh);
+        this.renderer.compile(this.scene, this.camera);
+        this.scene.remove(mesh);
+
+        const failed = this.renderer.info.programs.some(program => {
+            if (program.diagnostics) return !program.diagnostics.runnable;
+            return !gl.getProgramParameter(program.program, gl.LINK_STATUS);
+        });
+        if (failed) throw new Error('metaball shader failed to compile');
+    }
+
+    /**
+     * Add an event listener that destroy() will remove
+     */
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    /**
+     * Quad for a reveal image, created once the image has decoded
+     */
+    getQuad(img) {
+        if (this.quads.has(img)) return this.quads.get(img);
+        if (!img.complete || !img.naturalWidth) return null;
+
+        const texture = new THREE.Texture(img);
+        texture.needsUpdate = true;
+        texture.minFilter = THREE.LinearFilter;
+        texture.generateMipmaps = false;
+
+        const material = this.createMaterial(texture, img.naturalWidth / img.naturalHeight);
+        const mesh = new THREE.Mesh(this.geometry, material);
+        mesh.frustumCulled = false;
+        this.scene.add(mesh);
+
+        const quad = { mesh, texture, paint: null, paintVersion: -1 };
+        this.quads.set(img, quad);
+        return quad;
+    }
+
+    /**
+     * Material drawing one reveal image through the blobs
+     * @param {THREE.Texture} texture - Reveal image
+     * @param {number} aspect - Image width / height
+     */
+    createMaterial(texture, aspect) {
+        return new THREE.ShaderMaterial({
+            uniforms: {
+                uImage: { value: texture },
+                uFit: { value: new THREE.Vector4(aspect, 0, 0.5, 0.5) },
+                uSize: { value: new THREE.Vector2(1, 1) },
+                uViewport: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
+                uPixelRatio: { value: this.renderer.getPixelRatio() },
+                uBlobs: { value: this.blobs },
+                uShapes: { value: this.shapes },
+                uBlobCount: { value: 0 },
+                uGoo: { value: CONFIG.gooRadius },
+                uSoftness: { value: CONFIG.edgeSoftness },
+                uPaint: { value: null },
+                uPaintArea: { value: new THREE.Vector4(0, 0, 0, 0) }
+            },
+            vertexShader,
+            fragmentShader: fragmentShader(this.maxBlobs),
+            transparent: true,
+            premultipliedAlpha: true,
+            depthTest: false,
+            depthWrite: false,
+            side: THREE.DoubleSide // The y-down camera flips the winding
+        });
+    }
+
+    /**
+     * Draw the reveal images through the blobs
+     * @param {Array<Object>} blobs - [{ x, y, radius, stretch, angle, opacity }] in CSS px
+     * @param {PaintMask} paint - Paint mask, in paint mode
+     */
+    render(blobs, paint = null) {
+        if (this.isContextLost) return;
+
+        const count = Math.min(blobs.length, this.maxBlobs);
+        for (let i = 0; i < count; i++) {
+            const blob = blobs[i];
+            this.blobs[i].set(blob.x, blob.y, blob.radius, blob.opacity);
+            this.shapes[i].set(blob.stretch, blob.angle);
+        }
+
+        const pixelRatio = this.renderer.getPixelRatio();
+        this.quads.forEach(({ mesh }) => { mesh.visible = false; });
+
+        const paintLayers = new Map();
+        if (paint) paint.getLayers().forEach(layer => paintLayers.set(layer.pair.reveal, layer));
+
+        this.getPairs().forEach(pair => {
+            const rect = pair.rect;
+            if (!pair.reveal || !rect || !rect.width || !rect.height) return;
+            // Off screen: skip the quad (and the texture upload)
+            if (rect.bottom < 0 || rect.top > window.innerHeight || rect.right < 0 || rect.left > window.innerWidth) return;
+
+            const quad = this.getQuad(pair.reveal);
+            if (!quad) return;
+
+            const { mesh } = quad;
+            const uniforms = mesh.material.uniforms;
+            const layer = paintLayers.get(pair.reveal);
+            this.updatePaint(quad, layer, rect);
+            mesh.visible = count > 0 || Boolean(layer);
+            mesh.position.set(rect.left + rect.width / 2, rect.top + rect.height / 2, 0);
+            mesh.scale.set(rect.width, rect.height, 1);
+            uniforms.uFit.value.y = pair.fit === 'contain' ? 1 : 0;
+            uniforms.uSize.value.set(rect.width, rect.height);
+            uniforms.uPixelRatio.value = pixelRatio;
+            uniforms.uBlobCount.value = count;
+            uniforms.uGoo.value = CONFIG.gooRadius;
+            uniforms.uSoftness.value = CONFIG.edgeSoftness;
+        });
+
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    /**
+     * Point a quad at its paint canvas, uploading it when it changed
+     */
+    updatePaint(quad, layer, rect) {
+        const uniforms = quad.mesh.material.uniforms;
+        if (!layer) {
+            uniforms.uPaintArea.value.set(0, 0, 0, 0);
+            return;
+        }
+
+        if (!quad.paint || quad.paint.image !== layer.canvas) {
+            if (quad.paint) quad.paint.dispose();
+            quad.paint = new THREE.CanvasTexture(layer.canvas);
+            quad.paint.minFilter = THREE.LinearFilter;
+            quad.paint.generateMipmaps = false;
+            quad.paintVersion = -1;
+            uniforms.uPaint.value = quad.paint;
+        }
+        if (quad.paintVersion !== layer.version) {
+            quad.paint.needsUpdate = true;
+            quad.paintVersion = layer.version;
+        }
+
+        const { area } = layer;
+        uniforms.uPaintArea.value.set(
+            (area.left - rect.left) / rect.width,
+            (area.top - rect.top) / rect.height,
+            area.width / rect.width,
+            area.height / rect.height
+        );
+    }
+
+    handleResize() {
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.camera.right = window.innerWidth;
+        this.camera.bottom = window.innerHeight;
+        this.camera.updateProjectionMatrix();
+        this.quads.forEach(({ mesh }) => {
+            mesh.material.uniforms.uViewport.value.set(window.innerWidth, window.innerHeight);
+        });
+    }
+
+    /**
+     * Apply quality settings from the quality governor
+     * @param {Object} settings - Tier settings ({ pixelRatio })
+     */
+    setQuality(settings) {
+        if (!settings.pixelRatio) return;
+        this.pixelRatio = settings.pixelRatio;
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.pixelRatio));
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+    }
+
+    // Cleanup
+    destroy() {
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+        this.removeAll();
+
+        this.quads.forEach(({ mesh, texture, paint }) => {
+            mesh.material.dispose();
+            texture.dispose();
+            if (paint) paint.dispose();
+        });
+        this.quads.clear();
+        if (this.probe) this.probe.dispose();
+        this.probe = null;
+        this.geometry.dispose();
+        this.renderer.dispose();
+        this.renderer.domElement.remove();
+        this.container.classList.remove('is-webgl-masked');
+    }
+}
+
+/**
+ * Create the WebGL metaball reveal
+ * @param {Object} options - { container, getPairs, pixelRatio }
+ * @returns {MetaballRenderer} Renderer
+ */
+export function createMetaballRenderer(options = {}) {
+    return new MetaballRenderer(options);
+}
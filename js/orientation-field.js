@@ -0,0 +1,160 @@
+/**
+ * Orientation Field Module
+ * Works out which way the brush strokes run in a painting (smoothed
+ * structure tensor of its luminance) so the shaders can smear paint along
+ * them. Computed once per texture on a downscaled copy.
+ *
+ * The field is stored double-angle encoded: rg = (cos 2θ, sin 2θ) * coherence,
+ * mapped to 0..1. θ is the stroke (edge tangent) angle in image pixels,
+ * measured with y up like texture UVs; coherence is 0 in flat or noisy
+ * areas and 1 along clean edges. Double angles interpolate safely, since
+ * a stroke at θ and θ + π is the same stroke.
+ */
+
+/**
+ * Configuration
+ */
+const CONFIG = {
+    maxSize: 256,   // Longest side of the analysed copy (px)
+    blurRadius: 3,  // Box blur radius for the tensor (px), two passes
+    minEnergy: 1e-4 // Gradient energy below this counts as flat
+};
+
+/**
+ * Separable box blur, in place
+ */
+function boxBlur(data, width, height, radius) {
+    const temp = new Float32Array(data.length);
+    const size = radius * 2 + 1;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let k = -radius; k <= radius; k++) {
+                sum += data[y * width + Math.min(width - 1, Math.max(0, x + k))];
+            }
+            temp[y * width + x] = sum / size;
+        }
+    }
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let k = -radius; k <= radius; k++) {
+                sum += temp[Math.min(height - 1, Math.max(0, y + k)) * width + x];
+            }
+            data[y * width + x] = sum / size;
+        }
+    }
+}
+
+/**
+ * Compute the encoded orientation field of an image
+ * @param {HTMLImageElement|HTMLCanvasElement|HTMLVideoElement} image - Loaded image or video frame (same origin)
+ * @returns {Object|null} { data: Uint8Array (RGBA, bottom row first), width, height }, or null if the pixels can't be read
+ */
+export function computeOrientationField(image) {
+    const sourceWidth = image.naturalWidth || image.videoWidth || image.width;
+    const sourceHeight = image.naturalHeight || image.videoHeight || image.height;
+    if (!sourceWidth || !sourceHeight) return null;
+
+    const scale = Math.min(1, CONFIG.maxSize / Math.max(sourceWidth, sourceHeight));
+    const width = Math.max(3, Math.round(sourceWidth * scale));
+    const height = Math.max(3, Math.round(sourceHeight * scale));
+
+    let pixels;
+    try {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, width, height);
+        pixels = ctx.getImageData(0, 0, width, height).data;
+    } catch (error) {
+        // Tainted canvas (cross-origin image) or no 2D context
+        console.warn('Orientation field unavailable:', error);
+        return null;
+    }
+
+    const luma = new Float32Array(width * height);
+    for (let i = 0; i < luma.length; i++) {
+        luma[i] = (pixels[i * 4] * 0.299 + pixels[i * 4 + 1] * 0.587 + pixels[i * 4 + 2] * 0.114) / 255;
+    }
+
+    // Sobel gradients (gy points up) into the tensor components
+    const jxx = new Float32Array(width * height);
+    const jxy = new Float32Array(width * height);
+    const jyy = new Float32Array(width * height);
+    const at = (x, y) => luma[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const gx = (at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1))
+                - (at(x - 1, y - 1) + 2 * at(x - 1, y) + at(x - 1, y + 1));
+            const gy = (at(x - 1, y - 1) + 2 * at(x, y - 1) + at(x + 1, y - 1))
+                - (at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1));
+            const i = y * width + x;
+            jxx[i] = gx * gx;
+            jxy[i] = gx * gy;
+            jyy[i] = gy * gy;
+        }
+    }
+
+    [jxx, jxy, jyy].forEach(component => {
+        boxBlur(component, width, height, CONFIG.blurRadius);
+        boxBlur(component, width, height, CONFIG.blurRadius);
+    });
+
+    // The stroke runs across the dominant gradient: its double angle is the
+    // gradient's plus π, so (cos 2θ, sin 2θ) = -(jxx - jyy, 2 jxy) / |...|.
+    // Dividing by the trace instead gives that vector scaled by coherence.
+    const data = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const row = (height - 1 - y) * width; // Texture rows start at the bottom
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const energy = jxx[i] + jyy[i];
+            const o = (row + x) * 4;
+
+            let c = 0;
+            let s = 0;
+            if (energy > CONFIG.minEnergy) {
+                c = -(jxx[i] - jyy[i]) / energy;
+                s = -(2 * jxy[i]) / energy;
+            }
+
+            data[o] = Math.round((c * 0.5 + 0.5) * 255);
+            data[o + 1] = Math.round((s * 0.5 + 0.5) * 255);
+            data[o + 2] = 128;
+            data[o + 3] = 255;
+        }
+    }
+
+    return { data, width, height };
+}
+
+/**
+ * Orientation field as a texture for the brush-stroke shaders
+ * @param {HTMLImageElement|HTMLCanvasElement|HTMLVideoElement} image - Loaded image or video frame (same origin)
+ * @returns {THREE.DataTexture|null} Linear-filtered field, or null if unavailable
+ */
+export function createOrientationTexture(image) {
+    const field = computeOrientationField(image);
+    if (!field) return null;
+
+    const texture = new THREE.DataTexture(field.data, field.width, field.height, THREE.RGBAFormat);
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+/**
+ * Orientation texture with no strokes (coherence 0), for textures
+ * without a field such as transition snapshots
+ * @returns {THREE.DataTexture} 1x1 texture
+ */
+export function createFlatOrientation() {
+    const texture = new THREE.DataTexture(new Uint8Array([128, 128, 128, 255]), 1, 1, THREE.RGBAFormat);
+    texture.needsUpdate = true;
+    return texture;
+}
@@ -0,0 +1,270 @@
+/**
+ * Paint Mask Module
+ * Persistent reveal for the blob cursor's paint mode: blobs brush into a
+ * small canvas per reveal image, so the painting stays uncovered after the
+ * cursor moves on. The canvases cover the image itself (not the page), so
+ * paint scrolls with it. Paint slowly dries back unless drying is off.
+ */
+
+import { Emitter } from './emitter.js';
+import { tuning } from './tuning.js';
+
+/**
+ * Configuration
+ */
+const CONFIG = {
+    resolution: 256,      // Canvas size along the image's long side (px)
+    flow: 0.35,           // Paint laid down per 60 Hz frame under a blob (0-1)
+    dryingRate: 0.01,     // Paint lost per second (0 keeps it forever)
+    completeAt: 0.9,      // Share of an image painted that counts as done
+    sampleInterval: 500   // How often drying and coverage run (ms)
+};
+
+tuning.define('paint', CONFIG, {
+    flow: { min: 0.05, max: 1, step: 0.05, label: 'Brush flow' },
+    dryingRate: { min: 0, max: 0.2, step: 0.005, label: 'Drying (per s)' },
+    completeAt: { min: 0.5, max: 1, step: 0.01, label: 'Complete at' }
+});
+
+/**
+ * Part of a pair's rect the image covers (object-fit: contain letterboxes it)
+ * @param {Object} pair - RevealSync pair ({ reveal, rect, fit })
+ * @returns {Object|null} { left, top, width, height }
+ */
+function contentRect(pair) {
+    const { rect, reveal } = pair;
+    if (!rect || !rect.width || !rect.height) return null;
+    if (pair.fit !== 'contain' || !reveal || !reveal.naturalWidth) {
+        return { left: rect.left, top: rect.top, width: rect.width, height: rect.height };
+    }
+
+    const scale = Math.min(rect.width / reveal.naturalWidth, rect.height / reveal.naturalHeight);
+    const width = reveal.naturalWidth * scale;
+    const height = reveal.naturalHeight * scale;
+    return {
+        left: rect.left + (rect.width - width) / 2,
+        top: rect.top + (rect.height - height) / 2,
+        width,
+        height
+    };
+}
+
+/**
+ * PaintMask class
+ *
+ * Events:
+ *  - 'progress' { coverage, reveals: { revealId: coverage } } after each sample that changed
+ *  - 'complete' { id, base, reveal } a reveal image was painted in (again, after drying)
+ *  - 'reset'    {} all paint was wiped
+ */
+class PaintMask extends Emitter {
+    /**
+     * @param {Object} options - { getPairs() returning RevealSync pairs }
+     */
+    constructor(options = {}) {
+        super();
+        this.getPairs = options.getPairs || (() => []);
+        this.layers = new Map(); // Reveal <img> -> layer
+        this.elapsed = 0;
+        this.coverage = 0;
+    }
+
+    /**
+     * Layer for a pair, created once its image has loaded (the canvas
+     * takes the image's aspect)
+     */
+    getLayer(pair) {
+        if (this.layers.has(pair.reveal)) return this.layers.get(pair.reveal);
+        if (!pair.reveal.naturalWidth) return null;
+
+        const area = contentRect(pair);
+        if (!area) return null;
+
+        const scale = CONFIG.resolution / Math.max(area.width, area.height);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(area.width * scale));
+        canvas.height = Math.max(1, Math.round(area.height * scale));
+
+        const layer = {
+            pair,
+            canvas,
+            ctx: canvas.getContext('2d', { willReadFrequently: true }),
+            area,
+            coverage: 0,
+            isComplete: false,
+            version: 0,      // Bumped on every change, renderers re-upload on it
+            remainder: 0     // Drying below one alpha step, carried over
+        };
+        this.layers.set(pair.reveal, layer);
+        return layer;
+    }
+
+    /**
+     * Every layer with its current on-screen area
+     * @returns {Array<Object>} [{ canvas, area, version, pair }]
+     */
+    getLayers() {
+        const layers = [];
+        this.getPairs().forEach(pair => {
+            if (!pair.reveal) return;
+            const layer = this.getLayer(pair);
+            if (!layer) return;
+            layer.area = contentRect(pair) || layer.area;
+            layers.push(layer);
+        });
+        return layers;
+    }
+
+    /**
+     * Brush the blobs into every image they touch
+     * @param {Array<Object>} blobs - [{ x, y, radius, stretch, angle, opacity }] in CSS px
+     * @param {number} delta - Seconds since the last frame (flow is per 60 Hz frame)
+     */
+    paint(blobs, delta = 1 / 60) {
+        if (!blobs.length) return;
+
+        // Same build-up per second at any frame rate
+        const flow = 1 - Math.pow(1 - CONFIG.flow, delta * 60);
+
+        this.getLayers().forEach(layer => {
+            const { area, canvas, ctx } = layer;
+            const scaleX = canvas.width / area.width;
+            const scaleY = canvas.height / area.height;
+            let painted = false;
+
+            blobs.forEach(blob => {
+                const reach = blob.radius * blob.stretch;
+                if (blob.opacity <= 0 ||
+                    blob.x + reach < area.left || blob.x - reach > area.left + area.width ||
+                    blob.y + reach < area.top || blob.y - reach > area.top + area.height) return;
+
+                ctx.save();
+                ctx.translate((blob.x - area.left) * scaleX, (blob.y - area.top) * scaleY);
+                ctx.scale(scaleX, scaleY);
+                ctx.rotate(blob.angle);
+                ctx.scale(blob.stretch, 1 / blob.stretch);
+                ctx.globalAlpha = flow * blob.opacity;
+                ctx.fillStyle = '#fff';
+                ctx.beginPath();
+                ctx.arc(0, 0, blob.radius, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.restore();
+                painted = true;
+            });
+
+            if (painted) layer.version++;
+        });
+    }
+
+    /**
+     * Dry the paint and measure coverage every sampleInterval
+     * @param {number} delta - Seconds since the last frame
+     */
+    update(delta) {
+        this.elapsed += delta;
+        if (this.elapsed * 1000 < CONFIG.sampleInterval) return;
+
+        const seconds = this.elapsed;
+        this.elapsed = 0;
+        this.sample(seconds);
+    }
+
+    /**
+     * Fade alpha linearly (a destination-out fill would stall on 8-bit
+     * rounding) and count the painted pixels in the same pass
+     * @param {number} seconds - Time since the last sample
+     */
+    sample(seconds) {
+        const layers = Array.from(this.layers.values());
+        if (!layers.length) return;
+
+        const reveals = {};
+        let painted = 0;
+        let total = 0;
+        let changed = false;
+
+        layers.forEach(layer => {
+            const { canvas, ctx, pair } = layer;
+            const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            const data = image.data;
+
+            layer.remainder += CONFIG.dryingRate * seconds * 255;
+            const dry = Math.floor(layer.remainder);
+            layer.remainder -= dry;
+
+            let count = 0;
+            let dried = false;
+            for (let i = 3; i < data.length; i += 4) {
+                if (dry > 0 && data[i] > 0) {
+                    data[i] = Math.max(0, data[i] - dry);
+                    dried = true;
+                }
+                if (data[i] >= 128) count++;
+            }
+            if (dried) {
+                ctx.putImageData(image, 0, 0);
+                layer.version++;
+            }
+
+            const pixels = data.length / 4;
+            const coverage = count / pixels;
+            if (coverage !== layer.coverage) changed = true;
+            layer.coverage = coverage;
+            reveals[pair.reveal.id] = coverage;
+            painted += count;
+            total += pixels;
+
+            if (!layer.isComplete && coverage >= CONFIG.completeAt) {
+                layer.isComplete = true;
+                this.emit('complete', { id: pair.reveal.id, base: pair.base, reveal: pair.reveal });
+            } else if (layer.isComplete && coverage < CONFIG.completeAt) {
+                // Dried back: it can be completed again
+                layer.isComplete = false;
+            }
+        });
+
+        this.coverage = total ? painted / total : 0;
+        if (changed) this.emit('progress', { coverage: this.coverage, reveals });
+    }
+
+    /**
+     * Share of all reveal images painted in
+     * @returns {number} 0-1, as of the last sample
+     */
+    getCoverage() {
+        return this.coverage;
+    }
+
+    /**
+     * Wipe all paint
+     */
+    reset() {
+        const reveals = {};
+        this.layers.forEach(layer => {
+            layer.ctx.clearRect(0, 0, layer.canvas.width, layer.canvas.height);
+            layer.coverage = 0;
+            layer.isComplete = false;
+            layer.remainder = 0;
+            layer.version++;
+            reveals[layer.pair.reveal.id] = 0;
+        });
+        this.coverage = 0;
+        this.emit('reset', {});
+        this.emit('progress', { coverage: 0, reveals });
+    }
+
+    // Cleanup
+    destroy() {
+        this.layers.clear();
+        this.removeAll();
+    }
+}
+
+/**
+ * Create a paint mask
+ * @param {Object} options - { getPairs }
+ * @returns {PaintMask} Paint mask
+ */
+export function createPaintMask(options = {}) {
+    return new PaintMask(options);
+}
@@ -0,0 +1,322 @@
+/**
+ * Particles Module
+ * Stars and fireflies over the background: instanced glow sprites that
+ * drift along the same flow noise as the painting, twinkle, and are
+ * pulled towards (or pushed away from) the cursor.
+ *
+ * Motion is integrated on the CPU (a few hundred particles at most) and
+ * uploaded as one instanced attribute per frame; sizing, twinkling and
+ * the glow itself happen in the shaders.
+ */
+
+import { tuning } from './tuning.js';
+
+/**
+ * Configuration
+ */
+const CONFIG = {
+    flowSpeed: 0.025,     // Screen UV per second at full flow
+    cursorForce: 0.35,    // Acceleration towards the cursor (UV/s², scaled by emitter.cursor)
+    cursorRadius: 0.18,   // Falloff radius of the cursor pull (UV, aspect-corrected)
+    drag: 1.5,            // How quickly particles settle back onto the flow (per second)
+    // Emitters: region in screen UV [x0, y0, x1, y1] with y up, size in CSS px,
+    // flow and cursor are multipliers (negative cursor repels), life in seconds
+    // (null: lives forever and wraps around the screen edges)
+    emitters: [
+        {
+            name: 'stars',
+            share: 0.6,
+            region: [0, 0.45, 1, 1],
+            size: [6, 14],
+            color: '#fff4d6',
+            twinkle: [1.5, 4],
+            flow: 0.3,
+            cursor: -0.4,
+            life: null
+        },
+        {
+            name: 'fireflies',
+            share: 0.4,
+            region: [0, 0, 1, 0.6],
+            size: [10, 22],
+            color: '#f5c747',
+            twinkle: [0.4, 1.2],
+            flow: 1,
+            cursor: 1,
+            life: [5, 10]
+        }
+    ]
+};
+
+tuning.define('particles', CONFIG, {
+    flowSpeed: { min: 0, max: 0.1, step: 0.001, label: 'Flow speed' },
+    cursorForce: { min: 0, max: 2, step: 0.05, label: 'Cursor pull' },
+    cursorRadius: { min: 0.02, max: 0.5, step: 0.01, label: 'Cursor radius' },
+    drag: { min: 0, max: 5, step: 0.1, label: 'Drag' }
+});
+
+const particleVertexShader = `
+    attribute vec3 aState;   // Screen UV position, life alpha
+    attribute vec4 aParams;  // Size (px), twinkle speed, twinkle phase, unused
+    attribute vec3 aColor;
+    uniform vec2 uResolution;
+    uniform float uTime;
+    varying vec2 vCorner;
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        float twinkle = 0.55 + 0.45 * sin(uTime * aParams.y + aParams.z);
+        float size = aParams.x * (0.75 + 0.5 * twinkle);
+
+        vec2 ndc = aState.xy * 2.0 - 1.0 + position.xy * size * 2.0 / uResolution;
+        gl_Position = vec4(ndc, 0.0, 1.0);
+
+        vCorner = position.xy * 2.0;
+        vColor = aColor;
+        vAlpha = aState.z * twinkle;
+    }
+`;
+
+const particleFragmentShader = `
+    varying vec2 vCorner;
+    varying vec3 vColor;
+    varying float vAlpha;
+
+    void main() {
+        float d = length(vCorner);
+        if (d > 1.0) discard;
+
+        // Bright core and a soft halo
+        float core = smoothstep(0.25, 0.0, d);
+        float halo = exp(-d * d * 6.0) * 0.6;
+        float glow = (core + halo) * vAlpha;
+        gl_FragColor = vec4(vColor * glow, glow);
+    }
+`;
+
+/**
+ * Same value noise as the background shader, so particles follow the
+ * flow the painting shows
+ */
+function random(x, y) {
+    const value = Math.sin(x * 12.9898 + y * 78.233) * 43758.5453123;
+    return value - Math.floor(value);
+}
+
+function noise(x, y) {
+    const ix = Math.floor(x);
+    const iy = Math.floor(y);
+    const fx = x - ix;
+    const fy = y - iy;
+
+    const a = random(ix, iy);
+    const b = random(ix + 1, iy);
+    const c = random(ix, iy + 1);
+    const d = random(ix + 1, iy + 1);
+
+    const ux = fx * fx * (3 - 2 * fx);
+    const uy = fy * fy * (3 - 2 * fy);
+    return a + (b - a) * ux + (c - a) * uy * (1 - ux) + (d - b) * ux * uy;
+}
+
+const between = (range) => range[0] + Math.random() * (range[1] - range[0]);
+
+/**
+ * ParticleField class
+ */
+class ParticleField {
+    /**
+     * @param {Object} options - { count, emitters } (emitters default to CONFIG.emitters)
+     */
+    constructor(options = {}) {
+        this.emitters = options.emitters || CONFIG.emitters;
+        this.count = 0;
+        this.particles = [];
+        this.geometry = null;
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                uResolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
+                uTime: { value: 0 }
+            },
+            vertexShader: particleVertexShader,
+            fragmentShader: particleFragmentShader,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthTest: false,
+            depthWrite: false
+        });
+        this.mesh = new THREE.Mesh(new THREE.BufferGeometry(), this.material);
+        this.mesh.frustumCulled = false; // Positions come from the shader
+
+        this.setCount(options.count || 0);
+    }
+
+    /**
+     * Rebuild the instances for a new particle count (quality tiers)
+     * @param {number} count - Total particles across all emitters
+     */
+    setCount(count) {
+        if (count === this.count) return;
+        this.count = count;
+
+        const total = this.emitters.reduce((sum, emitter) => sum + (emitter.share || 1), 0);
+        this.particles = [];
+        this.emitters.forEach(emitter => {
+            const color = new THREE.Color(emitter.color);
+            const share = Math.round(count * (emitter.share || 1) / total);
+            for (let i = 0; i < share; i++) {
+                const particle = {
+                    emitter,
+                    color,
+                    size: between(emitter.size),
+                    twinkle: between(emitter.twinkle),
+                    phase: Math.random() * Math.PI * 2,
+                    x: 0, y: 0, vx: 0, vy: 0, age: 0, life: Infinity
+                };
+                this.spawn(particle);
+                // Spread ages so fireflies don't all fade in together
+                if (emitter.life) particle.age = Math.random() * particle.life;
+                this.particles.push(particle);
+            }
+        });
+
+        this.buildGeometry();
+    }
+
+    /**
+     * Instanced quad with per-particle attributes
+     */
+    buildGeometry() {
+        if (this.geometry) this.geometry.dispose();
+
+        const quad = new THREE.PlaneGeometry(1, 1);
+        const geometry = new THREE.InstancedBufferGeometry();
+        geometry.index = quad.index;
+        geometry.setAttribute('position', quad.getAttribute('position'));
+
+        const n = this.particles.length;
+        const params = new Float32Array(n * 4);
+        const colors = new Float32Array(n * 3);
+        this.particles.forEach((particle, i) => {
+            params.set([particle.size, particle.twinkle, particle.phase, 0], i * 4);
+            colors.set([particle.color.r, particle.color.g, particle.color.b], i * 3);
+        });
+
+        this.state = new THREE.InstancedBufferAttribute(new Float32Array(n * 3), 3);
+        this.state.setUsage(THREE.DynamicDrawUsage);
+        geometry.setAttribute('aState', this.state);
+        geometry.setAttribute('aParams', new THREE.InstancedBufferAttribute(params, 4));
+        geometry.setAttribute('aColor', new THREE.InstancedBufferAttribute(colors, 3));
+        geometry.instanceCount = n;
+
+        this.geometry = geometry;
+        this.mesh.geometry = geometry;
+        this.mesh.visible = n > 0;
+        this.writeState();
+    }
+
+    /**
+     * Place a particle somewhere in its emitter's region
+     */
+    spawn(particle) {
+        const [x0, y0, x1, y1] = particle.emitter.region;
+        particle.x = x0 + Math.random() * (x1 - x0);
+        particle.y = y0 + Math.random() * (y1 - y0);
+        particle.vx = 0;
+        particle.vy = 0;
+        particle.age = 0;
+        particle.life = particle.emitter.life ? between(particle.emitter.life) : Infinity;
+    }
+
+    /**
+     * Advance every particle
+     * @param {number} delta - Seconds since the last frame
+     * @param {Object} field - { time, noiseScale: [large, small], pointer: { x, y } | null } (background shader time and flow scales)
+     */
+    update(delta, field) {
+        if (!this.particles.length) return;
+
+        const aspect = window.innerWidth / window.innerHeight;
+        const settle = 1 - Math.exp(-CONFIG.drag * delta);
+        const pointer = field.pointer;
+        const radius2 = CONFIG.cursorRadius * CONFIG.cursorRadius;
+
+        this.particles.forEach(particle => {
+            const { emitter } = particle;
+
+            // Flow direction, sampled exactly as the background shader does
+            const u = (particle.x - 0.5) * (aspect / 1.77) + 0.5;
+            const v = particle.y;
+            const n1 = noise(u * field.noiseScale[0] + field.time * 0.15, v * field.noiseScale[0] + field.time * 0.15);
+            const n2 = noise(u * field.noiseScale[1] - field.time * 0.3, v * field.noiseScale[1] - field.time * 0.3);
+            const speed = CONFIG.flowSpeed * emitter.flow;
+            particle.vx += (Math.sin(n1 * Math.PI * 2) * speed - particle.vx) * settle;
+            particle.vy += (Math.cos(n2 * Math.PI * 2) * speed - particle.vy) * settle;
+
+            // Cursor pull (or push)
+            if (pointer && emitter.cursor) {
+                const dx = (pointer.x - particle.x) * aspect;
+                const dy = pointer.y - particle.y;
+                const dist2 = dx * dx + dy * dy;
+                const dist = Math.sqrt(dist2) || 1;
+                const force = CONFIG.cursorForce * emitter.cursor * Math.exp(-dist2 / radius2) * delta;
+                particle.vx += (dx / dist) * force / aspect;
+                particle.vy += (dy / dist) * force;
+            }
+
+            particle.x += particle.vx * delta;
+            particle.y += particle.vy * delta;
+            particle.age += delta;
+
+            if (emitter.life) {
+                const outside = particle.x < -0.05 || particle.x > 1.05 || particle.y < -0.05 || particle.y > 1.05;
+                if (particle.age > particle.life || outside) this.spawn(particle);
+            } else {
+                // Stars wrap around
+                particle.x -= Math.floor(particle.x);
+                particle.y -= Math.floor(particle.y);
+            }
+        });
+
+        this.material.uniforms.uTime.value = field.time;
+        this.writeState();
+    }
+
+    /**
+     * Copy positions and life fades into the instance attribute
+     */
+    writeState() {
+        const array = this.state.array;
+        this.particles.forEach((particle, i) => {
+            // Fade in and out over the first and last second of life
+            const alpha = particle.life === Infinity
+                ? 1
+                : Math.min(1, particle.age, particle.life - particle.age);
+            array[i * 3] = particle.x;
+            array[i * 3 + 1] = particle.y;
+            array[i * 3 + 2] = Math.max(0, alpha);
+        });
+        this.state.needsUpdate = true;
+    }
+
+    handleResize() {
+        this.material.uniforms.uResolution.value.set(window.innerWidth, window.innerHeight);
+    }
+
+    // Cleanup
+    destroy() {
+        if (this.geometry) this.geometry.dispose();
+        this.material.dispose();
+        this.particles = [];
+    }
+}
+
+/**
+ * Create a particle field; add its mesh to a scene with a -1..1 camera
+ * @param {Object} options - { count, emitters }
+ * @returns {ParticleField} Particle field
+ */
+export function createParticleField(options = {}) {
+    return new ParticleField(options);
+}
@@ -0,0 +1,223 @@
+/**
+ * Pointer Input Module
+ * One normalised stream of pointer input for the whole page, so modules
+ * subscribe here instead of each adding their own mousemove listeners.
+ * Mice and pens come from Pointer Events; fingers come from touch events,
+ * because the browser cancels touch pointers as soon as the page starts
+ * scrolling and the reveal should keep following a finger while it does.
+ *
+ * Every event carries a pointer:
+ *   { id, type ('mouse' | 'pen' | 'touch'), x, y, vx, vy (px/s),
+ *     pressure (0-1), tiltX, tiltY (degrees), isDown, isPrimary, target }
+ *
+ * DOM listeners are only attached while something is subscribed.
+ */
+
+import { Emitter } from './emitter.js';
+
+/**
+ * Configuration
+ */
+const CONFIG = {
+    velocitySmoothing: 0.35,  // Share of each new velocity sample kept (0-1)
+    restPressure: 0.5         // Pressure reported for a contact with no sensor (the Pointer Events default)
+};
+
+/**
+ * PointerInput class
+ *
+ * Events:
+ *  - 'down'   pointer  a button, finger or pen tip went down
+ *  - 'move'   pointer  moved (hovering or down)
+ *  - 'up'     pointer  released (pointer.isCancelled when the browser took it over)
+ *  - 'leave'  pointer  a hovering mouse or pen left the window
+ *  - 'enter'  pointer  a hovering mouse or pen came back
+ */
+class PointerInput extends Emitter {
+    constructor() {
+        super();
+        this.pointers = new Map(); // 'type:id' -> pointer
+        this.removeListeners = null;
+    }
+
+    /**
+     * Subscribe to an event (attaches the DOM listeners on first use)
+     * @param {string} type - Event name
+     * @param {Function} handler - Called with the pointer
+     * @returns {Function} Unsubscribe function
+     */
+    on(type, handler) {
+        const off = super.on(type, handler);
+        this.bind();
+        return () => {
+            off();
+            if (!this.hasSubscribers()) this.unbind();
+        };
+    }
+
+    hasSubscribers() {
+        for (const set of this.handlers.values()) {
+            if (set.size) return true;
+        }
+        return false;
+    }
+
+    bind() {
+        if (this.removeListeners) return;
+
+        const listeners = [];
+        const listen = (target, type, handler) => {
+            target.addEventListener(type, handler, { passive: true });
+            listeners.push(() => target.removeEventListener(type, handler, { passive: true }));
+        };
+
+        if ('PointerEvent' in window) {
+            listen(document, 'pointerdown', (e) => this.handlePointer('down', e));
+            listen(document, 'pointermove', (e) => this.handlePointer('move', e));
+            listen(document, 'pointerup', (e) => this.handlePointer('up', e));
+            listen(document, 'pointercancel', (e) => this.handlePointer('up', e, true));
+            listen(document, 'pointerout', (e) => {
+                if (!e.relatedTarget) this.handlePointer('leave', e);
+            });
+            listen(document, 'pointerover', (e) => {
+                if (!e.relatedTarget) this.handlePointer('enter', e);
+            });
+        } else {
+            // Older browsers: the mouse through mouse events
+            listen(document, 'mousedown', (e) => this.handleMouse('down', e));
+            listen(document, 'mousemove', (e) => this.handleMouse('move', e));
+            listen(document, 'mouseup', (e) => this.handleMouse('up', e));
+            listen(document, 'mouseout', (e) => {
+                if (!e.relatedTarget) this.handleMouse('leave', e);
+            });
+            listen(document, 'mouseover', (e) => {
+                if (!e.relatedTarget) this.handleMouse('enter', e);
+            });
+        }
+
+        listen(document, 'touchstart', (e) => this.handleTouches('down', e));
+        listen(document, 'touchmove', (e) => this.handleTouches('move', e));
+        listen(document, 'touchend', (e) => this.handleTouches('up', e));
+        listen(document, 'touchcancel', (e) => this.handleTouches('up', e, true));
+
+        this.removeListeners = () => listeners.forEach(remove => remove());
+    }
+
+    unbind() {
+        if (this.removeListeners) {
+            this.removeListeners();
+            this.removeListeners = null;
+        }
+        this.pointers.clear();
+    }
+
+    /**
+     * Pointer Events for mice and pens (fingers arrive as touches)
+     */
+    handlePointer(phase, e, isCancelled = false) {
+        if (e.pointerType === 'touch') return;
+
+        const type = e.pointerType === 'pen' ? 'pen' : 'mouse';
+        this.update(phase, type, e.pointerId, e, {
+            pressure: type === 'pen' ? e.pressure : null,
+            tiltX: e.tiltX || 0,
+            tiltY: e.tiltY || 0,
+            isPrimary: e.isPrimary,
+            isCancelled
+        });
+    }
+
+    handleMouse(phase, e) {
+        this.update(phase, 'mouse', 1, e, { isPrimary: true });
+    }
+
+    handleTouches(phase, e, isCancelled = false) {
+        Array.from(e.changedTouches || []).forEach(touch => {
+            // An Apple Pencil also fires touches; its pointer events already cover it
+            if (touch.touchType === 'stylus') return;
+
+            const first = e.touches && e.touches[0];
+            this.update(phase, 'touch', touch.identifier, touch, {
+                pressure: touch.force || null,
+                isPrimary: !first || first.identifier === touch.identifier,
+                isCancelled,
+                target: e.target
+            });
+        });
+    }
+
+    /**
+     * Update a pointer from an event and emit it
+     * @param {string} phase - 'down', 'move', 'up', 'leave' or 'enter'
+     * @param {string} type - 'mouse', 'pen' or 'touch'
+     * @param {number} id - Pointer id or touch identifier
+     * @param {Object} source - Event or Touch with clientX / clientY
+     * @param {Object} extra - { pressure, tiltX, tiltY, isPrimary, isCancelled, target }
+     */
+    update(phase, type, id, source, extra) {
+        const key = `${type}:${id}`;
+        const now = performance.now();
+        let pointer = this.pointers.get(key);
+
+        if (!pointer) {
+            pointer = {
+                id,
+                type,
+                x: source.clientX,
+                y: source.clientY,
+                vx: 0,
+                vy: 0,
+                pressure: 0,
+                tiltX: 0,
+                tiltY: 0,
+                isDown: false,
+                isPrimary: true,
+                isCancelled: false,
+                target: null,
+                time: now
+            };
+            this.pointers.set(key, pointer);
+        }
+
+        // Velocity, smoothed (events can arrive in bursts)
+        const dt = (now - pointer.time) / 1000;
+        if (phase === 'move' && dt > 0) {
+            const k = CONFIG.velocitySmoothing;
+            pointer.vx += ((source.clientX - pointer.x) / dt - pointer.vx) * k;
+            pointer.vy += ((source.clientY - pointer.y) / dt - pointer.vy) * k;
+        } else if (phase === 'down') {
+            pointer.vx = 0;
+            pointer.vy = 0;
+        }
+
+        if (phase === 'down') pointer.isDown = true;
+        if (phase === 'up') pointer.isDown = false;
+
+        pointer.x = source.clientX;
+        pointer.y = source.clientY;
+        pointer.time = now;
+        pointer.tiltX = extra.tiltX || 0;
+        pointer.tiltY = extra.tiltY || 0;
+        pointer.isPrimary = extra.isPrimary !== false;
+        pointer.isCancelled = Boolean(extra.isCancelled);
+        pointer.target = extra.target || source.target || null;
+        pointer.pressure = extra.pressure > 0
+            ? Math.min(extra.pressure, 1)
+            : (pointer.isDown ? CONFIG.restPressure : 0);
+
+        this.emit(phase, pointer);
+
+        // Fingers are gone once lifted; mice and pens keep hovering
+        if (phase === 'up' && type === 'touch') this.pointers.delete(key);
+    }
+
+    /**
+     * Every pointer currently known (hovering or down)
+     * @returns {Array<Object>} Pointers
+     */
+    getPointers() {
+        return Array.from(this.pointers.values());
+    }
+}
+
+export const pointerInput = new PointerInput();
@@ -0,0 +1,407 @@
+/**
+ * Post-Processing Module
+ * Screen-space effects for the background renderer. The scene is drawn
+ * into a render target, then each enabled pass reads the previous result
+ * and writes the next one (ping-pong); the last pass draws to the screen.
+ * With no passes enabled the scene renders straight to the screen.
+ *
+ * A pass is any object with a name and render(post, input, output, time)
+ * (input: texture, output: render target or null for the screen).
+ * createShaderPass() builds one from a fragment shader that samples
+ * tInput at vUv.
+ */
+
+import { tuning } from './tuning.js';
+
+/**
+ * Configuration (live-editable through the tuning panel)
+ */
+const CONFIG = {
+    bloomThreshold: 0.72,  // Luminance where glow starts
+    bloomStrength: 0.55,
+    bloomRadius: 1.0,      // Blur tap spacing (half-resolution pixels)
+    exposure: 1.0,
+    contrast: 1.06,
+    saturation: 1.12,
+    warmth: 0.03,          // Push towards yellow (+) or blue (-)
+    aberration: 0.0025,    // Colour fringe at the screen edges (UV)
+    grain: 0.045,          // Film grain and canvas weave
+    // Every pass, in the order they run (tiers choose which are on)
+    order: ['bloom', 'grading', 'chromatic', 'vignette', 'grain']
+};
+
+tuning.define('post', CONFIG, {
+    bloomThreshold: { min: 0, max: 1, step: 0.01, label: 'Bloom threshold' },
+    bloomStrength: { min: 0, max: 2, step: 0.05, label: 'Bloom strength' },
+    bloomRadius: { min: 0.5, max: 4, step: 0.1, label: 'Bloom radius' },
+    exposure: { min: 0.5, max: 2, step: 0.01, label: 'Exposure' },
+    contrast: { min: 0.5, max: 1.5, step: 0.01, label: 'Contrast' },
+    saturation: { min: 0, max: 2, step: 0.01, label: 'Saturation' },
+    warmth: { min: -0.2, max: 0.2, step: 0.005, label: 'Warmth' },
+    aberration: { min: 0, max: 0.01, step: 0.0005, label: 'Chromatic aberration' },
+    grain: { min: 0, max: 0.2, step: 0.005, label: 'Grain' }
+});
+
+const passVertexShader = `
+    varying vec2 vUv;
+
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+const brightShader = `
+    uniform sampler2D tInput;
+    uniform float uThreshold;
+    varying vec2 vUv;
+
+    void main() {
+        vec3 color = texture2D(tInput, vUv).rgb;
+        float brightness = dot(color, vec3(0.2126, 0.7152, 0.0722));
+        gl_FragColor = vec4(color * smoothstep(uThreshold, uThreshold + 0.15, brightness), 1.0);
+    }
+`;
+
+// 9-tap Gaussian along uDirection (in texels)
+const blurShader = `
+    uniform sampler2D tInput;
+    uniform vec2 uDirection;
+    varying vec2 vUv;
+
+    void main() {
+        vec3 sum = texture2D(tInput, vUv).rgb * 0.2270270270;
+        sum += texture2D(tInput, vUv + uDirection * 1.3846153846).rgb * 0.3162162162;
+        sum += texture2D(tInput, vUv - uDirection * 1.3846153846).rgb * 0.3162162162;
+        sum += texture2D(tInput, vUv + uDirection * 3.2307692308).rgb * 0.0702702703;
+        sum += texture2D(tInput, vUv - uDirection * 3.2307692308).rgb * 0.0702702703;
+        gl_FragColor = vec4(sum, 1.0);
+    }
+`;
+
+const bloomCompositeShader = `
+    uniform sampler2D tInput;
+    uniform sampler2D tBloom;
+    uniform float uStrength;
+    varying vec2 vUv;
+
+    void main() {
+        vec3 color = texture2D(tInput, vUv).rgb + texture2D(tBloom, vUv).rgb * uStrength;
+        gl_FragColor = vec4(color, 1.0);
+    }
+`;
+
+const gradingShader = `
+    uniform sampler2D tInput;
+    uniform float uExposure;
+    uniform float uContrast;
+    uniform float uSaturation;
+    uniform float uWarmth;
+    varying vec2 vUv;
+
+    void main() {
+        vec3 color = texture2D(tInput, vUv).rgb * uExposure;
+        color = (color - 0.5) * uContrast + 0.5;
+        float luma = dot(color, vec3(0.299, 0.587, 0.114));
+        color = mix(vec3(luma), color, uSaturation);
+        color += vec3(uWarmth, uWarmth * 0.4, -uWarmth);
+        gl_FragColor = vec4(clamp(color, 0.0, 1.0), 1.0);
+    }
+`;
+
+const chromaticShader = `
+    uniform sampler2D tInput;
+    uniform float uAmount;
+    varying vec2 vUv;
+
+    void main() {
+        // Fringes grow towards the edges, like a cheap lens
+        vec2 offset = (vUv - 0.5) * uAmount * 2.0;
+        float r = texture2D(tInput, vUv + offset).r;
+        float g = texture2D(tInput, vUv).g;
+        float b = texture2D(tInput, vUv - offset).b;
+        gl_FragColor = vec4(r, g, b, 1.0);
+    }
+`;
+
+const vignetteShader = `
+    uniform sampler2D tInput;
+    uniform float uAmount;
+    varying vec2 vUv;
+
+    void main() {
+        vec3 color = texture2D(tInput, vUv).rgb;
+        gl_FragColor = vec4(color * (1.0 - length(vUv - 0.5) * uAmount), 1.0);
+    }
+`;
+
+const grainShader = `
+    uniform sampler2D tInput;
+    uniform float uAmount;
+    uniform float uTime;
+    uniform vec2 uResolution;
+    varying vec2 vUv;
+
+    float random(vec2 st) {
+        return fract(sin(dot(st, vec2(12.9898, 78.233))) * 43758.5453123);
+    }
+
+    void main() {
+        vec3 color = texture2D(tInput, vUv).rgb;
+        vec2 pixel = vUv * uResolution;
+
+        // Film grain changes every frame; the canvas weave stays put
+        float grain = random(pixel + fract(uTime) * 100.0) - 0.5;
+        float weave = sin(pixel.x * 1.1) * sin(pixel.y * 1.1) * 0.5;
+        color += (grain + weave * 0.6) * uAmount;
+        gl_FragColor = vec4(color, 1.0);
+    }
+`;
+
+/**
+ * Build a full-screen pass from a fragment shader. The shader gets
+ * tInput, uTime and uResolution (drawing buffer pixels) plus its own uniforms.
+ * @param {string} name - Pass name
+ * @param {string} fragmentShader - GLSL sampling tInput at vUv
+ * @param {Object} uniforms - Extra uniforms { name: { value } }
+ * @param {Function} update - Optional (uniforms) => void, called before every render
+ * @returns {Object} Pass
+ */
+export function createShaderPass(name, fragmentShader, uniforms = {}, update = null) {
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            tInput: { value: null },
+            uTime: { value: 0 },
+            uResolution: { value: new THREE.Vector2() },
+            ...uniforms
+        },
+        vertexShader: passVertexShader,
+        fragmentShader,
+        depthTest: false,
+        depthWrite: false
+    });
+
+    return {
+        name,
+        material,
+        render(post, input, output, time) {
+            material.uniforms.tInput.value = input;
+            material.uniforms.uTime.value = time;
+            material.uniforms.uResolution.value.copy(post.size);
+            if (update) update(material.uniforms);
+            post.draw(material, output);
+        },
+        dispose() {
+            material.dispose();
+        }
+    };
+}
+
+/**
+ * Bloom: bright parts, blurred at half resolution, added back
+ */
+function createBloomPass() {
+    const bright = createShaderPass('bloom-bright', brightShader, { uThreshold: { value: 0 } });
+    const blur = createShaderPass('bloom-blur', blurShader, { uDirection: { value: new THREE.Vector2() } });
+    const composite = createShaderPass('bloom-composite', bloomCompositeShader, {
+        tBloom: { value: null },
+        uStrength: { value: 0 }
+    });
+    let targets = null;
+
+    return {
+        name: 'bloom',
+        render(post, input, output, time) {
+            const width = Math.max(1, Math.floor(post.size.x / 2));
+            const height = Math.max(1, Math.floor(post.size.y / 2));
+            if (!targets) targets = [post.createTarget(width, height), post.createTarget(width, height)];
+            targets.forEach(target => target.setSize(width, height));
+
+            bright.material.uniforms.uThreshold.value = CONFIG.bloomThreshold;
+            bright.render(post, input, targets[0], time);
+
+            const direction = blur.material.uniforms.uDirection.value;
+            direction.set(CONFIG.bloomRadius / width, 0);
+            blur.render(post, targets[0].texture, targets[1], time);
+            direction.set(0, CONFIG.bloomRadius / height);
+            blur.render(post, targets[1].texture, targets[0], time);
+
+            composite.material.uniforms.tBloom.value = targets[0].texture;
+            composite.material.uniforms.uStrength.value = CONFIG.bloomStrength;
+            composite.render(post, input, output, time);
+        },
+        dispose() {
+            [bright, blur, composite].forEach(pass => pass.dispose());
+            if (targets) targets.forEach(target => target.dispose());
+            targets = null;
+        }
+    };
+}
+
+/**
+ * Built-in passes, keyed by name
+ */
+const PASSES = {
+    bloom: createBloomPass,
+    grading: () => createShaderPass('grading', gradingShader, {
+        uExposure: { value: 1 },
+        uContrast: { value: 1 },
+        uSaturation: { value: 1 },
+        uWarmth: { value: 0 }
+    }, (uniforms) => {
+        uniforms.uExposure.value = CONFIG.exposure;
+        uniforms.uContrast.value = CONFIG.contrast;
+        uniforms.uSaturation.value = CONFIG.saturation;
+        uniforms.uWarmth.value = CONFIG.warmth;
+    }),
+    chromatic: () => createShaderPass('chromatic', chromaticShader, { uAmount: { value: 0 } }, (uniforms) => {
+        uniforms.uAmount.value = CONFIG.aberration;
+    }),
+    // uAmount is set by the owner (the background keeps one vignette setting)
+    vignette: () => createShaderPass('vignette', vignetteShader, { uAmount: { value: 0.4 } }),
+    grain: () => createShaderPass('grain', grainShader, { uAmount: { value: 0 } }, (uniforms) => {
+        uniforms.uAmount.value = CONFIG.grain;
+    })
+};
+
+/**
+ * PostProcessor class
+ */
+class PostProcessor {
+    /**
+     * @param {THREE.WebGLRenderer} renderer - Renderer to draw with
+     * @param {Object} options - { passes: names to enable }
+     */
+    constructor(renderer, options = {}) {
+        this.renderer = renderer;
+        this.size = renderer.getDrawingBufferSize(new THREE.Vector2());
+
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+        this.quad.frustumCulled = false;
+        this.scene.add(this.quad);
+
+        this.passes = CONFIG.order.map(name => PASSES[name]());
+        this.enabled = new Set(options.passes || []);
+        this.targets = null; // Full-resolution ping-pong, created on first use
+    }
+
+    createTarget(width, height) {
+        return new THREE.WebGLRenderTarget(width, height, {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            format: THREE.RGBAFormat,
+            depthBuffer: false,
+            stencilBuffer: false
+        });
+    }
+
+    /**
+     * Enable exactly these passes (quality tiers)
+     * @param {Array<string>} names - Pass names
+     */
+    setPasses(names) {
+        this.enabled = new Set(names || []);
+    }
+
+    /**
+     * Toggle one pass
+     * @param {string} name - Pass name
+     * @param {boolean} enabled - On or off
+     */
+    setEnabled(name, enabled) {
+        if (enabled) {
+            this.enabled.add(name);
+        } else {
+            this.enabled.delete(name);
+        }
+    }
+
+    isEnabled(name) {
+        return this.enabled.has(name);
+    }
+
+    /**
+     * Look up a pass, e.g. to set its uniforms
+     * @param {string} name - Pass name
+     * @returns {Object|undefined} Pass
+     */
+    getPass(name) {
+        return this.passes.find(pass => pass.name === name);
+    }
+
+    /**
+     * Add a custom pass (see createShaderPass)
+     * @param {Object} pass - Pass with name and render()
+     * @param {number} index - Position in the chain (default: last)
+     */
+    addPass(pass, index = this.passes.length) {
+        this.passes.splice(index, 0, pass);
+    }
+
+    /**
+     * Draw a full-screen material into a target (null: the screen)
+     */
+    draw(material, target) {
+        this.quad.material = material;
+        this.renderer.setRenderTarget(target);
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    /**
+     * Render a scene through every enabled pass
+     * @param {THREE.Scene} scene - Scene to render
+     * @param {THREE.Camera} camera - Its camera
+     * @param {number} time - Animation time (s) for animated passes
+     */
+    render(scene, camera, time) {
+        const passes = this.passes.filter(pass => this.enabled.has(pass.name));
+        if (!passes.length) {
+            this.renderer.setRenderTarget(null);
+            this.renderer.render(scene, camera);
+            return;
+        }
+
+        if (!this.targets) {
+            this.targets = [0, 1].map(() => this.createTarget(this.size.x, this.size.y));
+        }
+
+        this.renderer.setRenderTarget(this.targets[0]);
+        this.renderer.render(scene, camera);
+
+        let read = 0;
+        passes.forEach((pass, i) => {
+            const output = i === passes.length - 1 ? null : this.targets[1 - read];
+            pass.render(this, this.targets[read].texture, output, time);
+            read = 1 - read;
+        });
+    }
+
+    /**
+     * Match the renderer's drawing buffer (call after renderer.setSize / setPixelRatio)
+     */
+    setSize() {
+        this.renderer.getDrawingBufferSize(this.size);
+        if (this.targets) this.targets.forEach(target => target.setSize(this.size.x, this.size.y));
+    }
+
+    // Cleanup
+    destroy() {
+        this.passes.forEach(pass => pass.dispose && pass.dispose());
+        this.passes = [];
+        if (this.targets) this.targets.forEach(target => target.dispose());
+        this.targets = null;
+        this.quad.geometry.dispose();
+    }
+}
+
+/**
+ * Create a post-processing chain for a renderer
+ * @param {THREE.WebGLRenderer} renderer - Renderer to draw with
+ * @param {Object} options - { passes: names to enable }
+ * @returns {PostProcessor} Post processor
+ */
+export function createPostProcessor(renderer, options = {}) {
+    return new PostProcessor(renderer, options);
+}
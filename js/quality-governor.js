@@ -0,0 +1,314 @@
+/**
+ * Quality Governor Module
+ * Measures real frame times and steps rendering quality up or down,
+ * instead of guessing device capability from user-agent strings.
+ * Frame times are judged against the display's own cadence (measured,
+ * not assumed to be 60Hz), so a 30Hz screen or a low-power rAF cap
+ * doesn't read as a slow device.
+ */
+
+import { Emitter } from './emitter.js';
+import { ticker, PRIORITY } from './ticker.js';
+
+/**
+ * Quality tiers, lowest first.
+ * blob.count / blob.size scale the device's blob-cursor settings,
+ * blob.trails caps how many fingers get their own reveal trail.
+ * particles is the star/firefly count (0: off).
+ * brushSteps is the brush-stroke samples per side (0: noise flow only).
+ * post lists the enabled post-processing passes (see post-processing.js).
+ * fluid is the cursor fluid grid size and solver iterations (null: off).
+ * textureBudget is the estimated GPU memory for background textures in MB
+ * (least recently used ones are evicted beyond it, see texture-manager.js).
+ */
+export const TIERS = [
+    {
+        name: 'low',
+        pixelRatio: 1,
+        particles: 0,
+        noiseOctaves: 1,
+        brushSteps: 0,
+        fluid: null,
+        post: [],
+        textureBudget: 48,
+        blob: { count: 0.5, size: 0.85, trails: 1 },
+        proximityLighting: false,
+        magnetic: false
+    },
+    {
+        name: 'medium',
+        pixelRatio: 1.25,
+        particles: 120,
+        noiseOctaves: 2,
+        brushSteps: 4,
+        fluid: { resolution: 64, iterations: 8 },
+        post: ['grading', 'grain'],
+        textureBudget: 96,
+        blob: { count: 0.75, size: 1, trails: 2 },
+        proximityLighting: false,
+        magnetic: true
+    },
+    {
+        name: 'high',
+        pixelRatio: 1.5,
+        particles: 280,
+        noiseOctaves: 3,
+        brushSteps: 8,
+        fluid: { resolution: 128, iterations: 16 },
+        post: ['bloom', 'grading', 'chromatic', 'vignette', 'grain'],
+        textureBudget: 192,
+        blob: { count: 1, size: 1, trails: 4 },
+        proximityLighting: true,
+        magnetic: true
+    }
+];
+
+/**
+ * Sampling and hysteresis settings
+ */
+const CONFIG = {
+    windowSize: 90,          // Frames per measurement window
+    refreshMs: 1000 / 60,    // Display cadence until one is measured
+    minRefreshMs: 1000 / 240,
+    maxRefreshMs: 1000 / 24,
+    calibrationFrames: 60,   // Frame intervals kept for the cadence while the loader runs
+    steadySpread: 1.1,       // A window whose 90th percentile is within this of its median is vsync-bound
+    downgradeRatio: 1.3,     // Average frame time this far over the cadence is "too slow" (~46fps at 60Hz)
+    upgradeRatio: 1.05,      // Average frame time under this is "comfortable" (~57fps at 60Hz)
+    downgradeWindows: 2,     // Consecutive slow windows before stepping down
+    upgradeWindows: 5,       // Consecutive fast windows before stepping up
+    cooldown: 4000,          // Minimum ms between tier changes
+    maxFrameMs: 250,         // Ignore gaps longer than this (tab switches, debugger)
+    maxUpgradesAfterDowngrade: 1 // Stop oscillating between two tiers
+};
+
+/**
+ * QualityGovernor class
+ *
+ * Events:
+ *  - 'tierchange' { from, to, settings, reason: { avgFrameMs, fps, refreshMs, windows, direction } }
+ *  - 'sample'     { avgFrameMs, fps, refreshMs, tier }
+ *
+ * Before init() (while the loader runs) frames only calibrate the
+ * display cadence; they never count towards a tier change.
+ */
+class QualityGovernor extends Emitter {
+    constructor(initialTier = 'high') {
+        super();
+        const index = TIERS.findIndex(tier => tier.name === initialTier);
+        this.tierIndex = index >= 0 ? index : TIERS.length - 1;
+
+        this.frameTimes = [];
+        this.intervals = [];      // Calibration frames, before init()
+        this.refreshMs = CONFIG.refreshMs;
+        this.isMeasuring = false;
+        this.slowWindows = 0;
+        this.fastWindows = 0;
+        this.lastChange = performance.now();
+        this.removeTick = null;
+        this.history = [];
+        // Highest tier we fell from; upgrading back to it is allowed only once
+        this.ceiling = { index: TIERS.length - 1, upgrades: 0 };
+    }
+
+    /**
+     * Start sampling frames (calibration stops here)
+     */
+    init() {
+        if (this.intervals.length) this.refreshMs = this.clampRefresh(median(this.intervals));
+        this.intervals = [];
+        this.frameTimes = [];
+        this.isMeasuring = true;
+        this.lastChange = performance.now();
+        this.resume();
+        return this;
+    }
+
+    clampRefresh(ms) {
+        return Math.max(CONFIG.minRefreshMs, Math.min(CONFIG.maxRefreshMs, ms));
+    }
+
+    /**
+     * Record a frame interval towards the display cadence
+     * @param {number} frameMs - Time since the previous frame
+     */
+    calibrate(frameMs) {
+        if (frameMs <= 0 || frameMs > CONFIG.maxFrameMs) return;
+        this.intervals.push(frameMs);
+        if (this.intervals.length > CONFIG.calibrationFrames) this.intervals.shift();
+    }
+
+    /**
+     * Current tier settings
+     * @returns {Object} Tier settings
+     */
+    getSettings() {
+        return TIERS[this.tierIndex];
+    }
+
+    /**
+     * Record one frame duration
+     * @param {number} frameMs - Time since the previous frame
+     */
+    sample(frameMs) {
+        if (frameMs <= 0 || frameMs > CONFIG.maxFrameMs) return;
+
+        this.frameTimes.push(frameMs);
+        if (this.frameTimes.length < CONFIG.windowSize) return;
+
+        const times = this.frameTimes;
+        const avgFrameMs = times.reduce((sum, t) => sum + t, 0) / times.length;
+        this.frameTimes = [];
+        this.updateCadence(times);
+        this.evaluate(avgFrameMs);
+    }
+
+    /**
+     * Refine the display cadence from a window. Frames never come faster
+     * than the display, so a faster median means a faster display (a
+     * variable-rate screen speeding up). At the lowest tier a steady, slower
+     * median means the display (or a power-saving rAF cap) sets the pace,
+     * since even the cheapest tier runs without jitter.
+     * @param {Array<number>} times - Frame times of the window
+     */
+    updateCadence(times) {
+        const sorted = [...times].sort((a, b) => a - b);
+        const mid = median(sorted);
+        const high = sorted[Math.floor(sorted.length * 0.9)];
+        const isSteady = high <= mid * CONFIG.steadySpread;
+
+        const isFaster = mid < this.refreshMs / CONFIG.steadySpread;
+        const isSlowerDisplay = this.tierIndex === 0 && mid > this.refreshMs * CONFIG.steadySpread;
+        if (!isSteady || !(isFaster || isSlowerDisplay)) return;
+
+        this.refreshMs = this.clampRefresh(mid);
+        // Earlier downgrades were judged against the wrong cadence
+        this.ceiling = { index: TIERS.length - 1, upgrades: 0 };
+    }
+
+    /**
+     * Decide whether a finished window should move the tier
+     * @param {number} avgFrameMs - Average frame time of the window
+     */
+    evaluate(avgFrameMs) {
+        const fps = 1000 / avgFrameMs;
+        const refreshMs = this.refreshMs;
+        this.emit('sample', { avgFrameMs, fps, refreshMs, tier: this.getSettings().name });
+
+        if (avgFrameMs > refreshMs * CONFIG.downgradeRatio) {
+            this.slowWindows++;
+            this.fastWindows = 0;
+        } else if (avgFrameMs < refreshMs * CONFIG.upgradeRatio) {
+            this.fastWindows++;
+            this.slowWindows = 0;
+        } else {
+            // Inside the dead band: neither direction gains evidence
+            this.slowWindows = 0;
+            this.fastWindows = 0;
+        }
+
+        if (performance.now() - this.lastChange < CONFIG.cooldown) return;
+
+        if (this.slowWindows >= CONFIG.downgradeWindows && this.tierIndex > 0) {
+            if (this.ceiling.index !== this.tierIndex) {
+                this.ceiling = { index: this.tierIndex, upgrades: 0 };
+            }
+            this.setTier(this.tierIndex - 1, { avgFrameMs, fps, refreshMs, windows: this.slowWindows, direction: 'down' });
+        } else if (this.fastWindows >= CONFIG.upgradeWindows && this.canUpgrade()) {
+            if (this.tierIndex + 1 >= this.ceiling.index) this.ceiling.upgrades++;
+            this.setTier(this.tierIndex + 1, { avgFrameMs, fps, refreshMs, windows: this.fastWindows, direction: 'up' });
+        }
+    }
+
+    /**
+     * Upgrades back into a tier that already proved too slow are limited
+     */
+    canUpgrade() {
+        if (this.tierIndex >= TIERS.length - 1) return false;
+        if (this.tierIndex + 1 < this.ceiling.index) return true;
+        return this.ceiling.upgrades < CONFIG.maxUpgradesAfterDowngrade;
+    }
+
+    /**
+     * Switch tiers and announce why
+     * @param {number} index - New tier index
+     * @param {Object} reason - Measurement that triggered the change
+     */
+    setTier(index, reason = { direction: 'manual' }) {
+        const clamped = Math.max(0, Math.min(TIERS.length - 1, index));
+        if (clamped === this.tierIndex) return;
+
+        const from = TIERS[this.tierIndex].name;
+        this.tierIndex = clamped;
+        this.lastChange = performance.now();
+        this.slowWindows = 0;
+        this.fastWindows = 0;
+
+        const event = { from, to: TIERS[clamped].name, settings: TIERS[clamped], reason };
+        this.history.push({ ...event, at: Date.now() });
+        this.emit('tierchange', event);
+    }
+
+    /**
+     * Frame sampling (shared ticker; frameMs is the real, uncapped frame time)
+     */
+    tick(frame) {
+        if (this.isMeasuring) {
+            this.sample(frame.frameMs);
+        } else {
+            this.calibrate(frame.frameMs);
+        }
+    }
+
+    /**
+     * Stop sampling (tab hidden)
+     */
+    pause() {
+        if (this.removeTick) {
+            this.removeTick();
+            this.removeTick = null;
+        }
+        // A hidden tab says nothing about rendering speed
+        this.frameTimes = [];
+    }
+
+    /**
+     * Restart sampling (or calibrating, before init())
+     */
+    resume() {
+        if (!this.removeTick) {
+            this.removeTick = ticker.add((frame) => this.tick(frame), PRIORITY.READ);
+        }
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.pause();
+        this.removeAll();
+    }
+}
+
+/**
+ * Middle value of a list of numbers
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Create a governor
+ * @param {string} initialTier - Starting tier name
+ * @param {boolean} autoStart - Start sampling immediately; pass false to only calibrate
+ *                              the display cadence until init(), skipping frames that say
+ *                              more about loading than rendering
+ * @returns {QualityGovernor} Governor instance
+ */
+export function initQualityGovernor(initialTier, autoStart = true) {
+    const governor = new QualityGovernor(initialTier);
+    if (autoStart) return governor.init();
+    governor.resume();
+    return governor;
+}
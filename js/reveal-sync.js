@@ -3,37 +3,23 @@
  * Synchronizes reveal image positions with their base counterparts
  */
 
-/**
- * Configuration for image pairs
- */
-const IMAGE_PAIRS = [
-    {
-        baseId: 'hero-base',
-        revealId: 'hero-reveal',
-        fit: 'contain'
-    },
-    {
-        baseId: 'card1-base',
-        revealId: 'card1-reveal',
-        fit: 'cover'
-    },
-    {
-        baseId: 'card2-base',
-        revealId: 'card2-reveal',
-        fit: 'cover'
-    }
-];
+import { ticker, PRIORITY } from './ticker.js';
 
 /**
  * RevealSync class manages position synchronization between base and reveal images
  */
 class RevealSync {
-    constructor(pairs = IMAGE_PAIRS) {
+    /**
+     * @param {Array} pairs - { baseId, revealId, fit } entries, usually from the content manifest
+     */
+    constructor(pairs = []) {
         this.pairs = pairs.map(pair => ({
             base: document.getElementById(pair.baseId),
             reveal: document.getElementById(pair.revealId),
-            fit: pair.fit
+            fit: pair.fit,
+            rect: null
         }));
+        this.removeTicks = null;
 
         this.init();
     }
@@ -42,15 +28,52 @@ class RevealSync {
      * Initialize the sync loop
      */
     init() {
-        this.sync();
+        this.resume();
     }
 
     /**
-     * Synchronize all image pairs
+     * Measure every base image (read phase, batched with other modules' reads)
+     */
+    measure() {
+        this.pairs.forEach(pair => {
+            pair.rect = pair.base ? pair.base.getBoundingClientRect() : null;
+        });
+    }
+
+    /**
+     * Synchronize all image pairs (write phase)
      */
     sync() {
         this.pairs.forEach(pair => this.syncPair(pair));
-        requestAnimationFrame(() => this.sync());
+    }
+
+    /**
+     * Stop the sync loop
+     */
+    pause() {
+        if (this.removeTicks) {
+            this.removeTicks.forEach(remove => remove());
+            this.removeTicks = null;
+        }
+    }
+
+    /**
+     * Restart the sync loop
+     */
+    resume() {
+        if (this.removeTicks) return;
+        this.removeTicks = [
+            ticker.add(() => this.measure(), PRIORITY.READ),
+            ticker.add(() => this.sync(), PRIORITY.WRITE)
+        ];
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.pause();
+        this.pairs = [];
     }
 
     /**
@@ -58,9 +81,9 @@ class RevealSync {
      * @param {Object} pair - Image pair configuration
      */
     syncPair(pair) {
-        if (!pair.base || !pair.reveal) return;
+        if (!pair.base || !pair.reveal || !pair.rect) return;
 
-        const rect = pair.base.getBoundingClientRect();
+        const rect = pair.rect;
 
         // Update reveal image to match base image position and size
         pair.reveal.style.width = `${rect.width}px`;
@@ -79,7 +102,8 @@ class RevealSync {
         const pair = {
             base: document.getElementById(baseId),
             reveal: document.getElementById(revealId),
-            fit: fit
+            fit: fit,
+            rect: null
         };
 
         if (pair.base && pair.reveal) {
@@ -106,11 +130,19 @@ class RevealSync {
     getPairCount() {
         return this.pairs.length;
     }
+
+    /**
+     * Get every pair with its last measured rect
+     * @returns {Array<Object>} [{ base, reveal, fit, rect }]
+     */
+    getPairs() {
+        return this.pairs;
+    }
 }
 
 /**
  * Initialize the reveal synchronization
- * @param {Array} customPairs - Optional custom pair configuration
+ * @param {Array} customPairs - Pair configuration (see ContentRenderer.pairs)
  * @returns {RevealSync} RevealSync instance
  */
 export function initRevealSync(customPairs) {
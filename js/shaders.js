@@ -3,6 +3,126 @@
  * Vertex and Fragment shaders for the animated painting effect
  */
 
+import { buildTransitionsChunk } from './background-transitions.js';
+
+/**
+ * Fit a texture into the screen like CSS object-fit, anchored on a focal point.
+ * fit = (imageAspect, mode, focus.x, focus.y); mode 0 = cover, 1 = contain.
+ * Cover crops around the focus without showing past the image edge;
+ * contain centres the image and leaves UVs outside 0..1 (see fitMask).
+ */
+export const fitUvChunk = `
+    vec2 fitUv(vec2 uv, vec4 fit, float screenAspect) {
+        float ratio = screenAspect / fit.x;
+        bool cover = fit.y < 0.5;
+        vec2 scale = vec2(1.0);
+
+        if ((ratio > 1.0) == cover) {
+            scale.y = 1.0 / ratio;
+        } else {
+            scale.x = ratio;
+        }
+
+        vec2 halfSize = scale * 0.5;
+        vec2 center = clamp(fit.zw, min(halfSize, vec2(0.5)), max(1.0 - halfSize, vec2(0.5)));
+        return (uv - 0.5) * scale + center;
+    }
+
+    // 1 where the fitted image covers the screen, 0 in contain letterboxing
+    float fitMask(vec2 uv, vec4 fit) {
+        if (fit.y < 0.5) return 1.0;
+        vec2 inside = step(vec2(0.0), uv) * step(uv, vec2(1.0));
+        return inside.x * inside.y;
+    }
+`;
+
+/**
+ * Painterly brush strokes that follow the image's own structure.
+ * Line-integral convolution: paint is smeared along the orientation field
+ * (see orientation-field.js) in both directions, then bristle marks
+ * stretched along the stroke drift slowly with time.
+ * params = (steps per side, stroke half-length in texture v, strength, time);
+ * zero steps or strength returns the plain sample.
+ */
+export const brushStrokesChunk = `
+    #define MAX_BRUSH_STEPS 8
+
+    float brushHash(vec2 p) {
+        return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+    }
+
+    float brushNoise(vec2 p) {
+        vec2 i = floor(p);
+        vec2 f = fract(p);
+        vec2 u = f * f * (3.0 - 2.0 * f);
+        return mix(mix(brushHash(i), brushHash(i + vec2(1.0, 0.0)), u.x),
+                   mix(brushHash(i + vec2(0.0, 1.0)), brushHash(i + vec2(1.0, 1.0)), u.x), u.y);
+    }
+
+    // Stroke direction at uv, in texture UV units (xy), and coherence (z)
+    vec3 strokeAt(sampler2D orientation, vec2 uv, float aspect) {
+        vec2 field = texture2D(orientation, uv).xy * 2.0 - 1.0;
+        float angle = 0.5 * atan(field.y, field.x);
+        return vec3(cos(angle) / aspect, sin(angle), min(length(field), 1.0));
+    }
+
+    vec3 brushStrokes(sampler2D tex, sampler2D orientation, vec2 uv, float aspect, vec4 params) {
+        vec3 base = texture2D(tex, uv).rgb;
+        if (params.x < 0.5 || params.z <= 0.0) return base;
+
+        vec3 start = strokeAt(orientation, uv, aspect);
+        float stepLength = params.y / params.x;
+        vec2 forward = uv;
+        vec2 backward = uv;
+        vec2 forwardDir = start.xy;
+        vec2 backwardDir = -start.xy;
+        vec3 sum = base;
+        float total = 1.0;
+
+        // Walk the streamline both ways; flat areas (low coherence) barely move
+        for (int i = 0; i < MAX_BRUSH_STEPS; i++) {
+            if (float(i) >= params.x) break;
+
+            vec3 f = strokeAt(orientation, forward, aspect);
+            forwardDir = dot(f.xy, forwardDir) < 0.0 ? -f.xy : f.xy;
+            forward += forwardDir * stepLength * f.z;
+
+            vec3 b = strokeAt(orientation, backward, aspect);
+            backwardDir = dot(b.xy, backwardDir) < 0.0 ? -b.xy : b.xy;
+            backward += backwardDir * stepLength * b.z;
+
+            float weight = 1.0 - float(i + 1) / (params.x + 1.0); // Tent kernel
+            sum += (texture2D(tex, forward).rgb + texture2D(tex, backward).rgb) * weight;
+            total += 2.0 * weight;
+        }
+        vec3 smeared = sum / total;
+
+        // Bristle marks: long along the stroke, fine across it
+        vec2 along = normalize(start.xy * vec2(aspect, 1.0));
+        vec2 p = uv * vec2(aspect, 1.0);
+        float u = dot(p, along);
+        float v = dot(p, vec2(-along.y, along.x));
+        float bristles = brushNoise(vec2(u * 24.0 - params.w * 0.5, v * 160.0)) * 0.6
+                       + brushNoise(vec2(u * 10.0 + params.w * 0.25, v * 60.0)) * 0.4;
+        smeared *= 1.0 + (bristles - 0.5) * 0.3 * start.z;
+
+        return mix(base, smeared, params.z);
+    }
+`;
+
+/**
+ * Default style: the painting as it is (see background-styles.js)
+ */
+export const calmStyle = `
+    vec2 styleDistortion(vec2 uv, vec2 distortion) {
+        return distortion;
+    }
+
+    vec3 styleColor(vec3 color, vec2 uv) {
+        return color;
+    }
+`;
+
 export const vertexShader = `
     precision mediump float;
     varying vec2 vUv;
@@ -13,15 +133,46 @@ export const vertexShader = `
     }
 `;
 
-export const fragmentShader = `
+/**
+ * Build the background fragment shader around a set of transition effects
+ * and a style
+ * @param {string} transitionsChunk - GLSL defining transition(uv, progress)
+ * @param {string} styleChunk - GLSL defining styleDistortion() and styleColor()
+ * @returns {string} Fragment shader source
+ */
+export const createFragmentShader = (transitionsChunk = buildTransitionsChunk().glsl, styleChunk = calmStyle) => `
     precision mediump float;
-    uniform sampler2D uTex1;  // Current texture
-    uniform sampler2D uTex2;  // Target texture
-    uniform float uMix;       // Mix factor (0.0 to 1.0)
+    uniform sampler2D uTex1;  // Transition "from" texture
+    uniform sampler2D uTex2;  // Transition "to" texture
+    uniform float uMix;       // Eased transition progress (0.0 to 1.0)
+    uniform float uEffect;    // Transition effect index (see background-transitions.js)
+    uniform vec2 uOrigin;     // Transition origin in screen UV
     uniform float uTime;
     uniform vec2 uResolution; // Screen resolution
+    uniform vec4 uFit1;       // uTex1 fit: aspect, mode, focus (see fitUvChunk)
+    uniform vec4 uFit2;       // uTex2 fit
+    uniform sampler2D uOrient1;  // uTex1 orientation field (see orientation-field.js)
+    uniform sampler2D uOrient2;  // uTex2 orientation field
+    uniform float uBrushSteps;   // Stroke samples per side, set by the quality governor (0 = off)
+    uniform float uBrushLength;  // Stroke half-length (texture v)
+    uniform float uBrushStrength;
+    uniform float uOctaves;   // Flow noise octaves (1-3), set by the quality governor
+    uniform float uFlowStrength; // UV distortion amount
+    uniform vec2 uNoiseScale;    // Large / small flow noise frequencies
+    uniform float uVignette;     // Vignette strength
+    uniform vec4 uTint;          // Colour wash: rgb, amount (see background-director.js)
+    uniform float uIntensity;    // Style intensity 0..1, driven by interaction
+    uniform float uOpacity;      // Below 1 while cross-fading in a new style
+    uniform sampler2D uFluid;    // Pointer-stirred UV offset field (see fluid-sim.js)
+    uniform float uFluidStrength;
     varying vec2 vUv;
 
+    const vec3 letterbox = vec3(0.043, 0.063, 0.149); // Page background colour
+
+    ${fitUvChunk}
+
+    ${brushStrokesChunk}
+
     // Simple noise function for organic movement
     float random(in vec2 st) {
         return fract(sin(dot(st.xy, vec2(12.9898, 78.233))) * 43758.5453123);
@@ -43,47 +194,73 @@ export const fragmentShader = `
                (d - b) * u.x * u.y;
     }
 
+    vec2 distortion; // Flow offset for the current pixel, set in main()
+
+    // Each texture is fitted with its own aspect ratio and focal point.
+    // Every effect shows only one side at progress 0 and 1, so the hidden
+    // side skips the (expensive) brush strokes.
+    vec4 getFromColor(vec2 uv) {
+        vec2 fitted = fitUv(uv, uFit1, uResolution.x / uResolution.y);
+        vec4 brush = vec4(uMix < 0.999 ? uBrushSteps : 0.0, uBrushLength, uBrushStrength, uTime);
+        vec3 paint = brushStrokes(uTex1, uOrient1, fitted + distortion, uFit1.x, brush);
+        return vec4(mix(letterbox, paint, fitMask(fitted, uFit1)), 1.0);
+    }
+
+    vec4 getToColor(vec2 uv) {
+        vec2 fitted = fitUv(uv, uFit2, uResolution.x / uResolution.y);
+        vec4 brush = vec4(uMix > 0.001 ? uBrushSteps : 0.0, uBrushLength, uBrushStrength, uTime);
+        vec3 paint = brushStrokes(uTex2, uOrient2, fitted + distortion, uFit2.x, brush);
+        return vec4(mix(letterbox, paint, fitMask(fitted, uFit2)), 1.0);
+    }
+
+    ${transitionsChunk}
+
+    ${styleChunk}
+
     void main() {
-        // Aspect Ratio Correction (Cover Mode)
-        // Assumes textures are roughly 16:9 or landscape. 
-        // Realistically, we should pass texture aspect, but a general fix handles most cases.
-        vec2 uv = vUv;
-        
-        // Calculate aspect ratios
         float screenAspect = uResolution.x / uResolution.y;
-        float imageAspect = 1.77; // Assuming 16:9 standard for wallpapers
-        
-        // Scale UVs to cover
-        if (screenAspect > imageAspect) {
-            // Screen is wider than image (crop top/bottom)
-            float scale = imageAspect / screenAspect;
-            uv.y = (uv.y - 0.5) * scale + 0.5;
-        } else {
-            // Screen is taller than image (crop sides)
-            float scale = screenAspect / imageAspect;
-            uv.x = (uv.x - 0.5) * scale + 0.5;
-        }
+
+        // Flow noise lives in screen space (matching 16:9 cover UVs) so both
+        // textures of a cross-fade move together whatever their own fit
+        vec2 uv = (vUv - 0.5) * vec2(screenAspect / 1.77, 1.0) + 0.5;
 
         // Create a flow effect by distorting UVs
-        float flowStrength = 0.015;
+        float flowStrength = uFlowStrength;
 
         // Generate flow patterns based on time and position
-        float n1 = noise(uv * 8.0 + uTime * 0.15);   // Large scale
-        float n2 = noise(uv * 20.0 - uTime * 0.3);  // Small scale details
+        float n1 = noise(uv * uNoiseScale.x + uTime * 0.15);   // Large scale
+        float n2 = uOctaves > 1.5
+            ? noise(uv * uNoiseScale.y - uTime * 0.3)         // Small scale details
+            : n1;
 
         // Offset UVs for organic movement
-        vec2 distortion = vec2(sin(n1 * 6.28), cos(n2 * 6.28)) * flowStrength;
+        distortion = vec2(sin(n1 * 6.28), cos(n2 * 6.28)) * flowStrength;
+
+        // Fine brush jitter on capable devices
+        if (uOctaves > 2.5) {
+            float n3 = noise(uv * 45.0 + uTime * 0.45);
+            distortion += vec2(cos(n3 * 6.28), sin(n3 * 6.28)) * flowStrength * 0.3;
+        }
+
+        // Style hook: bend the flow
+        distortion = styleDistortion(uv, distortion);
+
+        // Swirls left behind by the cursor
+        distortion += texture2D(uFluid, vUv).xy * uFluidStrength;
+
+        // Blend the two textures with the selected transition effect
+        vec4 color = transition(vUv, uMix);
 
-        vec4 c1 = texture2D(uTex1, uv + distortion);
-        vec4 c2 = texture2D(uTex2, uv + distortion);
+        // Section tint
+        color.rgb = mix(color.rgb, color.rgb * uTint.rgb, uTint.a);
 
-        // Cross-fade between textures
-        vec4 color = mix(c1, c2, uMix);
+        // Style hook: recolour
+        color.rgb = styleColor(color.rgb, vUv);
 
         // Subtle vignette effect
-        float vignette = 1.0 - length(vUv - 0.5) * 0.4; // Use original vUv for vignette
+        float vignette = 1.0 - length(vUv - 0.5) * uVignette; // Use original vUv for vignette
         color.rgb *= vignette;
 
-        gl_FragColor = color;
+        gl_FragColor = vec4(color.rgb, uOpacity);
     }
 `;
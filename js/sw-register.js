@@ -0,0 +1,158 @@
+/**
+ * Service Worker Registration Module
+ * Registers sw.js and tells the visitor when a new version is waiting
+ */
+
+import { Emitter } from './emitter.js';
+
+/**
+ * Configuration
+ */
+const CONFIG = {
+    url: '/sw.js',
+    updateCheckInterval: 60 * 60 * 1000, // Look for new deployments hourly
+    toastText: 'A new version of this canvas is ready.',
+    toastAction: 'Refresh'
+};
+
+/**
+ * ServiceWorkerManager class handles registration and the update flow
+ *
+ * Events:
+ *  - 'registered'   ServiceWorkerRegistration
+ *  - 'update-ready' ServiceWorker (installed and waiting)
+ *  - 'controller'   fired once the new worker has taken over
+ */
+class ServiceWorkerManager extends Emitter {
+    constructor() {
+        super();
+        this.registration = null;
+        this.toast = null;
+        this.updateTimer = null;
+        this.isUpdating = false;
+        this.onControllerChange = () => this.handleControllerChange();
+    }
+
+    /**
+     * Register the worker and wire the update flow
+     * @returns {Promise<ServiceWorkerManager>} This instance
+     */
+    async init() {
+        this.registration = await navigator.serviceWorker.register(CONFIG.url);
+        this.emit('registered', this.registration);
+
+        // A worker may already be waiting from a previous visit
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.handleWaiting(this.registration.waiting);
+        }
+
+        this.registration.addEventListener('updatefound', () => this.trackInstalling());
+
+        navigator.serviceWorker.addEventListener('controllerchange', this.onControllerChange);
+
+        this.updateTimer = setInterval(() => this.registration.update(), CONFIG.updateCheckInterval);
+
+        return this;
+    }
+
+    /**
+     * Follow an installing worker until it is waiting
+     */
+    trackInstalling() {
+        const worker = this.registration.installing;
+        if (!worker) return;
+
+        worker.addEventListener('statechange', () => {
+            // No controller means this is the first install, nothing to replace
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                this.handleWaiting(worker);
+            }
+        });
+    }
+
+    /**
+     * Reload once the accepted update controls the page.
+     * The first install also claims the page, which must not reload.
+     */
+    handleControllerChange() {
+        this.emit('controller');
+        if (!this.isUpdating) return;
+        this.isUpdating = false;
+        window.location.reload();
+    }
+
+    /**
+     * Announce a waiting worker
+     * @param {ServiceWorker} worker - Installed, waiting worker
+     */
+    handleWaiting(worker) {
+        this.emit('update-ready', worker);
+        this.showUpdateToast(worker);
+    }
+
+    /**
+     * Ask the waiting worker to activate (triggers a reload)
+     * @param {ServiceWorker} worker - Waiting worker
+     */
+    applyUpdate(worker = this.registration && this.registration.waiting) {
+        if (!worker) return;
+        this.isUpdating = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    /**
+     * Show a small prompt offering the update
+     * @param {ServiceWorker} worker - Waiting worker
+     */
+    showUpdateToast(worker) {
+        if (this.toast) return;
+
+        this.toast = document.createElement('div');
+        this.toast.className = 'update-toast';
+        this.toast.setAttribute('role', 'status');
+
+        const text = document.createElement('span');
+        text.textContent = CONFIG.toastText;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'contact-btn update-toast-btn';
+        button.textContent = CONFIG.toastAction;
+        button.addEventListener('click', () => {
+            button.disabled = true;
+            this.applyUpdate(worker);
+        });
+
+        this.toast.append(text, button);
+        document.body.appendChild(this.toast);
+        requestAnimationFrame(() => this.toast.classList.add('visible'));
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        if (this.updateTimer) clearInterval(this.updateTimer);
+        navigator.serviceWorker.removeEventListener('controllerchange', this.onControllerChange);
+        if (this.toast) this.toast.remove();
+        this.toast = null;
+        this.removeAll();
+    }
+}
+
+/**
+ * Register the service worker if supported
+ * @returns {Promise<ServiceWorkerManager|null>} Manager, or null when unavailable
+ */
+export async function initServiceWorker() {
+    // HTTPS only, so local development never gets stuck on cached modules
+    if (!('serviceWorker' in navigator) || location.protocol !== 'https:') return null;
+
+    try {
+        return await new ServiceWorkerManager().init();
+    } catch (error) {
+        // Service worker registration failed, continue without it
+        console.warn('Service worker registration failed:', error);
+        return null;
+    }
+}
@@ -0,0 +1,385 @@
+/**
+ * Telemetry Module
+ * Collects Web Vitals and rendering metrics into one record per page view
+ * and hands it to pluggable sinks (console, localStorage, sendBeacon)
+ */
+
+/**
+ * Configuration
+ */
+const CONFIG = {
+    schema: 1,
+    sampleRate: 0.25,                         // Share of sessions that report
+    optOutKey: 'istiqlal:telemetry-optout',   // localStorage flag set by the visitor
+    sessionKey: 'istiqlal:telemetry-session', // sessionStorage: id + sampling decision
+    ringKey: 'istiqlal:telemetry',            // localStorage ring buffer
+    ringSize: 20,
+    inpThreshold: 40                          // Ignore interactions faster than this (ms)
+};
+
+/**
+ * @typedef {Object} TelemetryRecord
+ * @property {number} schema - Record format version
+ * @property {string} release - Site release the record came from
+ * @property {string} session - Random per-tab session id
+ * @property {number} timestamp - When the record was flushed (ms since epoch)
+ * @property {string} path - Page path
+ * @property {Object} device - { dpr, viewport, cores, memory, webgl, maxTextureSize }
+ * @property {Object} vitals - { lcp, cls, inp } in ms (cls unitless), null if unmeasured
+ * @property {Object} longTasks - { count, totalMs, maxMs }
+ * @property {Object} loader - { durationMs, assets, failed, bytes }
+ * @property {Object<string, number>} modules - Init time per module (ms); '<name>Ready' until it was usable
+ * @property {Object<string, Object>} fps - Per tier { avg, samples }
+ * @property {Object} webgl - { contextLost, contextRestored, fallback } (fallback: why the CSS background was used, or null)
+ */
+
+/**
+ * Console sink: prints each record
+ */
+export const consoleSink = {
+    name: 'console',
+    send(record) {
+        console.log('[Telemetry]', record);
+    }
+};
+
+/**
+ * localStorage sink: keeps the last N records for later comparison
+ * @param {number} size - Ring buffer size
+ */
+export function createStorageSink(size = CONFIG.ringSize) {
+    return {
+        name: 'storage',
+        send(record) {
+            try {
+                const buffer = JSON.parse(localStorage.getItem(CONFIG.ringKey) || '[]');
+                buffer.push(record);
+                localStorage.setItem(CONFIG.ringKey, JSON.stringify(buffer.slice(-size)));
+            } catch (error) {
+                // Storage full or disabled: drop the record
+            }
+        },
+        read() {
+            try {
+                return JSON.parse(localStorage.getItem(CONFIG.ringKey) || '[]');
+            } catch (error) {
+                return [];
+            }
+        }
+    };
+}
+
+/**
+ * Beacon sink: POSTs the record as JSON, surviving page unload
+ * @param {string} endpoint - Collector URL
+ */
+export function createBeaconSink(endpoint) {
+    return {
+        name: 'beacon',
+        send(record) {
+            const body = new Blob([JSON.stringify(record)], { type: 'application/json' });
+            if (navigator.sendBeacon && navigator.sendBeacon(endpoint, body)) return;
+
+            fetch(endpoint, { method: 'POST', body, keepalive: true }).catch(() => { });
+        }
+    };
+}
+
+/**
+ * Decide once per tab session whether this visit reports
+ */
+function getSession(sampleRate) {
+    try {
+        const stored = JSON.parse(sessionStorage.getItem(CONFIG.sessionKey));
+        if (stored) return stored;
+    } catch (error) {
+        // Fall through and create a new session
+    }
+
+    const session = {
+        id: Math.random().toString(36).slice(2, 10),
+        sampled: Math.random() < sampleRate
+    };
+    try {
+        sessionStorage.setItem(CONFIG.sessionKey, JSON.stringify(session));
+    } catch (error) {
+        // Private mode: the decision just won't persist
+    }
+    return session;
+}
+
+/**
+ * Whether the visitor opted out (explicitly or via browser privacy signals)
+ */
+export function isOptedOut() {
+    try {
+        if (localStorage.getItem(CONFIG.optOutKey) === '1') return true;
+    } catch (error) {
+        // Storage unavailable
+    }
+    return navigator.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+}
+
+/**
+ * Opt out of (or back into) telemetry for future visits
+ * @param {boolean} optOut - True to stop reporting
+ */
+export function setOptOut(optOut) {
+    try {
+        if (optOut) {
+            localStorage.setItem(CONFIG.optOutKey, '1');
+        } else {
+            localStorage.removeItem(CONFIG.optOutKey);
+        }
+    } catch (error) {
+        // Storage unavailable
+    }
+}
+
+/**
+ * Telemetry class gathers metrics and flushes a record when the page is hidden
+ */
+class Telemetry {
+    /**
+     * @param {Object} options - { release, sinks, sampleRate, force }
+     */
+    constructor(options = {}) {
+        this.release = options.release || 'dev';
+        this.sinks = options.sinks || [];
+        this.session = getSession(options.sampleRate ?? CONFIG.sampleRate);
+        this.isEnabled = !isOptedOut() && (this.session.sampled || !!options.force);
+
+        this.observers = [];
+        this.listeners = [];
+        this.isFlushed = false;
+        this.metrics = {
+            vitals: { lcp: null, cls: null, inp: null },
+            longTasks: { count: 0, totalMs: 0, maxMs: 0 },
+            loader: { durationMs: null, assets: 0, failed: 0, bytes: 0 },
+            modules: {},
+            fps: {},
+            webgl: { contextLost: 0, contextRestored: 0, fallback: null }
+        };
+
+        if (this.isEnabled) this.init();
+    }
+
+    init() {
+        this.device = this.describeDevice();
+        this.observeVitals();
+
+        const onHidden = () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        };
+        this.listen(document, 'visibilitychange', onHidden);
+        this.listen(window, 'pagehide', () => this.flush());
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push(() => target.removeEventListener(type, handler));
+    }
+
+    /**
+     * Observe a performance entry type if the browser supports it
+     */
+    observe(type, callback, options = {}) {
+        if (!('PerformanceObserver' in window)) return;
+        const supported = PerformanceObserver.supportedEntryTypes || [];
+        if (!supported.includes(type)) return;
+
+        const observer = new PerformanceObserver(list => list.getEntries().forEach(callback));
+        observer.observe({ type, buffered: true, ...options });
+        this.observers.push(observer);
+    }
+
+    /**
+     * LCP, CLS, INP and long tasks
+     */
+    observeVitals() {
+        const { vitals, longTasks } = this.metrics;
+
+        this.observe('largest-contentful-paint', entry => {
+            vitals.lcp = Math.round(entry.startTime);
+        });
+
+        // CLS: largest session window of shifts without recent input
+        let sessionValue = 0;
+        let sessionStart = 0;
+        let lastShift = 0;
+        this.observe('layout-shift', entry => {
+            if (entry.hadRecentInput) return;
+
+            if (entry.startTime - lastShift > 1000 || entry.startTime - sessionStart > 5000) {
+                sessionValue = 0;
+                sessionStart = entry.startTime;
+            }
+            sessionValue += entry.value;
+            lastShift = entry.startTime;
+            vitals.cls = Math.max(vitals.cls || 0, Number(sessionValue.toFixed(4)));
+        });
+
+        // INP (approximation): slowest interaction seen
+        this.observe('event', entry => {
+            if (!entry.interactionId) return;
+            vitals.inp = Math.max(vitals.inp || 0, Math.round(entry.duration));
+        }, { durationThreshold: CONFIG.inpThreshold });
+
+        this.observe('longtask', entry => {
+            longTasks.count++;
+            longTasks.totalMs += Math.round(entry.duration);
+            longTasks.maxMs = Math.max(longTasks.maxMs, Math.round(entry.duration));
+        });
+    }
+
+    /**
+     * Time a module's initialisation
+     * @param {string} name - Module name
+     * @param {Function} fn - Initialiser
+     * @returns {*} Whatever fn returns
+     */
+    time(name, fn) {
+        const start = performance.now();
+        try {
+            return fn();
+        } finally {
+            this.metrics.modules[name] = Math.round(performance.now() - start);
+        }
+    }
+
+    /**
+     * Time a module until it is usable (textures loaded, shaders set up),
+     * not just constructed; recorded as '<name>Ready'
+     * @param {string} name - Module name
+     * @param {Promise} ready - Settles when the module is ready
+     * @param {number} start - When its initialisation began
+     */
+    timeReady(name, ready, start) {
+        const record = () => {
+            this.metrics.modules[`${name}Ready`] = Math.round(performance.now() - start);
+        };
+        ready.then(record, record);
+    }
+
+    /**
+     * Record how long the loader was shown
+     * @param {number} durationMs - Loader duration
+     * @param {Object} progress - Final loading manager snapshot
+     */
+    recordLoader(durationMs, progress = {}) {
+        Object.assign(this.metrics.loader, {
+            durationMs: Math.round(durationMs),
+            assets: progress.total || 0,
+            failed: progress.failed || 0,
+            bytes: progress.bytesLoaded || 0
+        });
+    }
+
+    /**
+     * Fold a frame-rate sample into the per-tier average
+     * @param {string} tier - Quality tier name
+     * @param {number} fps - Measured frames per second
+     */
+    recordFps(tier, fps) {
+        const entry = this.metrics.fps[tier] || (this.metrics.fps[tier] = { avg: 0, samples: 0 });
+        entry.samples++;
+        entry.avg = Math.round((entry.avg + (fps - entry.avg) / entry.samples) * 10) / 10;
+    }
+
+    /**
+     * Count WebGL context loss / restore on a canvas
+     * @param {HTMLCanvasElement} canvas - WebGL canvas
+     */
+    watchCanvas(canvas) {
+        if (!canvas) return;
+        this.listen(canvas, 'webglcontextlost', () => this.metrics.webgl.contextLost++);
+        this.listen(canvas, 'webglcontextrestored', () => this.metrics.webgl.contextRestored++);
+    }
+
+    /**
+     * Note that the CSS/SVG background replaced WebGL
+     * @param {string} reason - 'unavailable', 'repeated-loss' or 'not-restored'
+     */
+    recordFallback(reason) {
+        this.metrics.webgl.fallback = reason;
+    }
+
+    /**
+     * Static device and WebGL capabilities
+     */
+    describeDevice() {
+        const device = {
+            dpr: window.devicePixelRatio,
+            viewport: `${window.innerWidth}x${window.innerHeight}`,
+            cores: navigator.hardwareConcurrency || null,
+            memory: navigator.deviceMemory || null,
+            webgl: null,
+            maxTextureSize: null
+        };
+
+        const canvas = document.createElement('canvas');
+        const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+        if (gl) {
+            device.webgl = gl.getParameter(gl.VERSION);
+            device.maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+            const lose = gl.getExtension('WEBGL_lose_context');
+            if (lose) lose.loseContext();
+        }
+        return device;
+    }
+
+    /**
+     * Build the record
+     * @returns {TelemetryRecord} Record
+     */
+    getRecord() {
+        return {
+            schema: CONFIG.schema,
+            release: this.release,
+            session: this.session.id,
+            timestamp: Date.now(),
+            path: location.pathname,
+            device: this.device,
+            ...JSON.parse(JSON.stringify(this.metrics))
+        };
+    }
+
+    /**
+     * Send the record to every sink (once per page view)
+     */
+    flush() {
+        if (!this.isEnabled || this.isFlushed) return;
+        this.isFlushed = true;
+
+        const record = this.getRecord();
+        this.sinks.forEach(sink => {
+            try {
+                sink.send(record);
+            } catch (error) {
+                console.warn(`Telemetry sink ${sink.name} failed:`, error);
+            }
+        });
+    }
+
+    // Cleanup (flushes what was collected so far)
+    destroy() {
+        this.flush();
+        this.observers.forEach(observer => observer.disconnect());
+        this.observers = [];
+        this.listeners.forEach(remove => remove());
+        this.listeners = [];
+    }
+}
+
+/**
+ * Initialize telemetry
+ * @param {Object} options - { release, endpoint, sampleRate, console }
+ * @returns {Telemetry} Telemetry instance (inert when opted out or not sampled)
+ */
+export function initTelemetry(options = {}) {
+    const sinks = [createStorageSink()];
+    if (options.console) sinks.push(consoleSink);
+    if (options.endpoint) sinks.push(createBeaconSink(options.endpoint));
+
+    return new Telemetry({ ...options, sinks, force: options.console });
+}
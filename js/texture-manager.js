@@ -0,0 +1,368 @@
+/**
+ * Texture Manager Module
+ * Streams background textures: nothing loads until something asks for
+ * it, a small placeholder shows first when the manifest names one, and
+ * the full image replaces it in the same THREE.Texture when it arrives.
+ * Keeps an estimate of GPU memory and evicts the least recently used
+ * textures once it goes over the quality tier's budget.
+ *
+ * Videos and image sequences get a player (see animated-textures.js) that
+ * runs only while setVisible() says the texture is on screen.
+ */
+
+import { Emitter } from './emitter.js';
+import { loadingManager } from './loading-manager.js';
+import { createPlayer, mediaSize } from './animated-textures.js';
+
+/**
+ * Configuration
+ */
+const CONFIG = {
+    budget: 128,            // MB, until the quality governor picks a tier
+    mipmapOverhead: 4 / 3   // Mip chain on top of the base level
+};
+
+const MB = 1024 * 1024;
+
+/**
+ * Detail levels, in the order they arrive
+ */
+const LEVEL = {
+    NONE: 0,
+    PLACEHOLDER: 1,
+    FULL: 2
+};
+
+const LEVEL_NAMES = ['none', 'placeholder', 'full'];
+
+/**
+ * Estimated GPU bytes for an RGBA texture
+ */
+function textureBytes(texture) {
+    const [width, height] = mediaSize(texture.image);
+    return width * height * 4 * (texture.generateMipmaps ? CONFIG.mipmapOverhead : 1);
+}
+
+/**
+ * Textures that travel with a texture (e.g. its orientation field)
+ */
+function companions(texture) {
+    return Object.values(texture.userData).filter(value => value && value.isTexture);
+}
+
+/**
+ * A decoded <img> already in the page for this URL, so images the page
+ * shows anyway are not downloaded a second time
+ */
+function findPageImage(url) {
+    if (typeof document === 'undefined' || !document.images) return null;
+
+    const href = new URL(url, document.baseURI).href;
+    return Array.from(document.images).find(img => img.src === href && img.complete && img.naturalWidth) || null;
+}
+
+/**
+ * TextureManager class
+ *
+ * Events:
+ *  - 'upgrade' { names, texture, level } a placeholder or full image was uploaded
+ *  - 'evict'   { names, texture, bytes } a texture was dropped to stay in budget
+ */
+class TextureManager extends Emitter {
+    /**
+     * @param {Object} options - { sources: { name: textureSource() }, budget (MB),
+     *   prepare(texture, image, source) before each upload, keep(texture) true while on screen }
+     */
+    constructor(options = {}) {
+        super();
+        this.entries = new Map(); // One per distinct image and fit
+        this.byName = {};
+        this.prepare = options.prepare || (() => { });
+        this.keep = options.keep || (() => false);
+        this.budget = (options.budget ?? CONFIG.budget) * MB;
+        this.clock = 0;           // Ticks on every use, for LRU order
+
+        Object.entries(options.sources || {}).forEach(([name, source]) => this.add(name, source));
+    }
+
+    /**
+     * Register a texture by name. Names with the same image and fit share one texture.
+     * @param {string} name - Texture name
+     * @param {Object} source - textureSource() entry
+     */
+    add(name, source) {
+        const key = JSON.stringify([source.type, source.src, source.frames, source.placeholder, source.fit, source.focus]);
+        let entry = this.entries.get(key);
+        if (!entry) {
+            const player = createPlayer(source);
+            entry = {
+                source,
+                names: [],
+                player,            // Video or sequence player, null for still images
+                texture: player ? player.texture : new THREE.Texture(),
+                level: LEVEL.NONE,
+                bytes: 0,
+                lastUsed: 0,
+                loading: null,     // Promise for the first usable image
+                generation: 0,     // Bumped on eviction so stale loads are ignored
+                failed: false
+            };
+            this.entries.set(key, entry);
+        }
+        entry.names.push(name);
+        this.byName[name] = entry;
+    }
+
+    has(name) {
+        return name in this.byName;
+    }
+
+    /**
+     * Texture for a name (may not have an image yet)
+     * @returns {THREE.Texture|null} Texture
+     */
+    get(name) {
+        return this.has(name) ? this.byName[name].texture : null;
+    }
+
+    /**
+     * Whether a name has something to show (placeholder or full image)
+     */
+    isReady(name) {
+        return this.has(name) && this.byName[name].level > LEVEL.NONE;
+    }
+
+    /**
+     * Whether every image for a name failed to load
+     */
+    isFailed(name) {
+        return this.has(name) && this.byName[name].failed;
+    }
+
+    /**
+     * Start loading a texture (or mark it used, if it is loaded)
+     * @param {string} name - Texture name
+     * @returns {Promise<THREE.Texture|null>} Resolves once there is something to
+     *   show (the full image may still be on its way), null if it failed
+     */
+    request(name) {
+        const entry = this.byName[name];
+        if (!entry) return Promise.resolve(null);
+
+        this.touch(name);
+        return this.load(entry);
+    }
+
+    /**
+     * Mark a texture as just used
+     * @param {string} name - Texture name
+     */
+    touch(name) {
+        const entry = this.byName[name];
+        if (entry) entry.lastUsed = ++this.clock;
+    }
+
+    /**
+     * Load the placeholder and the full image (or video, or sequence) side by side
+     */
+    load(entry) {
+        if (entry.loading) return entry.loading;
+
+        const { source, player } = entry;
+        const generation = entry.generation;
+        const stages = [];
+        if (player) {
+            stages.push([() => player.load(), LEVEL.FULL]);
+        } else if (source.src) {
+            stages.push([() => this.loadImage(source.src), LEVEL.FULL]);
+        }
+        if (source.placeholder) stages.push([() => this.loadImage(source.placeholder), LEVEL.PLACEHOLDER]);
+
+        entry.failed = false;
+        entry.loading = new Promise(resolve => {
+            let pending = stages.length;
+            const settle = () => {
+                // First usable image, or null once every stage has failed
+                if (entry.level > LEVEL.NONE) resolve(entry.texture);
+                else if (pending === 0) resolve(null);
+            };
+
+            stages.forEach(([loadStage, level]) => {
+                loadStage().then(image => {
+                    pending--;
+                    if (entry.generation !== generation) return resolve(null);
+                    if (image && level > entry.level) this.upload(entry, image, level);
+                    settle();
+                });
+            });
+            settle();
+        }).then(texture => {
+            if (!texture && entry.generation === generation) {
+                console.error(`Failed to load texture: ${source.src}`);
+                entry.failed = true;
+            }
+            return texture;
+        });
+
+        return entry.loading;
+    }
+
+    /**
+     * Image through the page or the shared loading manager (one download per URL)
+     */
+    loadImage(url) {
+        const image = findPageImage(url);
+        return image ? Promise.resolve(image) : loadingManager.loadImage(url);
+    }
+
+    /**
+     * Put an image into an entry's texture
+     */
+    upload(entry, image, level) {
+        const texture = entry.texture;
+        texture.image = image;
+        texture.needsUpdate = true;
+        this.prepare(texture, image, entry.source);
+
+        entry.level = level;
+        entry.bytes = textureBytes(texture) + companions(texture).reduce((sum, t) => sum + textureBytes(t), 0);
+        entry.lastUsed = ++this.clock;
+
+        this.emit('upgrade', { names: entry.names, texture, level: LEVEL_NAMES[level] });
+        this.enforceBudget(entry);
+    }
+
+    /**
+     * Play the moving textures on screen and pause the others
+     * @param {Array<THREE.Texture|null>} textures - Textures visible right now
+     */
+    setVisible(textures) {
+        this.entries.forEach(entry => {
+            if (!entry.player) return;
+            if (entry.level === LEVEL.FULL && textures.includes(entry.texture)) {
+                entry.player.play();
+            } else {
+                entry.player.pause();
+            }
+        });
+    }
+
+    /**
+     * Advance image sequences
+     * @param {number} delta - Seconds since the last frame
+     */
+    update(delta) {
+        this.entries.forEach(entry => {
+            if (entry.player) entry.player.update(delta);
+        });
+    }
+
+    /**
+     * Evict least recently used textures until the estimate fits the budget.
+     * The default texture, anything keep() claims and the texture that
+     * just arrived stay, even if that leaves the estimate over budget.
+     * @param {Object} arrived - Entry that was just uploaded (optional)
+     */
+    enforceBudget(arrived = null) {
+        let used = this.getUsage();
+        if (used <= this.budget) return;
+
+        const candidates = Array.from(this.entries.values())
+            .filter(entry => entry !== arrived && entry.level > LEVEL.NONE)
+            .filter(entry => !entry.names.includes('default') && !this.keep(entry.texture))
+            .sort((a, b) => a.lastUsed - b.lastUsed);
+
+        for (const entry of candidates) {
+            if (used <= this.budget) break;
+            used -= entry.bytes;
+            this.evict(entry);
+        }
+    }
+
+    /**
+     * Free an entry's GPU memory; the next request() loads it again
+     * (from the browser's memory, not the network)
+     */
+    evict(entry) {
+        const { texture, bytes } = entry;
+        if (entry.player) entry.player.unload();
+        companions(texture).forEach(companion => companion.dispose());
+        texture.dispose();
+        texture.image = undefined;
+
+        entry.level = LEVEL.NONE;
+        entry.bytes = 0;
+        entry.loading = null;
+        entry.generation++;
+
+        this.emit('evict', { names: entry.names, texture, bytes });
+    }
+
+    /**
+     * Set the GPU memory budget
+     * @param {number} megabytes - Budget in MB
+     */
+    setBudget(megabytes) {
+        this.budget = megabytes * MB;
+        this.enforceBudget();
+    }
+
+    /**
+     * Estimated GPU memory of every loaded texture
+     * @returns {number} Bytes
+     */
+    getUsage() {
+        let used = 0;
+        this.entries.forEach(entry => { used += entry.bytes; });
+        return used;
+    }
+
+    /**
+     * Snapshot for debugging: budget, usage and each texture's state
+     * @returns {Object} { budget, used, textures: [{ names, level, bytes, failed }] }
+     */
+    getStats() {
+        return {
+            budget: this.budget,
+            used: this.getUsage(),
+            textures: Array.from(this.entries.values()).map(entry => ({
+                names: entry.names.slice(),
+                level: LEVEL_NAMES[entry.level],
+                bytes: entry.bytes,
+                failed: entry.failed
+            }))
+        };
+    }
+
+    /**
+     * Upload everything again after the WebGL context came back
+     */
+    restore() {
+        this.entries.forEach(({ texture }) => {
+            if (texture.image) texture.needsUpdate = true;
+            companions(texture).forEach(companion => { companion.needsUpdate = true; });
+        });
+    }
+
+    // Cleanup
+    destroy() {
+        this.entries.forEach(entry => {
+            entry.generation++;
+            if (entry.player) entry.player.destroy();
+            companions(entry.texture).forEach(companion => companion.dispose());
+            entry.texture.dispose();
+        });
+        this.entries.clear();
+        this.byName = {};
+        this.removeAll();
+    }
+}
+
+/**
+ * Create a texture manager
+ * @param {Object} options - { sources, budget, prepare, keep }
+ * @returns {TextureManager} Texture manager
+ */
+export function createTextureManager(options = {}) {
+    return new TextureManager(options);
+}
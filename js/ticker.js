@@ -0,0 +1,133 @@
+/**
+ * Ticker Module
+ * One requestAnimationFrame loop for the whole page. Modules subscribe
+ * with a priority so every DOM read happens before any DOM write, and
+ * WebGL renders come last, once per frame.
+ */
+
+/**
+ * Subscriber priorities, in the order they run each frame
+ */
+export const PRIORITY = {
+    READ: 0,    // Layout reads (getBoundingClientRect, scroll position)
+    UPDATE: 1,  // State and physics, no DOM access
+    WRITE: 2,   // DOM / style writes
+    RENDER: 3   // WebGL draws
+};
+
+/**
+ * Configuration
+ */
+const CONFIG = {
+    maxDelta: 0.1 // Cap (s) so a stalled or backgrounded tab doesn't jump ahead
+};
+
+/**
+ * @typedef {Object} Frame
+ * @property {number} time - Seconds of animation time since the ticker started (sum of deltas)
+ * @property {number} delta - Seconds since the previous frame, capped at CONFIG.maxDelta
+ * @property {number} frameMs - Uncapped milliseconds since the previous frame (0 on the first)
+ * @property {number} now - rAF timestamp (ms)
+ */
+
+/**
+ * Ticker class
+ */
+class Ticker {
+    constructor() {
+        this.subscribers = [];
+        this.rafId = null;
+        this.lastTime = null;
+        this.time = 0;
+        this.onFrame = (now) => this.tick(now);
+    }
+
+    /**
+     * Call a function every frame
+     * @param {Function} callback - Receives a Frame
+     * @param {number} priority - One of PRIORITY
+     * @returns {Function} Unsubscribe function
+     */
+    add(callback, priority = PRIORITY.UPDATE) {
+        return this.insert({ callback, priority, once: false, removed: false });
+    }
+
+    /**
+     * Call a function on the next frame only
+     * @param {Function} callback - Receives a Frame
+     * @param {number} priority - One of PRIORITY
+     * @returns {Function} Cancel function
+     */
+    once(callback, priority = PRIORITY.UPDATE) {
+        return this.insert({ callback, priority, once: true, removed: false });
+    }
+
+    /**
+     * Keep subscribers sorted by priority (stable within a priority)
+     */
+    insert(subscriber) {
+        const index = this.subscribers.findIndex(other => other.priority > subscriber.priority);
+        if (index === -1) {
+            this.subscribers.push(subscriber);
+        } else {
+            this.subscribers.splice(index, 0, subscriber);
+        }
+
+        this.start();
+        return () => this.remove(subscriber);
+    }
+
+    remove(subscriber) {
+        subscriber.removed = true;
+        const index = this.subscribers.indexOf(subscriber);
+        if (index !== -1) this.subscribers.splice(index, 1);
+        if (this.subscribers.length === 0) this.stop();
+    }
+
+    start() {
+        if (this.rafId === null) this.rafId = requestAnimationFrame(this.onFrame);
+    }
+
+    stop() {
+        if (this.rafId !== null) cancelAnimationFrame(this.rafId);
+        this.rafId = null;
+        // The next frame after a restart reports no elapsed time
+        this.lastTime = null;
+    }
+
+    /**
+     * Run every subscriber for one frame
+     */
+    tick(now) {
+        const frameMs = this.lastTime === null ? 0 : now - this.lastTime;
+        const delta = Math.min(frameMs / 1000, CONFIG.maxDelta);
+        this.lastTime = now;
+        this.time += delta;
+
+        /** @type {Frame} */
+        const frame = { time: this.time, delta, frameMs, now };
+
+        // Snapshot: callbacks may subscribe or unsubscribe while we run them,
+        // and anything added now waits for the next frame
+        const current = this.subscribers.slice();
+        this.subscribers = this.subscribers.filter(subscriber => !subscriber.once);
+
+        this.rafId = this.subscribers.length > 0 ? requestAnimationFrame(this.onFrame) : null;
+        if (this.rafId === null) this.lastTime = null;
+
+        current.forEach(subscriber => {
+            // Skip callbacks removed earlier in this frame
+            if (subscriber.removed) return;
+            try {
+                subscriber.callback(frame);
+            } catch (error) {
+                console.error('Ticker callback failed:', error);
+            }
+        });
+    }
+}
+
+/**
+ * Shared instance
+ */
+export const ticker = new Ticker();
@@ -0,0 +1,275 @@
+/**
+ * Tuning Panel Module
+ * Developer panel for editing shader, blob and transition settings live.
+ * Open with ?tune in the URL or the ` (backquote) key.
+ */
+
+import { tuning } from './tuning.js';
+import { ticker, PRIORITY } from './ticker.js';
+
+/**
+ * Configuration
+ */
+const CONFIG = {
+    fpsInterval: 500,              // How often the FPS readout updates (ms)
+    exportFileName: 'preset.json'  // Save as data/preset.json to make it the default
+};
+
+/**
+ * Count decimals of a step so readouts match slider precision
+ */
+function decimals(step) {
+    const text = String(step);
+    return text.includes('.') ? text.split('.')[1].length : 0;
+}
+
+/**
+ * TuningPanel class renders sliders for every tuning group
+ */
+class TuningPanel {
+    constructor() {
+        this.el = null;
+        this.groupsEl = null;
+        this.fpsEl = null;
+        this.inputs = new Map(); // 'group/key' -> { range, number }
+        this.removeTick = null;
+        this.frames = 0;
+        this.lastFpsTime = performance.now();
+        this.isOpen = false;
+        this.unsubscribe = [];
+
+        this.init();
+    }
+
+    init() {
+        this.el = document.createElement('aside');
+        this.el.className = 'tuning-panel';
+        this.el.setAttribute('aria-label', 'Tuning panel');
+        this.el.hidden = true;
+
+        const header = document.createElement('div');
+        header.className = 'tuning-header';
+
+        const title = document.createElement('strong');
+        title.textContent = 'Tuning';
+        this.fpsEl = document.createElement('span');
+        this.fpsEl.className = 'tuning-fps';
+        this.fpsEl.textContent = '-- fps';
+
+        const close = this.createButton('×', () => this.close());
+        close.setAttribute('aria-label', 'Close tuning panel');
+        header.append(title, this.fpsEl, close);
+
+        this.groupsEl = document.createElement('div');
+        this.groupsEl.className = 'tuning-groups';
+
+        this.el.append(header, this.groupsEl, this.createActions());
+        document.body.appendChild(this.el);
+
+        tuning.groups.forEach((entry, group) => this.renderGroup(group, entry));
+
+        // Modules loaded later, and edits from presets or other code
+        this.unsubscribe.push(
+            tuning.on('define', ({ group }) => this.renderGroup(group, tuning.groups.get(group))),
+            tuning.on('change', ({ group, key, value }) => this.syncInput(group, key, value))
+        );
+    }
+
+    /**
+     * Render one group as a collapsible set of sliders
+     */
+    renderGroup(group, entry) {
+        const details = document.createElement('details');
+        details.className = 'tuning-group';
+        const summary = document.createElement('summary');
+        summary.textContent = group;
+        details.appendChild(summary);
+
+        Object.keys(entry.params).forEach(key => {
+            const { min, max, step, label } = entry.params[key];
+            const id = `tuning-${group}-${key}`.replace(/\./g, '-');
+
+            const row = document.createElement('div');
+            row.className = 'tuning-row';
+
+            const labelEl = document.createElement('label');
+            labelEl.htmlFor = id;
+            labelEl.textContent = label || key;
+
+            const range = document.createElement('input');
+            range.type = 'range';
+            range.id = id;
+            Object.assign(range, { min, max, step });
+
+            const number = document.createElement('input');
+            number.type = 'number';
+            number.setAttribute('aria-label', `${label || key} value`);
+            Object.assign(number, { min, max, step });
+
+            const onInput = (e) => tuning.set(group, key, e.target.value);
+            range.addEventListener('input', onInput);
+            number.addEventListener('change', onInput);
+
+            row.append(labelEl, range, number);
+            details.appendChild(row);
+
+            this.inputs.set(`${group}/${key}`, { range, number, step });
+            this.syncInput(group, key, entry.target[key]);
+        });
+
+        this.groupsEl.appendChild(details);
+    }
+
+    /**
+     * Reflect a value in its inputs
+     */
+    syncInput(group, key, value) {
+        const input = this.inputs.get(`${group}/${key}`);
+        if (!input) return;
+
+        input.range.value = value;
+        input.number.value = Number(value).toFixed(decimals(input.step));
+    }
+
+    /**
+     * Export / import / reset buttons
+     */
+    createActions() {
+        const actions = document.createElement('div');
+        actions.className = 'tuning-actions';
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'application/json,.json';
+        fileInput.hidden = true;
+        fileInput.addEventListener('change', () => this.importFile(fileInput));
+
+        actions.append(
+            this.createButton('Export', () => this.exportPreset()),
+            this.createButton('Import', () => fileInput.click()),
+            this.createButton('Copy', () => this.copyPreset()),
+            this.createButton('Reset', () => tuning.reset()),
+            fileInput
+        );
+        return actions;
+    }
+
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Download the current settings as a preset file
+     */
+    exportPreset() {
+        const blob = new Blob([JSON.stringify(tuning.toJSON(), null, 4)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = CONFIG.exportFileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    /**
+     * Copy the current settings to the clipboard
+     */
+    async copyPreset() {
+        try {
+            await navigator.clipboard.writeText(JSON.stringify(tuning.toJSON(), null, 4));
+        } catch (error) {
+            console.warn('Clipboard unavailable, use Export instead', error);
+        }
+    }
+
+    /**
+     * Apply a preset chosen from disk
+     */
+    async importFile(fileInput) {
+        const file = fileInput.files && fileInput.files[0];
+        if (!file) return;
+
+        try {
+            tuning.apply(JSON.parse(await file.text()));
+        } catch (error) {
+            console.error('Invalid preset file:', error);
+        }
+        fileInput.value = '';
+    }
+
+    /**
+     * FPS counter (shared ticker, only while open)
+     */
+    tick(frame) {
+        this.frames++;
+        const elapsed = frame.now - this.lastFpsTime;
+
+        if (elapsed >= CONFIG.fpsInterval) {
+            this.fpsEl.textContent = `${Math.round(this.frames * 1000 / elapsed)} fps`;
+            this.frames = 0;
+            this.lastFpsTime = frame.now;
+        }
+    }
+
+    startTick() {
+        if (this.removeTick) return;
+        this.frames = 0;
+        this.lastFpsTime = performance.now();
+        this.removeTick = ticker.add((frame) => this.tick(frame), PRIORITY.WRITE);
+    }
+
+    stopTick() {
+        if (this.removeTick) {
+            this.removeTick();
+            this.removeTick = null;
+        }
+    }
+
+    open() {
+        if (this.isOpen) return;
+        this.isOpen = true;
+        this.el.hidden = false;
+        this.startTick();
+    }
+
+    close() {
+        this.isOpen = false;
+        this.el.hidden = true;
+        this.stopTick();
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    pause() {
+        this.stopTick();
+    }
+
+    resume() {
+        if (this.isOpen) this.startTick();
+    }
+
+    // Cleanup
+    destroy() {
+        this.close();
+        this.unsubscribe.forEach(off => off());
+        this.unsubscribe = [];
+        this.el.remove();
+    }
+}
+
+/**
+ * Create the tuning panel
+ * @returns {TuningPanel} Panel instance (closed)
+ */
+export function initTuningPanel() {
+    return new TuningPanel();
+}
@@ -0,0 +1,149 @@
+/**
+ * Tuning Module
+ * Registry of live-editable settings. Modules expose their CONFIG objects
+ * here; the developer panel and JSON presets write straight into them.
+ */
+
+import { Emitter } from './emitter.js';
+
+/**
+ * Configuration
+ */
+const CONFIG = {
+    presetUrl: 'data/preset.json'
+};
+
+/**
+ * Tuning class
+ *
+ * Events:
+ *  - 'define' { group }
+ *  - 'change' { group, key, value }
+ */
+class Tuning extends Emitter {
+    constructor() {
+        super();
+        this.groups = new Map();
+        this.pending = {}; // Preset values for groups that are not defined yet
+    }
+
+    /**
+     * Expose a config object's numeric fields for live editing
+     * @param {string} group - Group name, e.g. 'background'
+     * @param {Object} target - Config object that is read at runtime
+     * @param {Object} params - { key: { min, max, step, label } }
+     */
+    define(group, target, params) {
+        const defaults = {};
+        Object.keys(params).forEach(key => {
+            defaults[key] = target[key];
+        });
+
+        this.groups.set(group, { target, params, defaults });
+        this.emit('define', { group });
+
+        // Apply preset values that arrived before this module loaded
+        if (this.pending[group]) {
+            const values = this.pending[group];
+            delete this.pending[group];
+            this.applyGroup(group, values);
+        }
+    }
+
+    /**
+     * Read a value
+     * @param {string} group - Group name
+     * @param {string} key - Setting key
+     * @returns {number|undefined} Current value
+     */
+    get(group, key) {
+        const entry = this.groups.get(group);
+        return entry ? entry.target[key] : undefined;
+    }
+
+    /**
+     * Write a value (clamped to its range)
+     * @param {string} group - Group name
+     * @param {string} key - Setting key
+     * @param {number} value - New value
+     */
+    set(group, key, value) {
+        const entry = this.groups.get(group);
+        if (!entry || !entry.params[key]) return;
+
+        const { min, max } = entry.params[key];
+        const number = Math.min(max, Math.max(min, Number(value)));
+        if (Number.isNaN(number) || entry.target[key] === number) return;
+
+        entry.target[key] = number;
+        this.emit('change', { group, key, value: number });
+    }
+
+    /**
+     * Restore every value to what the code shipped with
+     */
+    reset() {
+        this.groups.forEach((entry, group) => this.applyGroup(group, entry.defaults));
+    }
+
+    /**
+     * Apply values to one group
+     */
+    applyGroup(group, values) {
+        Object.keys(values).forEach(key => this.set(group, key, values[key]));
+    }
+
+    /**
+     * Apply a preset ({ group: { key: value } })
+     * Groups that are not defined yet are applied when they are.
+     * @param {Object} preset - Preset object
+     */
+    apply(preset) {
+        Object.keys(preset || {}).forEach(group => {
+            if (this.groups.has(group)) {
+                this.applyGroup(group, preset[group]);
+            } else {
+                this.pending[group] = { ...this.pending[group], ...preset[group] };
+            }
+        });
+    }
+
+    /**
+     * Snapshot every value as a preset
+     * @returns {Object} Preset object
+     */
+    toJSON() {
+        const preset = {};
+        this.groups.forEach((entry, group) => {
+            preset[group] = {};
+            Object.keys(entry.params).forEach(key => {
+                preset[group][key] = entry.target[key];
+            });
+        });
+        return preset;
+    }
+
+    /**
+     * Load the startup preset. A missing file is not an error.
+     * @param {string} url - Preset URL
+     * @returns {Promise<Object>} The applied preset
+     */
+    async loadPreset(url = CONFIG.presetUrl) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) return {};
+
+            const preset = await response.json();
+            this.apply(preset);
+            return preset;
+        } catch (error) {
+            console.warn(`Could not load tuning preset: ${url}`, error);
+            return {};
+        }
+    }
+}
+
+/**
+ * Shared instance
+ */
+export const tuning = new Tuning();
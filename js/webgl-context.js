@@ -0,0 +1,88 @@
+/**
+ * WebGL Context Module
+ * Feature detection and context-loss handling shared by the WebGL scenes
+ */
+
+/**
+ * Configuration
+ */
+const CONFIG = {
+    maxLosses: 3,         // Losses within lossWindow before giving up on WebGL
+    lossWindow: 60000,    // ms
+    restoreTimeout: 5000  // Give up if the browser does not restore within this (ms)
+};
+
+/**
+ * Whether this browser can create a WebGL context at all
+ * (disabled by policy, blocklisted GPU, or THREE failed to load)
+ * @returns {boolean} True if WebGL is usable
+ */
+export function isWebGLAvailable() {
+    if (typeof THREE === 'undefined') return false;
+
+    try {
+        const canvas = document.createElement('canvas');
+        const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
+        if (!gl) return false;
+
+        const lose = gl.getExtension('WEBGL_lose_context');
+        if (lose) lose.loseContext();
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Watch a WebGL canvas for context loss.
+ * Calls onLost when the context goes away, onRestored when the browser gives
+ * it back, and onFailed when losses keep repeating or restore never arrives.
+ * @param {HTMLCanvasElement} canvas - Renderer canvas
+ * @param {Object} handlers - { onLost, onRestored, onFailed }
+ * @returns {Function} Stops watching
+ */
+export function guardContext(canvas, handlers = {}) {
+    const losses = [];
+    let restoreTimer = null;
+    let hasFailed = false;
+
+    const fail = (reason) => {
+        if (hasFailed) return;
+        hasFailed = true;
+        clearTimeout(restoreTimer);
+        if (handlers.onFailed) handlers.onFailed(reason);
+    };
+
+    const onLost = (e) => {
+        // Without preventDefault the browser never restores the context
+        e.preventDefault();
+
+        const now = performance.now();
+        losses.push(now);
+        while (losses.length && now - losses[0] > CONFIG.lossWindow) losses.shift();
+
+        if (handlers.onLost) handlers.onLost();
+
+        if (losses.length >= CONFIG.maxLosses) {
+            fail('repeated-loss');
+            return;
+        }
+
+        clearTimeout(restoreTimer);
+        restoreTimer = setTimeout(() => fail('not-restored'), CONFIG.restoreTimeout);
+    };
+
+    const onRestored = () => {
+        clearTimeout(restoreTimer);
+        if (!hasFailed && handlers.onRestored) handlers.onRestored();
+    };
+
+    canvas.addEventListener('webglcontextlost', onLost, false);
+    canvas.addEventListener('webglcontextrestored', onRestored, false);
+
+    return () => {
+        clearTimeout(restoreTimer);
+        canvas.removeEventListener('webglcontextlost', onLost, false);
+        canvas.removeEventListener('webglcontextrestored', onRestored, false);
+    };
+}
@@ -0,0 +1,182 @@
+/**
+ * ISTIQLAL Portfolio - Service Worker
+ * Precaches the app shell from the build manifest, serves images
+ * stale-while-revalidate and falls back to an offline page.
+ * Without a manifest (a deploy that skipped build.js) nothing but the
+ * offline page is precached and code is served network first: sw.js
+ * itself never changes then, so a pinned shell could never be updated.
+ */
+
+/* global self, caches, importScripts */
+
+// Generated by `node build.js manifest`; defines self.__PRECACHE_MANIFEST__
+try {
+    importScripts('precache-manifest.js');
+} catch (error) {
+    // Running from an unbuilt checkout: see the fallback below
+}
+
+const IS_BUILT = Boolean(self.__PRECACHE_MANIFEST__);
+const MANIFEST = self.__PRECACHE_MANIFEST__ || {
+    version: 'unbuilt',
+    entries: [
+        { url: 'offline.html', revision: null }
+    ]
+};
+
+const CACHE_PREFIX = 'istiqlal-';
+const PRECACHE_NAME = `${CACHE_PREFIX}precache-${MANIFEST.version}`;
+const RUNTIME_NAME = `${CACHE_PREFIX}runtime`;
+const OFFLINE_URL = 'offline.html';
+
+/**
+ * Build the request used to fetch a manifest entry.
+ * Same-origin entries carry their revision to bypass stale HTTP caches;
+ * cross-origin scripts are fetched no-cors like the page's <script> tag.
+ */
+function precacheRequest(entry) {
+    const url = new URL(entry.url, self.registration.scope);
+
+    if (url.origin !== self.location.origin) {
+        return new Request(url.href, { mode: 'no-cors' });
+    }
+    if (entry.revision) {
+        url.searchParams.set('__rev', entry.revision);
+    }
+    return new Request(url.href, { cache: 'reload' });
+}
+
+/**
+ * Cache key for a manifest entry (URL without revision)
+ */
+function cacheKey(entry) {
+    return new URL(entry.url, self.registration.scope).href;
+}
+
+// Install: download every manifest entry into a versioned cache.
+// The new worker then waits until the page asks it to take over.
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(PRECACHE_NAME);
+
+        await Promise.all(MANIFEST.entries.map(async (entry) => {
+            const response = await fetch(precacheRequest(entry));
+            if (!response.ok && response.type !== 'opaque') {
+                throw new Error(`Precache failed for ${entry.url}: ${response.status}`);
+            }
+            await cache.put(cacheKey(entry), response);
+        }));
+    })());
+});
+
+// Activate: drop caches from older versions and take control
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(`${CACHE_PREFIX}precache-`) && name !== PRECACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// The page posts this once the visitor accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+    if (event.data && event.data.type === 'GET_VERSION' && event.ports[0]) {
+        event.ports[0].postMessage({ version: MANIFEST.version });
+    }
+});
+
+/**
+ * Navigations: network first so visitors get fresh HTML,
+ * then the precached shell, then the offline page
+ */
+async function handleNavigation(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cache = await caches.open(PRECACHE_NAME);
+        return (await cache.match(new URL('index.html', self.registration.scope).href)) ||
+            (await cache.match(new URL(OFFLINE_URL, self.registration.scope).href)) ||
+            Response.error();
+    }
+}
+
+/**
+ * Images: answer from cache immediately and refresh it in the background
+ */
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cache = await caches.open(RUNTIME_NAME);
+    const cached = (await cache.match(request)) ||
+        (await caches.match(request, { cacheName: PRECACHE_NAME, ignoreSearch: true }));
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) {
+        event.waitUntil(network);
+        return cached;
+    }
+
+    return (await network) || Response.error();
+}
+
+/**
+ * Shell assets: precache first (query strings like ?v=1.4 are ignored),
+ * network as a fallback for anything not in the manifest
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { cacheName: PRECACHE_NAME, ignoreSearch: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(RUNTIME_NAME);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Unbuilt deploys: always try the network, keeping a copy for offline use
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(RUNTIME_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        return (await cache.match(request)) || Response.error();
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+        return;
+    }
+
+    if (request.destination === 'image' || /\.(png|jpe?g|webp|gif|svg)$/i.test(new URL(request.url).pathname)) {
+        event.respondWith(staleWhileRevalidate(event));
+        return;
+    }
+
+    const isSameOrigin = new URL(request.url).origin === self.location.origin;
+    const isPrecached = MANIFEST.entries.some(entry => cacheKey(entry) === request.url.split('?')[0]);
+
+    if (isSameOrigin || isPrecached) {
+        event.respondWith(IS_BUILT ? cacheFirst(request) : networkFirst(request));
+    }
+});
@@ -0,0 +1,45 @@
+/**
+ * Local telemetry collector for development
+ *
+ * Usage:
+ *   node tools/telemetry-stub.js [port]
+ * then set <meta name="telemetry-endpoint" content="http://localhost:8787/collect">
+ * and open the site with ?telemetry=console to force a report.
+ */
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 8787;
+
+const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204).end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.writeHead(405).end();
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        try {
+            const record = JSON.parse(body);
+            console.log(`[${new Date().toISOString()}] ${record.release} ${record.session}`);
+            console.log(JSON.stringify(record, null, 2));
+        } catch (error) {
+            console.warn('Invalid record:', body.slice(0, 200));
+        }
+        res.writeHead(204).end();
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Telemetry stub listening on http://localhost:${PORT}/collect`);
+});